@@ -3,8 +3,19 @@
 const path = require('path');
 const fs = require('fs');
 
+// Import utilities, config manager and output helpers
+const configManager = require('../src/config-manager');
+const { ensureDir } = require('../src/utils');
+const { ERROR_CODES, enableJsonMode, isJsonMode, succeed, fail } = require('../src/cli-output');
+const { findCommand } = require('../src/cli-registry');
+const { UsageError, parseCommandLine, formatHelp, formatCommandHelp, findClosestCommand } = require('../src/arg-parser');
+const { loadPlugins } = require('../src/plugins');
+
 // Global error handler for uncaught exceptions
 process.on('uncaughtException', (err) => {
+  if (isJsonMode()) {
+    fail(ERROR_CODES.INTERNAL, `Fatal error: ${err.message}`);
+  }
   console.error(`\n❌ Fatal error: ${err.message}`);
   if (err.stack) {
     console.error(`\nStack trace: ${err.stack}`);
@@ -13,138 +24,212 @@ process.on('uncaughtException', (err) => {
   process.exit(1);
 });
 
-// Import utilities and config manager
-const configManager = require('../src/config-manager');
-const { ensureDir } = require('../src/utils');
+// Global options that select what the config is loaded for, and the variables they set
+const SELECTION_OPTIONS = {
+  '--env': 'JAW_TOOLS_ENV',
+  '--package': 'JAW_TOOLS_PACKAGE'
+};
+
+/**
+ * Take --env <name> and --package <name> out of the arguments and pass them
+ * on through JAW_TOOLS_ENV and JAW_TOOLS_PACKAGE, so the config loaded here
+ * and by child processes uses them. An option without a value is left for
+ * the parser to report.
+ * @param {Array<string>} argv Command line arguments
+ * @returns {Array<string>} Arguments without --env and --package
+ */
+function selectEnvironment(argv) {
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--') {
+      rest.push(...argv.slice(i));
+      break;
+    }
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const variable = SELECTION_OPTIONS[flag];
+    if (variable && inlineValue !== undefined) {
+      process.env[variable] = inlineValue;
+    } else if (variable && argv[i + 1] !== undefined && !argv[i + 1].startsWith('-')) {
+      process.env[variable] = argv[++i];
+    } else {
+      rest.push(argv[i]);
+    }
+  }
+  return rest;
+}
 
 // Normalize path for cross-platform compatibility
 function normalizePath(...pathSegments) {
   return path.normalize(path.join(...pathSegments));
 }
 
-// Parse command line arguments
-const [,, command, ...args] = process.argv;
+// Parse command line arguments; --json, --env and --package apply to every command
+const jsonOutput = process.argv.slice(2).includes('--json');
+const [command, ...args] = selectEnvironment(process.argv.slice(2).filter(arg => arg !== '--json'));
 
 // Path to the setup script
 const setupPath = normalizePath(__dirname, '..', 'setup.js');
 
-// List of valid commands for better error messages
-const validCommands = [
-  'init', 'setup', 'scaffold', 'doctor', 'status', 
-  'repomix', 'profile', 'r', 
-  'compile', 'compile-prompt', 'c',
-  'workflow', 'wf', 'w',
-  'mini-prd', 'mprd',
-  'refresh', 'update',
-  'refresh-profiles', 'update-profiles',
-  'execution', 'e',
-  'version', 'v',
-  'help', 'h'
-];
+// Plugins listed in the config may add commands; config commands report
+// problems with the file themselves, so they don't load it up front
+if (command !== 'config' && configManager.findConfigFile(configManager.findProjectRoot())) {
+  loadPlugins(loadConfig());
+}
+
+// Commands, their options and help come from the registry in src/cli-registry.js
+const commandSpec = findCommand(command);
+
+if (jsonOutput) {
+  const subcommand = commandSpec?.subcommands?.find(sub => sub.name === args[0]);
+  enableJsonMode(commandSpec ? [commandSpec.name, subcommand?.name].filter(Boolean).join(' ') : command || null);
+}
+
+let parsed = null;
+if (commandSpec) {
+  try {
+    parsed = parseCommandLine(commandSpec, args);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    fail(ERROR_CODES.USAGE, err.message, { hint: `Run 'npx jaw-tools ${err.usage} --help' for usage.` });
+  }
+  
+  // Commands that only have subcommands show their help without one
+  const needsSubcommand = commandSpec.subcommands && !commandSpec.args && !parsed.subcommand;
+  if (needsSubcommand && isJsonMode() && !parsed.help) {
+    fail(ERROR_CODES.USAGE, `Missing ${commandSpec.name} subcommand. Use ${commandSpec.subcommands.map(sub => sub.name).join(', ')}.`);
+  }
+  if (parsed.help || needsSubcommand) {
+    showCommandHelp(parsed.command, parsed.subcommand);
+  }
+}
+
+// --package must name a package of the workspace
+if (process.env.JAW_TOOLS_PACKAGE && process.env.JAW_TOOLS_PACKAGE !== '.') {
+  const project = configManager.resolveProject();
+  if (!project.workspace) {
+    fail(ERROR_CODES.USAGE, `Package "${project.packageQuery}" selected, but no config declares workspace packages`, {
+      hint: 'List them in workspace.packages or set workspace.useWorkspaces in the root config.'
+    });
+  }
+  if (!project.package) {
+    const names = project.workspace.packages.map(pkg => pkg.name);
+    const unscoped = names.map(name => name.replace(/^@[^/]+\//, ''));
+    const closest = findClosestCommand(project.packageQuery, [...names, ...unscoped], Math.max(2, Math.floor(project.packageQuery.length / 3)));
+    fail(ERROR_CODES.NOT_FOUND, `Unknown package "${project.packageQuery}".${closest ? ` Did you mean "${closest}"?` : ''}`, {
+      hint: `Packages: ${names.join(', ') || 'none'}`
+    });
+  }
+}
 
 // Initialize if not already done
 const projectRoot = configManager.findProjectRoot();
-const configPath = normalizePath(projectRoot, 'jaw-tools.config.js');
-if (!fs.existsSync(configPath) && command !== 'init' && command !== 'setup' && command !== 'help' && command !== 'h' && command !== 'version' && command !== 'v') {
+if (!configManager.findConfigFile(projectRoot) && commandSpec?.needsConfig !== false) {
+  // Setup asks questions, so it can't run in the middle of a --json command
+  if (isJsonMode()) {
+    fail(ERROR_CODES.CONFIG, 'jaw-tools configuration not found', { hint: "Run 'npx jaw-tools setup' first." });
+  }
   console.log('⚠️ jaw-tools configuration not found. Running setup...');
   runSetup();
   
   // Only exit if there are no additional commands to run (e.g., execution init)
-  if (command !== 'execution' && command !== 'e') {
+  if (commandSpec?.name !== 'execution') {
     return;
   }
 }
 
 // Main command switch
-switch (command) {
-  case 'init':
+switch (commandSpec ? commandSpec.name : command) {
   case 'setup':
     runSetup();
     break;
     
   case 'scaffold':
-    runScaffold(args.includes('--force'));
+    runScaffold(Boolean(parsed.options.force));
     break;
     
   case 'doctor':
-  case 'status':
     runDoctor();
     break;
     
   case 'repomix':
-  case 'profile':
-  case 'r':
-    runRepomixCommand(args);
+    runRepomixCommand(parsed, args);
     break;
     
   case 'compile':
-  case 'compile-prompt':
-  case 'c':
-    runCompilePrompt(args);
+    runCompilePrompt(parsed);
+    break;
+    
+  case 'prompt':
+    runPromptCommand(parsed);
     break;
     
   case 'workflow':
-  case 'wf':
-  case 'w':
-    runWorkflow(args);
+    runWorkflow(parsed);
     break;
     
   case 'mini-prd':
-  case 'mprd':
-    runMiniPrdCommand(args);
+    runMiniPrdCommand(parsed);
     break;
     
   case 'refresh':
-  case 'update':
-    runRefresh(args);
+    runRefresh(parsed.options);
     break;
     
   case 'refresh-profiles':
-  case 'update-profiles':
-    runRefreshProfiles(args);
+    runRefreshProfiles();
     break;
     
   case 'execution':
-  case 'e':
-    runExecutionCommand(args);
+    runExecutionCommand(parsed);
+    break;
+    
+  case 'config':
+    runConfigCommand(parsed);
+    break;
+    
+  case 'completion':
+    runCompletion(parsed.args.shell);
     break;
     
   case 'version':
-  case 'v':
     showVersion();
     break;
     
   case 'meta-prompt':
-    console.error(`❌ The meta-prompt command is not available. Use 'execution bundle' instead with the --meta-prompt option.`);
-    console.log(`Example: npx jaw-tools execution bundle --prd-file <path> --stage-name <n> --meta-prompt <path>`);
-    process.exit(1);
+    fail(ERROR_CODES.UNKNOWN_COMMAND, `The meta-prompt command is not available. Use 'execution bundle' instead with the --meta-prompt option.`, {
+      hint: `Example: npx jaw-tools execution bundle --prd-file <path> --stage-name <n> --meta-prompt <path>`
+    });
     break;
     
   case 'help':
-  case 'h':
-    showHelp();
+    showHelp(parsed.args.command);
     break;
     
   case undefined:
   case '':
-    console.error(`❌ No command specified. Run 'npx jaw-tools help' to see available commands.`);
-    process.exit(1);
+    fail(ERROR_CODES.USAGE, `No command specified. Run 'npx jaw-tools help' to see available commands.`);
     break;
     
   default:
+    if (commandSpec?.plugin) {
+      runPluginCommand(commandSpec, parsed);
+      break;
+    }
+    
     // Check if it's close to a valid command and suggest alternatives
     const closest = findClosestCommand(command);
-    if (closest) {
-      console.error(`❌ Unknown command: '${command}'. Did you mean '${closest}'?`);
-    } else {
-      console.error(`❌ Unknown command: '${command}'`);
-    }
-    console.log(`Run 'npx jaw-tools help' to see available commands.`);
-    process.exit(1);
+    fail(ERROR_CODES.UNKNOWN_COMMAND, closest ? `Unknown command: '${command}'. Did you mean '${closest}'?` : `Unknown command: '${command}'`, {
+      hint: `Run 'npx jaw-tools help' to see available commands.`
+    });
 }
 
 // Helper Functions
 function runSetup() {
+  // Setup asks questions, so it has no single result to print
+  if (isJsonMode()) {
+    fail(ERROR_CODES.USAGE, 'setup is interactive and does not support --json');
+  }
+  
   try {
     if (!fs.existsSync(setupPath)) {
       console.error(`❌ Setup script not found at: ${setupPath}`);
@@ -175,22 +260,20 @@ function runScaffold(force = false) {
     // Get scaffold module
     const scaffold = require('../lib/scaffold');
     
-    // Run scaffolding
-    scaffold.scaffold(config, force)
+    // Run scaffolding; without questions (--json or interactive: false) existing
+    // files are skipped unless forced
+    scaffold.scaffold(config, force, { onConflict: !isInteractive(config) && !force ? 'skip' : null })
       .then(result => {
         if (!result.success) {
-          console.error(`❌ Scaffolding failed: ${result.error}`);
-          process.exit(1);
+          fail(ERROR_CODES.FAILED, `Scaffolding failed: ${result.error}`);
         }
-        process.exit(0);
+        succeed(resultData(result));
       })
       .catch(err => {
-        console.error(`❌ Error during scaffolding: ${err.message}`);
-        process.exit(1);
+        fail(ERROR_CODES.FAILED, `Error during scaffolding: ${err.message}`);
       });
   } catch (err) {
-    console.error(`❌ Failed to run scaffolding: ${err.message}`);
-    process.exit(1);
+    fail(ERROR_CODES.FAILED, `Failed to run scaffolding: ${err.message}`);
   }
 }
 
@@ -203,31 +286,44 @@ function runDoctor() {
     doctor.runDiagnostics()
       .then(results => {
         // Exit with code 1 if overall health check failed
-        process.exit(results.overall ? 0 : 1);
+        if (!results.overall) {
+          fail(ERROR_CODES.CHECK_FAILED, 'Overall health check failed', { data: results, reported: true });
+        }
+        succeed(results);
       })
       .catch(err => {
-        console.error(`❌ Error running diagnostics: ${err.message}`);
-        process.exit(1);
+        fail(ERROR_CODES.FAILED, `Error running diagnostics: ${err.message}`);
       });
   } catch (err) {
-    console.error(`❌ Failed to run doctor: ${err.message}`);
-    process.exit(1);
+    fail(ERROR_CODES.FAILED, `Failed to run doctor: ${err.message}`);
   }
 }
 
-function runRepomixCommand(args) {
+function runRepomixCommand(parsed, args) {
   try {
     // Load config
     const config = loadConfig();
+    const subCommand = parsed.subcommand.name;
     
     // Check if this is the generate-from-prd command
-    if (args[0] === 'generate-from-prd') {
-      runRepomixGenerateFromPrd(args.slice(1));
+    if (subCommand === 'generate-from-prd') {
+      runRepomixGenerateFromPrd(parsed.options.prdFile || parsed.args.prdFile);
       return;
     }
     
-    // Check if .repomix-profiles directory exists
-    const repoProfilesDir = normalizePath(projectRoot, config.directories?.repomixProfiles || '.repomix-profiles');
+    if (subCommand === 'list' && parsed.options.allPackages) {
+      runRepomixListAllPackages();
+      return;
+    }
+    
+    // The profile manager only prints text, so --json lists and runs profiles directly
+    if (isJsonMode() && (subCommand === 'list' || subCommand === 'run')) {
+      runRepomixJson(subCommand, parsed.args.profile, config);
+      return;
+    }
+    
+    // Check if .repomix-profiles directory exists (in the selected workspace package, if any)
+    const repoProfilesDir = normalizePath(config.__projectRoot || projectRoot, config.directories?.repomixProfiles || '.repomix-profiles');
     
     // Ensure the directory exists
     ensureDir(repoProfilesDir);
@@ -235,43 +331,96 @@ function runRepomixCommand(args) {
     // Check if profiles-manager.js exists in the project's .repomix-profiles directory
     const profileManagerPath = normalizePath(repoProfilesDir, 'profiles-manager.js');
     
-    // If it doesn't exist, copy our version
+    // If it doesn't exist, install our version
     if (!fs.existsSync(profileManagerPath)) {
-      const sourceProfileManager = normalizePath(__dirname, '..', 'lib', 'profiles-manager.js');
-      if (!fs.existsSync(sourceProfileManager)) {
-        console.error(`❌ Source profile manager not found at: ${sourceProfileManager}`);
-        process.exit(1);
-      }
-      
-      try {
-        fs.copyFileSync(sourceProfileManager, profileManagerPath);
-        console.log(`✅ Created profiles-manager.js in ${repoProfilesDir}`);
-      } catch (err) {
-        console.error(`❌ Error copying profile manager: ${err.message}`);
-        process.exit(1);
+      const { installProfilesManager } = require('../lib/repomix/profiles');
+      const installed = installProfilesManager(repoProfilesDir);
+      if (!installed.success) {
+        fail(ERROR_CODES.FAILED, `Error copying profile manager: ${installed.error}`);
       }
+      console.log(`✅ Created profiles-manager.js in ${repoProfilesDir}`);
     }
     
-    // Run the profiles-manager.js script with the provided arguments
+    // Run the profiles-manager.js script with the provided arguments (already validated)
     const { spawn } = require('child_process');
     const profileMgr = spawn('node', [profileManagerPath, ...args], { 
-      stdio: 'inherit', 
+      cwd: config.__projectRoot || projectRoot,
+      // Keep stdout for the --json result
+      stdio: isJsonMode() ? ['inherit', 2, 'inherit'] : 'inherit', 
       shell: true 
     });
     
     profileMgr.on('error', err => {
-      console.error(`❌ Error running profile manager: ${err.message}`);
-      process.exit(1);
+      fail(ERROR_CODES.FAILED, `Error running profile manager: ${err.message}`);
     });
     
-    profileMgr.on('close', code => process.exit(code || 0));
+    profileMgr.on('close', code => {
+      if (code) {
+        fail(ERROR_CODES.FAILED, `Profile manager exited with code ${code}`, { reported: true });
+      }
+      succeed({ exitCode: 0 });
+    });
   } catch (err) {
-    console.error(`❌ Error in repomix command: ${err.message}`);
-    process.exit(1);
+    fail(ERROR_CODES.FAILED, `Error in repomix command: ${err.message}`);
+  }
+}
+
+function runRepomixJson(subCommand, profileName, config) {
+  const { loadProfiles, listProfiles, runProfile } = require('../lib/repomix');
+  
+  if (subCommand === 'list') {
+    succeed({ profiles: listProfiles(config) });
+  }
+  
+  if (!loadProfiles(config)[profileName]) {
+    fail(ERROR_CODES.NOT_FOUND, `Profile "${profileName}" not found`);
   }
+  
+  runProfile(profileName, config, { quiet: true })
+    .then(result => {
+      if (!result.success) {
+        fail(ERROR_CODES.FAILED, result.error);
+      }
+      succeed(resultData(result));
+    })
+    .catch(err => {
+      fail(ERROR_CODES.FAILED, `Error running profile: ${err.message}`);
+    });
+}
+
+// Workspace root and packages, or a usage error outside a workspace
+function requireWorkspaceConfigs() {
+  const targets = configManager.getWorkspaceConfigs();
+  if (!targets) {
+    fail(ERROR_CODES.USAGE, '--all-packages needs a workspace', {
+      hint: 'List the packages in workspace.packages or set workspace.useWorkspaces in the root config.'
+    });
+  }
+  return targets;
 }
 
-function runRepomixGenerateFromPrd(args) {
+function runRepomixListAllPackages() {
+  const { listProfiles } = require('../lib/repomix');
+  const packages = requireWorkspaceConfigs().map(target => ({
+    name: target.name,
+    path: target.path,
+    profiles: listProfiles(target.config)
+  }));
+  
+  packages.forEach(pkg => {
+    console.log(`\n📦 ${pkg.name} (${pkg.path})`);
+    if (pkg.profiles.length === 0) {
+      console.log('  No profiles found.');
+    }
+    pkg.profiles.forEach(profile => {
+      const output = profile.exists ? `${profile.tokens} tokens` : 'not generated';
+      console.log(`  - ${profile.name}: ${profile.include || '**'} (${output})`);
+    });
+  });
+  succeed({ packages });
+}
+
+function runRepomixGenerateFromPrd(prdFile) {
   try {
     // Load config
     const config = loadConfig();
@@ -279,45 +428,28 @@ function runRepomixGenerateFromPrd(args) {
     // Get the repomix module
     const repomix = require('../lib/repomix');
     
-    // Parse arguments
-    let prdFile = null;
-    for (let i = 0; i < args.length; i++) {
-      if (args[i] === '--prd-file' && i + 1 < args.length) {
-        prdFile = args[i + 1];
-        i++; // Skip the value in the next iteration
-      }
-    }
-    
+    // The file can be given as an argument or with --prd-file
     if (!prdFile) {
-      // Check if the first argument is a file path and not an option
-      if (args.length > 0 && !args[0].startsWith('--')) {
-        prdFile = args[0];
-      } else {
-        console.error('❌ Error: No PRD file specified. Usage: jaw-tools repomix generate-from-prd --prd-file <path>');
-        process.exit(1);
-      }
+      fail(ERROR_CODES.USAGE, 'Error: No PRD file specified. Usage: jaw-tools repomix generate-from-prd --prd-file <path>');
     }
     
     // Run the generate-from-prd function
     repomix.generateProfileFromPrd({ prdFile }, config)
       .then(result => {
         if (!result.success) {
-          console.error(`❌ Error generating profile: ${result.error}`);
-          process.exit(1);
+          fail(ERROR_CODES.FAILED, `Error generating profile: ${result.error}`);
         }
-        process.exit(0);
+        succeed(resultData(result));
       })
       .catch(err => {
-        console.error(`❌ Error generating profile: ${err.message}`);
-        process.exit(1);
+        fail(ERROR_CODES.FAILED, `Error generating profile: ${err.message}`);
       });
   } catch (err) {
-    console.error(`❌ Error in repomix generate-from-prd command: ${err.message}`);
-    process.exit(1);
+    fail(ERROR_CODES.FAILED, `Error in repomix generate-from-prd command: ${err.message}`);
   }
 }
 
-function runCompilePrompt(args) {
+function runCompilePrompt(parsed) {
   try {
     // Load config
     const config = loadConfig();
@@ -326,23 +458,28 @@ function runCompilePrompt(args) {
     const compilePromptPath = normalizePath(__dirname, '..', 'lib', 'compile-prompt.js');
     const compilePrompt = require(compilePromptPath);
     
-    // Parse arguments
-    if (args.length === 0) {
-      console.error('❌ Error: No prompt file specified. Usage: jaw-tools compile <prompt-file>');
-      process.exit(1);
+    if (parsed.subcommand) {
+      runCompileOutputsCommand(parsed, config);
+      return;
     }
     
-    const promptFile = args[0];
-    const options = {};
+    const promptFile = parsed.args.promptFile;
+    const options = { ...parsed.options };
     
-    // Extract options
-    for (let i = 1; i < args.length; i++) {
-      if (args[i].startsWith('--')) {
-        const optionName = args[i].substring(2);
-        const optionValue = args[i+1] && !args[i+1].startsWith('--') ? args[i+1] : true;
-        options[optionName] = optionValue;
-        if (optionValue !== true) i++; // Skip the value in the next iteration
+    // Watch mode keeps the process running and recompiles on changes
+    if (options.watch) {
+      if (isJsonMode()) {
+        fail(ERROR_CODES.USAGE, '--watch cannot be combined with --json');
       }
+      delete options.watch;
+      const { watchCompile } = require(normalizePath(__dirname, '..', 'lib', 'prompt-compiler', 'watch.js'));
+      const watcher = watchCompile(promptFile, options, config);
+      process.on('SIGINT', () => {
+        watcher.close();
+        console.log('\n👋 Stopped watching.');
+        process.exit(0);
+      });
+      return;
     }
     
     // Compile the prompt using the function with proper parameters
@@ -350,18 +487,84 @@ function runCompilePrompt(args) {
     
     // Handle the result
     if (!result || !result.success) {
-      console.error(`❌ Compilation failed: ${result?.error || 'Unknown error'}`);
-      process.exit(1);
+      fail(ERROR_CODES.FAILED, `Compilation failed: ${result?.error || 'Unknown error'}`, {
+        data: result?.problems ? { problems: result.problems } : null
+      });
     }
     
-    process.exit(0);
+    // The compiled text is in the output files; messages and dependencies are for watch mode and the API
+    const { messages, dependencies, ...data } = resultData(result);
+    succeed(data);
   } catch (err) {
-    console.error(`❌ Error in compile command: ${err.message}`);
-    process.exit(1);
+    fail(ERROR_CODES.FAILED, `Error in compile command: ${err.message}`);
   }
 }
 
-function runWorkflow(args) {
+function runCompileOutputsCommand(parsed, config) {
+  const outDir = path.resolve(config.__projectRoot || process.cwd(), config.directories?.compiledPrompts || '_docs/prompts-compiled');
+  const query = parsed.args.text || null;
+  const options = parsed.options;
+  
+  if (parsed.subcommand.name === 'list') {
+    const { findOutputs } = require('../lib/prompt-compiler/outputIndex');
+    const outputs = findOutputs(outDir, query);
+    if (outputs.length === 0) {
+      console.log(query ? `No compiled prompts match "${query}".` : 'No compiled prompts found.');
+    } else {
+      console.log(`📄 Compiled prompts (newest first):`);
+      outputs.forEach(entry => {
+        const tokens = entry.tokens !== null && entry.tokens !== undefined ? `, ${entry.tokens} tokens` : '';
+        console.log(`  ${entry.compiledAt.replace('T', ' ').substring(0, 19)}  ${entry.output}`);
+        console.log(`      from ${entry.template || entry.templateName}${tokens}`);
+      });
+    }
+    succeed({ outputs });
+  }
+  
+  const { pruneOutputs, formatSize } = require('../lib/prompt-compiler/prune');
+  const retention = config.promptCompiler?.retention || {};
+  const result = pruneOutputs(outDir, {
+    keepPerTemplate: options.keep !== undefined ? options.keep : retention.keepPerTemplate,
+    maxAge: options.maxAge || retention.maxAge,
+    maxSize: options.maxSize || retention.maxSize
+  }, { dryRun: Boolean(options.dryRun) });
+  
+  if (!result.success) {
+    fail(ERROR_CODES.FAILED, result.error);
+  }
+  
+  result.removed.forEach(entry => {
+    console.log(`  🗑️  ${entry.output} (${entry.files} file(s), ${formatSize(entry.size)}): ${entry.reason}`);
+  });
+  const verb = result.dryRun ? 'Would remove' : 'Removed';
+  console.log(`✅ ${verb} ${result.removed.length} compiled prompt(s), freeing ${formatSize(result.freedBytes)}. ` +
+    `${result.kept} kept (${formatSize(result.remainingBytes)}).`);
+  succeed(resultData(result));
+}
+
+function runPromptCommand(parsed) {
+  try {
+    const config = loadConfig();
+    
+    // prompt lint is the only subcommand
+    const { output, ...lintOptions } = parsed.options;
+    const { lintPrompts, formatReport } = require('../lib/prompt-compiler/lint');
+    const { success, report } = lintPrompts(parsed.args.files, config, lintOptions);
+    
+    if (output) {
+      fs.writeFileSync(output, JSON.stringify(report, null, 2), 'utf8');
+    }
+    console.log(formatReport(report));
+    if (!success) {
+      fail(ERROR_CODES.CHECK_FAILED, `${report.summary.errors} error(s) in prompt templates`, { data: { report }, reported: true });
+    }
+    succeed({ report });
+  } catch (err) {
+    fail(ERROR_CODES.FAILED, `Error in prompt command: ${err.message}`);
+  }
+}
+
+function runWorkflow(parsed) {
   try {
     // Load config
     const config = loadConfig();
@@ -369,34 +572,45 @@ function runWorkflow(args) {
     // Get workflow module
     const workflow = require('../lib/workflow');
     
-    // Determine the subcommand
-    const subCommand = args[0];
-    
-    if (subCommand === 'list') {
+    if (parsed.subcommand?.name === 'list') {
       // List available sequences
       workflow.listSequences(config);
+      succeed({
+        sequences: config.workflow?.sequences || {},
+        defaultSequence: config.workflow?.defaultSequence || 'default'
+      });
     } else {
       // Run sequence (either specified sequence or default)
-      const sequenceName = (subCommand && !subCommand.startsWith('--')) ? subCommand : null;
-      workflow.runSequence(config, sequenceName)
+      const sequenceName = parsed.args.sequence || null;
+      const sequence = sequenceName || config.workflow?.defaultSequence || 'default';
+      // Step output goes to stderr so stdout only has the --json result
+      workflow.runSequence(config, sequenceName, {
+        continueOnError: Boolean(parsed.options.continueOnError),
+        stdio: isJsonMode() ? ['inherit', 2, 'inherit'] : undefined
+      })
         .then(success => {
-          process.exit(success ? 0 : 1);
+          if (!success) {
+            const exists = Boolean(config.workflow?.sequences?.[sequence]);
+            fail(exists ? ERROR_CODES.FAILED : ERROR_CODES.NOT_FOUND,
+              exists ? `Sequence "${sequence}" failed` : `Sequence "${sequence}" not found in configuration.`,
+              { data: { sequence }, reported: true });
+          }
+          succeed({ sequence });
         })
         .catch(err => {
-          console.error(`Error running sequence: ${err.message}`);
-          process.exit(1);
+          fail(ERROR_CODES.FAILED, `Error running sequence: ${err.message}`);
         });
     }
   } catch (err) {
-    console.error(`❌ Error in workflow command: ${err.message}`);
-    process.exit(1);
+    fail(ERROR_CODES.FAILED, `Error in workflow command: ${err.message}`);
   }
 }
 
-function runExecutionCommand(args) {
+function runExecutionCommand(parsed) {
   try {
-    // Parse and process the execution command arguments
-    const [subCommand, ...subArgs] = args;
+    // Options are parsed and required ones checked by the registry
+    const subCommand = parsed.subcommand.name;
+    const options = parsed.options;
     
     // Load config
     const config = loadConfig();
@@ -406,260 +620,151 @@ function runExecutionCommand(args) {
     
     switch (subCommand) {
       case 'init':
-        // Parse init command parameters
-        let prdFile = null;
-        
-        for (let i = 0; i < subArgs.length; i++) {
-          if (subArgs[i] === '--prd-file' && i + 1 < subArgs.length) {
-            prdFile = subArgs[i + 1];
-            i++; // Skip the value in the next iteration
-          }
-        }
-        
-        if (!prdFile) {
-          console.error('❌ Error: No PRD file specified. Usage: jaw-tools execution init --prd-file <path>');
-          process.exit(1);
-        }
-        
         // Run the init function
-        execution.initExecution({ prdFile }, config)
+        execution.initExecution({ prdFile: options.prdFile }, config)
           .then(result => {
             if (!result.success) {
-              console.error(`❌ Error initializing execution: ${result.error}`);
-              process.exit(1);
+              fail(ERROR_CODES.FAILED, `Error initializing execution: ${result.error}`);
             }
             
             console.log(`✅ Execution tracking initialized for PRD ${result.prdId}: ${result.prdName}`);
-            process.exit(0);
+            succeed(resultData(result));
           })
           .catch(err => {
-            console.error(`❌ Error initializing execution: ${err.message}`);
-            process.exit(1);
+            fail(ERROR_CODES.FAILED, `Error initializing execution: ${err.message}`);
           });
         break;
         
       case 'bundle':
-        // Parse bundle command parameters
-        let bundleOptions = {
-          prdFile: null,
-          stageName: null,
-          metaPrompt: null,
-          repomixProfile: null,
-          prevStageSummary: null
-        };
-        
-        for (let i = 0; i < subArgs.length; i++) {
-          if (subArgs[i].startsWith('--')) {
-            const optionName = subArgs[i].substring(2);
-            if (i + 1 < subArgs.length && !subArgs[i+1].startsWith('--')) {
-              bundleOptions[camelCase(optionName)] = subArgs[i+1];
-              i++; // Skip the value in the next iteration
-            } else {
-              bundleOptions[camelCase(optionName)] = true;
-            }
-          }
-        }
-        
-        // Validate required parameters
-        if (!bundleOptions.prdFile || !bundleOptions.stageName || !bundleOptions.metaPrompt) {
-          console.error('❌ Error: Missing required parameters. Usage: jaw-tools execution bundle --prd-file <path> --stage-name <name> --meta-prompt <path> [--repomix-profile <name>] [--prev-stage-summary <path>]');
-          process.exit(1);
-        }
-        
         // Run the bundle function
-        execution.bundleExecution(bundleOptions, config)
+        execution.bundleExecution({
+          prdFile: options.prdFile,
+          stageName: options.stageName,
+          metaPrompt: options.metaPrompt,
+          repomixProfile: options.repomixProfile || null,
+          prevStageSummary: options.prevStageSummary || null
+        }, config)
           .then(result => {
             if (!result.success) {
-              console.error(`❌ Error bundling execution: ${result.error}`);
-              process.exit(1);
+              fail(ERROR_CODES.FAILED, `Error bundling execution: ${result.error}`);
             }
             
-            console.log(`✅ Execution bundle prepared for stage: ${bundleOptions.stageName}`);
+            console.log(`✅ Execution bundle prepared for stage: ${options.stageName}`);
             console.log(`📁 Stage directory: ${path.relative(process.cwd(), result.stageDir)}`);
             console.log(`📄 Compiled meta-prompt: ${path.relative(process.cwd(), result.compiledMetaPrompt)}`);
-            process.exit(0);
+            succeed(resultData(result));
           })
           .catch(err => {
-            console.error(`❌ Error bundling execution: ${err.message}`);
-            process.exit(1);
+            fail(ERROR_CODES.FAILED, `Error bundling execution: ${err.message}`);
           });
         break;
         
       case 'record-step':
-        // Parse record-step command parameters
-        let recordOptions = {
-          prdFile: null,
-          stageName: null,
-          instructionsFile: null,
-          logFile: null,
-          feedbackFile: null,
-          status: null
-        };
-        
-        for (let i = 0; i < subArgs.length; i++) {
-          if (subArgs[i].startsWith('--')) {
-            const optionName = subArgs[i].substring(2);
-            if (i + 1 < subArgs.length && !subArgs[i+1].startsWith('--')) {
-              recordOptions[camelCase(optionName)] = subArgs[i+1];
-              i++; // Skip the value in the next iteration
-            } else {
-              recordOptions[camelCase(optionName)] = true;
-            }
-          }
-        }
-        
-        // Validate required parameters
-        if (!recordOptions.prdFile || !recordOptions.stageName || !recordOptions.status) {
-          console.error('❌ Error: Missing required parameters. Usage: jaw-tools execution record-step --prd-file <path> --stage-name <name> --status <status> [--instructions-file <path>] [--log-file <path>] [--feedback-file <path>]');
-          process.exit(1);
-        }
-        
         // Run the record-step function
-        execution.recordExecutionStep(recordOptions, config)
+        execution.recordExecutionStep({
+          prdFile: options.prdFile,
+          stageName: options.stageName,
+          instructionsFile: options.instructionsFile || null,
+          logFile: options.logFile || null,
+          feedbackFile: options.feedbackFile || null,
+          status: options.status
+        }, config)
           .then(result => {
             if (!result.success) {
-              console.error(`❌ Error recording execution step: ${result.error}`);
-              process.exit(1);
+              fail(ERROR_CODES.FAILED, `Error recording execution step: ${result.error}`);
             }
             
-            console.log(`✅ Execution step recorded for stage: ${recordOptions.stageName}`);
+            console.log(`✅ Execution step recorded for stage: ${options.stageName}`);
             console.log(`📁 Stage directory: ${path.relative(process.cwd(), result.stageDir)}`);
             console.log(`🔖 Status: ${result.status}`);
-            process.exit(0);
+            succeed(resultData(result));
           })
           .catch(err => {
-            console.error(`❌ Error recording execution step: ${err.message}`);
-            process.exit(1);
+            fail(ERROR_CODES.FAILED, `Error recording execution step: ${err.message}`);
           });
         break;
-        
-      default:
-        console.log('🔍 Execution Commands:');
-        console.log('  jaw-tools execution init --prd-file <path>');
-        console.log('  jaw-tools execution bundle --prd-file <path> --stage-name <name> --meta-prompt <path> [--repomix-profile <name>] [--prev-stage-summary <path>]');
-        console.log('  jaw-tools execution record-step --prd-file <path> --stage-name <name> --status <status> [--instructions-file <path>] [--log-file <path>] [--feedback-file <path>]');
-        break;
     }
   } catch (err) {
-    console.error(`❌ Error in execution command: ${err.message}`);
-    process.exit(1);
+    fail(ERROR_CODES.FAILED, `Error in execution command: ${err.message}`);
   }
 }
 
-function runMiniPrdCommand(args) {
+function runMiniPrdCommand(parsed) {
   try {
-    // Parse and process the mini-prd command arguments
-    const [subCommand, ...subArgs] = args;
+    // Arguments and options are parsed by the registry
+    const subCommand = parsed.subcommand.name;
+    const { description, includes, excludes, plannedFiles } = parsed.options;
+    const prdOptions = Object.fromEntries(Object.entries({ description, includes, excludes, plannedFiles })
+      .filter(([, value]) => value !== undefined));
     
     // Check if the MiniPrdManager exists
     const miniPrdManagerPath = normalizePath(__dirname, '..', 'lib', 'mini-prd', 'manager.js');
     if (!fs.existsSync(miniPrdManagerPath)) {
-      console.error(`❌ Mini-PRD manager not found at: ${miniPrdManagerPath}`);
-      process.exit(1);
+      fail(ERROR_CODES.NOT_FOUND, `Mini-PRD manager not found at: ${miniPrdManagerPath}`);
     }
     
     // Load the MiniPrdManager class
     const MiniPrdManager = require(miniPrdManagerPath);
-    const manager = new MiniPrdManager(projectRoot);
+    if (subCommand === 'list' && parsed.options.allPackages) {
+      runMiniPrdListAllPackages(MiniPrdManager);
+      return;
+    }
+    const config = loadConfig();
+    const manager = new MiniPrdManager(config.__projectRoot || projectRoot, config);
+    
+    // Fail with E_NOT_FOUND for unknown ids rather than a generic error
+    const requirePrd = id => {
+      try {
+        manager.getPrd(id);
+      } catch (err) {
+        fail(ERROR_CODES.NOT_FOUND, err.message);
+      }
+    };
     
     switch (subCommand) {
       case 'create':
-        // Parse create command parameters
-        const name = subArgs[0];
-        if (!name) {
-          console.error('❌ Error: Mini-PRD name is required');
-          process.exit(1);
-        }
-        
-        // Parse options
-        const options = {};
-        for (let i = 1; i < subArgs.length; i++) {
-          if (subArgs[i].startsWith('--')) {
-            const option = subArgs[i].substring(2);
-            const value = subArgs[i+1];
-            if (value && !value.startsWith('--')) {
-              if (option === 'includes' || option === 'excludes' || option === 'plannedFiles') {
-                options[option] = value.split(',');
-              } else {
-                options[option] = value;
-              }
-              i++; // Skip the value in the next iteration
-            } else {
-              options[option] = true;
-            }
-          }
-        }
-        
+        const name = parsed.args.name;
         try {
-          const id = manager.createPrd(name, options);
+          const id = manager.createPrd(name, prdOptions);
           console.log(`✅ Created Mini-PRD ${id}: ${name}`);
           const filename = `${id}-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.md`;
-          console.log(`📝 Markdown file: _docs/project-docs/prds/${filename}`);
+          const file = path.relative(process.cwd(), path.join(manager.docsDir, filename)).split(path.sep).join('/');
+          console.log(`📝 Markdown file: ${file}`);
+          succeed({ id, name, file });
         } catch (err) {
-          console.error(`❌ Error creating Mini-PRD: ${err.message}`);
-          process.exit(1);
+          fail(ERROR_CODES.FAILED, `Error creating Mini-PRD: ${err.message}`);
         }
         break;
         
       case 'update':
-        // Check for PRD ID
-        const updateId = subArgs[0];
-        if (!updateId) {
-          console.error('❌ Error: Mini-PRD ID is required');
-          process.exit(1);
-        }
-        
-        // Parse update options
-        const updateOptions = {};
-        for (let i = 1; i < subArgs.length; i++) {
-          if (subArgs[i].startsWith('--')) {
-            const option = subArgs[i].substring(2);
-            const value = subArgs[i+1];
-            if (value && !value.startsWith('--')) {
-              if (option === 'add' || option === 'include') {
-                updateOptions.includes = value.split(',');
-              } else if (option === 'exclude') {
-                updateOptions.excludes = value.split(',');
-              } else if (option === 'plannedFiles' || option === 'planned') {
-                updateOptions.plannedFiles = value.split(',');
-              } else {
-                updateOptions[option] = value;
-              }
-              i++; // Skip the value in the next iteration
-            }
-          }
-        }
+        const updateId = parsed.args.id;
+        requirePrd(updateId);
         
         try {
-          const result = manager.updatePrd(updateId, updateOptions);
+          const result = manager.updatePrd(updateId, prdOptions);
           console.log(`✅ Updated Mini-PRD ${updateId}`);
-          console.log(`🔄 Updated: ${Object.keys(updateOptions).join(', ')}`);
+          console.log(`🔄 Updated: ${Object.keys(prdOptions).join(', ')}`);
+          succeed({ id: updateId, updated: Object.keys(prdOptions), prd: result });
         } catch (err) {
-          console.error(`❌ Error updating Mini-PRD: ${err.message}`);
-          process.exit(1);
+          fail(ERROR_CODES.FAILED, `Error updating Mini-PRD: ${err.message}`);
         }
         break;
         
       case 'snapshot':
-        // Check for PRD ID
-        const snapshotId = subArgs[0];
-        if (!snapshotId) {
-          console.error('❌ Error: Mini-PRD ID is required');
-          process.exit(1);
-        }
+        const snapshotId = parsed.args.id;
+        requirePrd(snapshotId);
         
         try {
           const result = manager.generateSnapshot(snapshotId);
           if (result.success) {
             console.log(`✅ Generated snapshot for Mini-PRD ${snapshotId}`);
             console.log(`📁 Profile: ${result.profileName}`);
+            succeed({ id: snapshotId, ...resultData(result) });
           } else {
-            console.error(`❌ Error generating snapshot: ${result.error}`);
-            process.exit(1);
+            fail(ERROR_CODES.FAILED, `Error generating snapshot: ${result.error}`);
           }
         } catch (err) {
-          console.error(`❌ Error generating snapshot: ${err.message}`);
-          process.exit(1);
+          fail(ERROR_CODES.FAILED, `Error generating snapshot: ${err.message}`);
         }
         break;
         
@@ -674,101 +779,194 @@ function runMiniPrdCommand(args) {
               console.log(`  - ${prd.id}: ${prd.name} (${prd.status})`);
             });
           }
+          succeed({ prds });
         } catch (err) {
-          console.error(`❌ Error listing Mini-PRDs: ${err.message}`);
-          process.exit(1);
+          fail(ERROR_CODES.FAILED, `Error listing Mini-PRDs: ${err.message}`);
         }
         break;
-        
-      default:
-        console.log('🔍 Mini-PRD Commands:');
-        console.log('  jaw-tools mini-prd create <n> [--options]');
-        console.log('  jaw-tools mini-prd update <id> [--options]');
-        console.log('  jaw-tools mini-prd snapshot <id>');
-        console.log('  jaw-tools mini-prd list');
-        break;
     }
   } catch (err) {
-    console.error(`❌ Error in mini-prd command: ${err.message}`);
-    process.exit(1);
+    fail(ERROR_CODES.FAILED, `Error in mini-prd command: ${err.message}`);
   }
 }
 
+function runMiniPrdListAllPackages(MiniPrdManager) {
+  const prds = [];
+  requireWorkspaceConfigs().forEach(target => {
+    const manager = new MiniPrdManager(target.dir, target.config);
+    const packagePrds = manager.listPrds();
+    console.log(`\n📦 ${target.name} (${target.path})`);
+    if (packagePrds.length === 0) {
+      console.log('  No Mini-PRDs found.');
+    }
+    packagePrds.forEach(prd => {
+      console.log(`  - ${prd.id}: ${prd.name} (${prd.status})`);
+      prds.push({ package: target.name, packagePath: target.path, ...prd });
+    });
+  });
+  succeed({ prds });
+}
+
 function showVersion() {
   try {
     const packageJsonPath = normalizePath(__dirname, '..', 'package.json');
     const packageJson = require(packageJsonPath);
     console.log(`jaw-tools v${packageJson.version}`);
+    succeed({ version: packageJson.version });
   } catch (err) {
     console.error(`❌ Error getting version: ${err.message}`);
     console.log('jaw-tools (version unknown)');
+    succeed({ version: null });
   }
 }
 
-function showHelp() {
-  console.log(`
-🛠️ jaw-tools - AI Development Utilities
+function showHelp(commandName) {
+  if (commandName) {
+    const spec = findCommand(commandName);
+    if (!spec) {
+      const closest = findClosestCommand(commandName);
+      fail(ERROR_CODES.UNKNOWN_COMMAND, closest ? `Unknown command: '${commandName}'. Did you mean '${closest}'?` : `Unknown command: '${commandName}'`);
+    }
+    showCommandHelp(spec);
+  }
+  
+  const help = formatHelp();
+  console.log(help);
+  succeed({ help: help.trim() });
+}
 
-Usage: jaw-tools <command> [arguments]
+function showCommandHelp(spec, subcommand = null) {
+  const help = formatCommandHelp(spec, subcommand);
+  console.log(help);
+  succeed({ help: help.trim() });
+}
 
-Commands:
-  setup                   Initialize and configure jaw-tools in your project
-  scaffold [--force]      Scaffold standard documentation and files to your project
-  doctor                  Check jaw-tools setup status
-  
-  repomix <subcommand>    Manage and run repomix profiles
-    list                  Show available profiles
-    run <profile>         Generate a snapshot with the specified profile
-    add <profile>         Add a new profile
-    delete <profile>      Delete a profile
-    generate-from-prd     Generate a profile from a Mini-PRD file
-  
-  refresh [options]       Refresh templates from latest version (placed in _docs directory)
-    --force               Force overwrite all files
-    --yes                 Non-interactive mode (no prompts)
-    --pattern=<glob>      Only refresh files matching pattern
-  
-  refresh-profiles        Add new repomix profiles without changing existing ones
-  
-  compile <prompt-file>   Compile a prompt template
-  
-  workflow [sequence]     Run command sequences
-    list                  Show available command sequences
-    <sequence-name>       Run the specified sequence
-    
-  mini-prd <subcommand>   Manage Mini-PRDs
-    create <n>            Create a new Mini-PRD
-    update <id>           Update an existing Mini-PRD
-    snapshot <id>         Generate a snapshot for a Mini-PRD
-    list                  Show all Mini-PRDs
+function runPluginCommand(commandSpec, parsed) {
+  Promise.resolve()
+    .then(() => commandSpec.run(parsed, loadConfig()))
+    .then(result => {
+      if (result && result.success === false) {
+        fail(ERROR_CODES.FAILED, result.error || `${commandSpec.name} failed`, { data: resultData(result) });
+      }
+      // Show what the command returned; commands that print their own output return only { success: true }
+      const data = result ? resultData(result) : {};
+      if (Object.keys(data).length > 0) {
+        console.log(JSON.stringify(data, null, 2));
+      }
+      succeed(data);
+    })
+    .catch(err => {
+      fail(ERROR_CODES.FAILED, `Error running ${commandSpec.name} (plugin ${commandSpec.plugin}): ${err.message}`);
+    });
+}
+
+function runConfigCommand(parsed) {
+  const configTools = require('../lib/config');
+  const format = value => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+  let result;
   
-  execution <subcommand>  Manage AI-assisted execution workflow
-    init                  Initialize execution tracking for a Mini-PRD
-    bundle                Bundle context for an execution stage
-    record-step           Record execution step results and generate summary
+  switch (parsed.subcommand.name) {
+    case 'show':
+      result = configTools.showConfig();
+      if (!parsed.options.origin) {
+        console.log(JSON.stringify(result.config, null, 2));
+        succeed({ configPath: result.configPath, config: result.config });
+      }
+      console.log(`\n⚙️ Effective configuration (${[
+        result.variables.length > 0 ? 'JAW_TOOLS_* variables' : null,
+        result.environment ? `environment ${result.environment}` : null,
+        path.relative(process.cwd(), result.configPath) || result.configPath
+      ].filter(Boolean).join(' over ')} over defaults):\n`);
+      configTools.flattenConfig(result.config).forEach(leaf => {
+        const origin = result.origins[leaf.path];
+        const variable = result.variables.find(override => override.path === leaf.path || leaf.path.startsWith(`${override.path}.`));
+        const label = origin === 'variable' && variable ? variable.variable : origin === 'environment' ? `environment ${result.environment}` : origin;
+        console.log(`${origin === 'default' ? '  ' : '📝'} ${leaf.path} = ${JSON.stringify(leaf.value)}  (${label})`);
+      });
+      succeed(resultData(result));
+      break;
+      
+    case 'get':
+      result = configTools.getConfigValue(parsed.args.path);
+      if (!result.success) {
+        fail(result.notFound ? ERROR_CODES.NOT_FOUND : ERROR_CODES.USAGE, result.error);
+      }
+      console.log(format(result.value));
+      succeed(resultData(result));
+      break;
+      
+    case 'set':
+      result = configTools.setConfigValue(parsed.args.path, configTools.parseConfigValue(parsed.args.value));
+      if (!result.success) {
+        fail(ERROR_CODES.FAILED, result.error, result.errors ? { data: { errors: result.errors } } : {});
+      }
+      console.log(`✅ Set ${result.path} = ${JSON.stringify(result.value)} in ${path.relative(process.cwd(), result.configPath)}`);
+      if (result.previous !== undefined) {
+        console.log(`   Previously: ${JSON.stringify(result.previous)}`);
+      }
+      succeed(resultData(result));
+      break;
+      
+    case 'diff':
+      result = configTools.diffConfig();
+      if (result.changes.length === 0) {
+        console.log('✅ The configuration matches the defaults');
+      } else {
+        console.log(`\n📋 ${result.changes.length} change(s) from the defaults:\n`);
+        result.changes.forEach(change => {
+          console.log(change.type === 'added'
+            ? `+ ${change.path} = ${JSON.stringify(change.value)}`
+            : `~ ${change.path}: ${JSON.stringify(change.default)} → ${JSON.stringify(change.value)}`);
+        });
+      }
+      succeed(resultData(result));
+      break;
+      
+    case 'validate':
+      runConfigValidate();
+      break;
+  }
+}
+
+function runConfigValidate() {
+  const { validateConfig } = require('../src/config-schema');
+  const { configPath, exists, config, error } = configManager.readProjectConfig();
+  const file = path.relative(process.cwd(), configPath) || configPath;
   
-  version                 Show jaw-tools version
-  help                    Show this help
+  if (!exists) {
+    fail(ERROR_CODES.CONFIG, `No jaw-tools config file found in ${path.dirname(configPath)}`, { hint: "Run 'npx jaw-tools setup' first." });
+  }
+  if (error) {
+    fail(ERROR_CODES.CONFIG, `Could not load ${file}: ${error}`);
+  }
   
-Aliases:
-  r = repomix
-  c = compile
-  w = workflow
-  mprd = mini-prd
-  e = execution
-  v = version
-  h = help
-`);
+  const { errors } = validateConfig(config);
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} problem(s) in ${file}:`);
+    errors.forEach(problem => console.error(`   - ${problem.message}`));
+    fail(ERROR_CODES.CHECK_FAILED, `${errors.length} problem(s) in ${file}`, { data: { file, errors }, reported: true });
+  }
+  console.log(`✅ ${file} is valid`);
+  succeed({ file, errors });
+}
+
+function runCompletion(shell) {
+  const { generateCompletion } = require('../src/completions');
+  const script = generateCompletion(shell);
+  if (!isJsonMode()) {
+    process.stdout.write(script);
+  }
+  succeed({ shell, script });
 }
 
 // Utility function to run the refresh command
-function runRefresh(args) {
+function runRefresh(refreshOptions) {
   try {
-    // Parse options
+    // --json and interactive: false imply --yes: there is no way to answer questions
     const options = {
-      force: args.includes('--force'),
-      interactive: !args.includes('--yes'),
-      pattern: args.find(arg => arg.startsWith('--pattern='))?.split('=')[1]
+      force: Boolean(refreshOptions.force),
+      interactive: !refreshOptions.yes && isInteractive(loadConfig()),
+      pattern: refreshOptions.pattern
     };
     
     // Get refresh module
@@ -778,23 +976,20 @@ function runRefresh(args) {
     refresh.refreshTemplates(options)
       .then(result => {
         if (!result.success) {
-          console.error(`❌ Refresh failed: ${result.error || 'Unknown error'}`);
-          process.exit(1);
+          fail(ERROR_CODES.FAILED, `Refresh failed: ${result.error || 'Unknown error'}`);
         }
-        process.exit(0);
+        succeed(resultData(result));
       })
       .catch(err => {
-        console.error(`❌ Error during refresh: ${err.message}`);
-        process.exit(1);
+        fail(ERROR_CODES.FAILED, `Error during refresh: ${err.message}`);
       });
   } catch (err) {
-    console.error(`❌ Failed to run refresh: ${err.message}`);
-    process.exit(1);
+    fail(ERROR_CODES.FAILED, `Failed to run refresh: ${err.message}`);
   }
 }
 
 // Utility function to run the refresh-profiles command
-function runRefreshProfiles(args) {
+function runRefreshProfiles() {
   try {
     // Get refresh module
     const refresh = require('../lib/refresh');
@@ -803,72 +998,37 @@ function runRefreshProfiles(args) {
     refresh.refreshRepomixProfiles()
       .then(result => {
         if (!result.success) {
-          console.error(`❌ Profile refresh failed: ${result.error || 'Unknown error'}`);
-          process.exit(1);
+          fail(ERROR_CODES.FAILED, `Profile refresh failed: ${result.error || 'Unknown error'}`);
         }
-        process.exit(0);
+        succeed(resultData(result));
       })
       .catch(err => {
-        console.error(`❌ Error refreshing profiles: ${err.message}`);
-        process.exit(1);
+        fail(ERROR_CODES.FAILED, `Error refreshing profiles: ${err.message}`);
       });
   } catch (err) {
-    console.error(`❌ Failed to refresh profiles: ${err.message}`);
-    process.exit(1);
+    fail(ERROR_CODES.FAILED, `Failed to refresh profiles: ${err.message}`);
   }
 }
 
-// Utility function to load the config file
+// Utility function to load the config file. With --json, interactive is
+// false, so nothing the command calls asks questions.
 function loadConfig() {
   try {
-    return configManager.getConfig();
+    const config = configManager.getConfig();
+    return { ...config, interactive: isInteractive(config) };
   } catch (err) {
     console.error(`❌ Error loading config: ${err.message}`);
     return {};
   }
 }
 
-// Utility function to convert kebab-case to camelCase
-function camelCase(str) {
-  return str.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+// Whether commands may ask questions: not with --json or when the config sets interactive: false
+function isInteractive(config) {
+  return !isJsonMode() && config.interactive !== false;
 }
 
-// Helper function to find the closest valid command
-function findClosestCommand(input) {
-  const closest = validCommands.reduce((a, b) => {
-    const distanceA = levenshteinDistance(a, input);
-    const distanceB = levenshteinDistance(b, input);
-    return distanceA < distanceB ? a : b;
-  });
-  return closest;
+// Utility function to drop the success flag and error from a result for --json data
+function resultData(result) {
+  const { success, error, ...data } = result;
+  return data;
 }
-
-// Helper function to calculate levenshtein distance
-function levenshteinDistance(a, b) {
-  const matrix = [];
-
-  // Initialize the matrix
-  for (let i = 0; i <= b.length; i++) {
-    matrix[i] = [i];
-  }
-  for (let j = 0; j <= a.length; j++) {
-    matrix[0][j] = j;
-  }
-
-  // Fill in the rest of the matrix
-  for (let i = 1; i <= b.length; i++) {
-    for (let j = 1; j <= a.length; j++) {
-      if (b.charAt(i - 1) === a.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1, // substitution
-          Math.min(matrix[i][j - 1] + 1, // insertion
-          matrix[i - 1][j] + 1) // deletion
-        );
-      }
-    }
-  }
-
-  return matrix[b.length][a.length];
-} 
\ No newline at end of file
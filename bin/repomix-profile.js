@@ -29,13 +29,13 @@ if (!fs.existsSync(profilesManagerPath)) {
     fs.mkdirSync(profilesDir, { recursive: true });
   }
   
-  // Create a basic profiles-manager.js
-  const sourceProfileManager = path.join(__dirname, '..', 'lib', 'profiles-manager.js');
-  if (fs.existsSync(sourceProfileManager)) {
-    fs.copyFileSync(sourceProfileManager, profilesManagerPath);
+  // Install the profiles-manager.js that comes with jaw-tools
+  const { installProfilesManager } = require('../lib/repomix/profiles');
+  const installed = installProfilesManager(profilesDir);
+  if (installed.success) {
     console.log(`Created profiles-manager.js in ${profilesDir}`);
   } else {
-    console.error(`Error: Could not find profiles-manager.js in ${path.join(__dirname, '..', 'lib')}`);
+    console.error(`Error: Could not install profiles-manager.js: ${installed.error}`);
     process.exit(1);
   }
 }
@@ -0,0 +1,316 @@
+/**
+ * jaw-tools programmatic API
+ *
+ *   const jawTools = require('jaw-tools');
+ *   const result = await jawTools.compile('_docs/prompts/review.md', { vars: { feature: 'checkout' } });
+ *   if (!result.success) console.error(result.error);
+ *
+ * Every function returns a promise for a result object with `success` and,
+ * on failure, `error`. Nothing calls process.exit and nothing prompts for
+ * input. Each function accepts an options object whose `config` property
+ * replaces the config file of the current project.
+ */
+
+const path = require('path');
+const configManager = require('./src/config-manager');
+
+/**
+ * Resolve the configuration for a call. API calls never ask questions, so
+ * `interactive` is always false.
+ * @param {Object} options Call options
+ * @returns {Object} jaw-tools configuration
+ */
+function resolveConfig(options = {}) {
+  return { ...(options.config || configManager.getConfig()), interactive: false };
+}
+
+/**
+ * Run an operation, turning thrown errors into a failed result
+ * @param {Function} operation Sync or async function returning a result object
+ * @returns {Promise<Object>} Result with success and, on failure, error
+ */
+async function attempt(operation) {
+  try {
+    return await operation();
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Mini-PRD manager for the configured project
+ * @param {Object} config jaw-tools configuration
+ * @returns {Object} MiniPrdManager instance
+ */
+function miniPrdManager(config) {
+  const MiniPrdManager = require('./lib/mini-prd/manager');
+  return new MiniPrdManager(config.__projectRoot || process.cwd(), config);
+}
+
+/**
+ * Compile a prompt template
+ * @param {string} promptFile Path to the template
+ * @param {Object} options Compile options (see lib/compile-prompt), plus `config`
+ * @returns {Promise<Object>} Result with outFile, outputs, tokens, manifestFile and problems
+ */
+function compile(promptFile, options = {}) {
+  return attempt(() => {
+    const { config, ...compileOptions } = options;
+    const { compile: compilePrompt } = require('./lib/compile-prompt');
+    return compilePrompt(promptFile, compileOptions, resolveConfig(options));
+  });
+}
+
+/**
+ * Lint prompt templates
+ * @param {Array<string>} files Templates to lint; all templates in the prompts directory when empty
+ * @param {Object} options Compile options such as vars and maxTokens, plus `config`
+ * @returns {Promise<Object>} Result with the lint report
+ */
+function lint(files = [], options = {}) {
+  return attempt(() => {
+    const { config, ...lintOptions } = options;
+    const { lintPrompts } = require('./lib/prompt-compiler/lint');
+    return lintPrompts(files, resolveConfig(options), lintOptions);
+  });
+}
+
+const repomix = {
+  /**
+   * List repomix profiles and their last outputs
+   * @param {Object} options Options with `config`
+   * @returns {Promise<Object>} Result with profiles
+   */
+  list(options = {}) {
+    return attempt(() => {
+      const { listProfiles } = require('./lib/repomix');
+      return { success: true, profiles: listProfiles(resolveConfig(options)) };
+    });
+  },
+
+  /**
+   * Generate a snapshot with a repomix profile
+   * @param {string} profile Profile name
+   * @param {Object} options Options with `output`, `quiet` and `config`
+   * @returns {Promise<Object>} Result with output path, size and tokens
+   */
+  run(profile, options = {}) {
+    return attempt(() => {
+      const { runProfile } = require('./lib/repomix');
+      return runProfile(profile, resolveConfig(options), options);
+    });
+  },
+
+  /**
+   * Create a repomix profile from a Mini-PRD file
+   * @param {string} prdFile Path to the Mini-PRD
+   * @param {Object} options Options with `config`
+   * @returns {Promise<Object>} Result with the profile name
+   */
+  generateFromPrd(prdFile, options = {}) {
+    return attempt(() => {
+      const { generateProfileFromPrd } = require('./lib/repomix');
+      return generateProfileFromPrd({ prdFile }, resolveConfig(options));
+    });
+  }
+};
+
+const miniPrd = {
+  /**
+   * Create a Mini-PRD
+   * @param {string} name Mini-PRD name
+   * @param {Object} options description, includes, excludes and plannedFiles, plus `config`
+   * @returns {Promise<Object>} Result with id and prd
+   */
+  create(name, options = {}) {
+    return attempt(() => {
+      const { config, ...prdOptions } = options;
+      const manager = miniPrdManager(resolveConfig(options));
+      const id = manager.createPrd(name, prdOptions);
+      return { success: true, id, prd: manager.getPrd(id) };
+    });
+  },
+
+  /**
+   * Update a Mini-PRD
+   * @param {string} id Mini-PRD id, e.g. '012'
+   * @param {Object} updates description, includes, excludes and plannedFiles
+   * @param {Object} options Options with `config`
+   * @returns {Promise<Object>} Result with the updated prd
+   */
+  update(id, updates = {}, options = {}) {
+    return attempt(() => ({ success: true, prd: miniPrdManager(resolveConfig(options)).updatePrd(id, updates) }));
+  },
+
+  /**
+   * Get a Mini-PRD
+   * @param {string} id Mini-PRD id
+   * @param {Object} options Options with `config`
+   * @returns {Promise<Object>} Result with prd
+   */
+  get(id, options = {}) {
+    return attempt(() => ({ success: true, prd: miniPrdManager(resolveConfig(options)).getPrd(id) }));
+  },
+
+  /**
+   * List Mini-PRDs with their status
+   * @param {Object} options Options with `config`
+   * @returns {Promise<Object>} Result with prds
+   */
+  list(options = {}) {
+    return attempt(() => ({ success: true, prds: miniPrdManager(resolveConfig(options)).listPrds() }));
+  },
+
+  /**
+   * Generate a repomix snapshot for a Mini-PRD
+   * @param {string} id Mini-PRD id
+   * @param {Object} options Options with `config`
+   * @returns {Promise<Object>} Result with profileName and repomix output
+   */
+  snapshot(id, options = {}) {
+    return attempt(() => miniPrdManager(resolveConfig(options)).generateSnapshot(id));
+  }
+};
+
+const execution = {
+  /**
+   * Initialize execution tracking for a Mini-PRD
+   * @param {Object} options prdFile, plus `config`
+   * @returns {Promise<Object>} Result with prdId and prdName
+   */
+  init(options = {}) {
+    return attempt(() => {
+      const { config, ...initOptions } = options;
+      return require('./lib/execution').initExecution(initOptions, resolveConfig(options));
+    });
+  },
+
+  /**
+   * Bundle context for an execution stage
+   * @param {Object} options prdFile, stageName, metaPrompt, repomixProfile and
+   *   prevStageSummary, plus `config`
+   * @returns {Promise<Object>} Result with stageDir and compiledMetaPrompt
+   */
+  bundle(options = {}) {
+    return attempt(() => {
+      const { config, ...bundleOptions } = options;
+      return require('./lib/execution').bundleExecution(bundleOptions, resolveConfig(options));
+    });
+  },
+
+  /**
+   * Record the result of an execution step
+   * @param {Object} options prdFile, stageName, status, instructionsFile, logFile
+   *   and feedbackFile, plus `config`
+   * @returns {Promise<Object>} Result with stageDir and status
+   */
+  recordStep(options = {}) {
+    return attempt(() => {
+      const { config, ...recordOptions } = options;
+      return require('./lib/execution').recordExecutionStep(recordOptions, resolveConfig(options));
+    });
+  }
+};
+
+const workflow = {
+  /**
+   * List the configured command sequences
+   * @param {Object} options Options with `config`
+   * @returns {Promise<Object>} Result with sequences and defaultSequence
+   */
+  list(options = {}) {
+    return attempt(() => {
+      const config = resolveConfig(options);
+      return {
+        success: true,
+        sequences: config.workflow?.sequences || {},
+        defaultSequence: config.workflow?.defaultSequence || 'default'
+      };
+    });
+  },
+
+  /**
+   * Run a command sequence
+   * @param {string} sequenceName Sequence to run; the default sequence if omitted
+   * @param {Object} options continueOnError, plus `config`
+   * @returns {Promise<Object>} Result with the sequence name
+   */
+  run(sequenceName, options = {}) {
+    return attempt(async () => {
+      const config = resolveConfig(options);
+      const sequence = sequenceName || config.workflow?.defaultSequence || 'default';
+      const { runSequence } = require('./lib/workflow');
+      const success = await runSequence(config, sequence, { continueOnError: Boolean(options.continueOnError) });
+      return success ? { success, sequence } : { success, sequence, error: `Sequence "${sequence}" failed` };
+    });
+  }
+};
+
+/**
+ * Check the jaw-tools setup
+ * @returns {Promise<Object>} Diagnostics, with success set to the overall health
+ */
+function doctor() {
+  return attempt(async () => {
+    const results = await require('./lib/doctor').runDiagnostics();
+    return { success: results.overall, ...results };
+  });
+}
+
+/**
+ * Scaffold the standard documentation into the project
+ * @param {Object} options `force` to overwrite everything, or `onConflict`
+ *   ('skip', the default, or 'overwrite') for existing files, plus `config`
+ * @returns {Promise<Object>} Result with file counts
+ */
+function scaffold(options = {}) {
+  return attempt(() => require('./lib/scaffold').scaffold(
+    resolveConfig(options),
+    Boolean(options.force),
+    { onConflict: options.onConflict || 'skip' }
+  ));
+}
+
+/**
+ * Load the configuration of the current project
+ * @returns {Object} jaw-tools configuration merged with the defaults
+ */
+function getConfig() {
+  return configManager.getConfig();
+}
+
+/**
+ * Check a configuration against the config schema
+ * @param {Object} options Options; `config` is checked instead of the project's config file
+ * @returns {Promise<Object>} Result with errors, each with the config path and a message
+ */
+function validateConfig(options = {}) {
+  return attempt(() => {
+    const { validateConfig: validate } = require('./src/config-schema');
+    let config = options.config;
+    if (!config) {
+      const project = configManager.readProjectConfig();
+      if (!project.exists || project.error) {
+        return { success: false, error: project.error || `No jaw-tools config file found in ${path.dirname(project.configPath)}`, errors: [] };
+      }
+      config = project.config;
+    }
+    const { valid, errors } = validate(config);
+    return valid
+      ? { success: true, errors }
+      : { success: false, error: `${errors.length} problem(s) in the configuration`, errors };
+  });
+}
+
+module.exports = {
+  compile,
+  lint,
+  repomix,
+  miniPrd,
+  execution,
+  workflow,
+  doctor,
+  scaffold,
+  getConfig,
+  validateConfig
+};
@@ -25,6 +25,32 @@ try {
 }
 
 const path = require('path');
+const crypto = require('crypto');
+const { getTokenizer } = require('../src/tokenizer');
+const { render, createPartialLoader } = require('../src/template-engine');
+const { parsePriority, applyTokenBudget } = require('./prompt-compiler/tokenBudget');
+const { describeFile, buildManifest } = require('./prompt-compiler/manifest');
+const { DEFAULT_GLOB_WRAP, parseWrapFormat, wrapFile } = require('./prompt-compiler/wrap');
+const { parseSelector, applySelector } = require('./prompt-compiler/selectors');
+const { isGitPlaceholder, gitPlaceholderType, resolveGitPlaceholder } = require('./prompt-compiler/git');
+const { isExecPlaceholder, resolveExecPlaceholder } = require('./prompt-compiler/exec');
+const { loadPlugins, findPlaceholder } = require('../src/plugins');
+const {
+  OUTPUT_FORMATS,
+  parseRole,
+  parseFormats,
+  splitMessages,
+  checkMessages,
+  formatOutput,
+  copyToClipboard
+} = require('./prompt-compiler/formats');
+const { INDEX_FILE, recordOutput } = require('./prompt-compiler/outputIndex');
+const {
+  parseVarArgs,
+  loadVarsFile,
+  extractFrontMatterVariables,
+  resolveVariables
+} = require('./prompt-compiler/variables');
 let glob;
 try {
   glob = require('glob');
@@ -38,6 +64,36 @@ try {
   };
 }
 
+// Markers standing in for placeholder content until the budget is applied
+const INCLUSION_MARKER_REGEX = /\u0000INCLUDE:(\d+)\u0000/g;
+
+/**
+ * Marker for an inclusion in the rendered template
+ * @param {number} index Inclusion index
+ * @returns {string} Marker text
+ */
+function inclusionMarker(index) {
+  return `\u0000INCLUDE:${index}\u0000`;
+}
+
+// Inclusions above this size trigger a warning when no budget is set
+const LARGE_INCLUSION_TOKENS = 25000;
+
+// Logger used when compile is asked to be quiet
+const SILENT_LOGGER = { log: () => {}, warn: () => {}, error: () => {} };
+
+// Length of the content hash used in reproducible output names
+const OUTPUT_HASH_LENGTH = 12;
+
+/**
+ * Normalize CRLF and CR line endings to LF
+ * @param {string} text Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeLineEndings(text) {
+  return text.replace(/\r\n?/g, '\n');
+}
+
 // Helper to pad numbers
 function pad(num, size) {
   let s = num + '';
@@ -46,9 +102,356 @@ function pad(num, size) {
 }
 
 /**
- * Compile a prompt template, replacing file placeholders with content
+ * Parse the text inside a {{...}} placeholder.
+ * Options follow the target, separated by `|`, e.g. `{{src/**\/*.js | priority=low | wrap=xml}}`.
+ * The target may end in a selector: `#L10-80`, `#heading-slug` or `@functionName`.
+ * @param {string} raw Placeholder text without braces
+ * @returns {Object} Parsed placeholder with target, selector and options
+ */
+function parsePlaceholder(raw) {
+  const [fullTarget, ...optionParts] = raw.split('|').map(part => part.trim());
+  // Git, command and plugin placeholders handle their own arguments, which may contain `#` or `@`
+  const { path: target, selector } = isGitPlaceholder(fullTarget) || isExecPlaceholder(fullTarget) || findPlaceholder(fullTarget)
+    ? { path: fullTarget, selector: null }
+    : parseSelector(fullTarget);
+  const options = {};
+  
+  optionParts.filter(Boolean).forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq === -1) {
+      options[part] = true;
+    } else {
+      options[part.substring(0, eq).trim()] = part.substring(eq + 1).trim();
+    }
+  });
+  
+  return {
+    raw,
+    target,
+    selector,
+    options,
+    priority: parsePriority(options.priority),
+    wrap: options.wrap ? parseWrapFormat(options.wrap) : null
+  };
+}
+
+/**
+ * Render an inclusion's files to the text that replaces its placeholder
+ * @param {Object} inclusion Resolved inclusion
+ * @returns {string} Rendered content
+ */
+function renderInclusion(inclusion) {
+  const rendered = inclusion.files.map(file => wrapFile(file, inclusion.wrap)).join('');
+  // A single wrapped file replaces its placeholder in place, without a leading blank line
+  return inclusion.type === 'glob' ? rendered : rendered.replace(/^\n/, '');
+}
+
+/**
+ * Mark an inclusion as unresolved. The comment replaces the placeholder;
+ * the problem is reported by strict mode.
+ * @param {Object} inclusion Inclusion (mutated)
+ * @param {string} kind Problem kind, e.g. `missing-file` or `empty-glob`
+ * @param {string} message Description of the problem
+ * @param {string} comment Text that replaces the placeholder
+ * @returns {Object} The inclusion
+ */
+function unresolved(inclusion, kind, message, comment) {
+  inclusion.problem = { kind, placeholder: inclusion.raw, message };
+  inclusion.content = comment;
+  return inclusion;
+}
+
+/**
+ * Narrow a file's content to a placeholder's selector
+ * @param {Object} file File with path and content
+ * @param {Object} selector Parsed selector
+ * @returns {Object} File with the selected content and its line range
+ */
+function selectFromFile(file, selector) {
+  const selected = applySelector(file.content, selector);
+  return { ...file, content: selected.content, selector: selector.raw, lines: selected.lines };
+}
+
+/**
+ * Resolve a plugin placeholder (see src/plugins) to the files it includes
+ * @param {Object} inclusion Inclusion (mutated)
+ * @param {Object} pluginPlaceholder Placeholder registered by a plugin
+ * @param {Object} options Resolve options passed on to the plugin
+ * @returns {Object} The inclusion
+ */
+function resolvePluginPlaceholder(inclusion, pluginPlaceholder, options = {}) {
+  // Plugin output isn't tied to files that can be watched
+  inclusion.dependencies = [];
+  inclusion.plugin = pluginPlaceholder.plugin;
+  const result = pluginPlaceholder.resolve(pluginPlaceholder.argument, {
+    options: inclusion.options,
+    config: options.config,
+    dryRun: Boolean(options.dryRun)
+  });
+  if (result && typeof result.then === 'function') {
+    throw new Error(`Placeholder ${pluginPlaceholder.prefix}: returned a promise; placeholder resolvers must be synchronous`);
+  }
+  const files = Array.isArray(result) ? result : result === null || result === undefined ? [] : [result];
+  inclusion.files = files.map(file => (typeof file === 'string'
+    ? { path: `${pluginPlaceholder.prefix}: ${pluginPlaceholder.argument}`, language: '', content: file }
+    : { path: file.path, language: file.language, content: String(file.content ?? '') }));
+  return inclusion;
+}
+
+/**
+ * Resolve a placeholder to the files it includes
+ * @param {Object} placeholder Parsed placeholder
+ * @param {Object} options Resolve options
+ * @param {boolean} options.reproducible Sort glob matches and normalize line endings
+ * @param {string} options.wrap Wrap format for glob matches when the placeholder sets none
+ * @param {Object} options.git promptCompiler.git configuration
+ * @param {Object} options.exec Options for command placeholders (see prompt-compiler/exec)
+ * @param {Object} options.config jaw-tools configuration, passed to plugin placeholders
+ * @returns {Object} Inclusion with files and rendered content
+ */
+function resolveInclusion(placeholder, options = {}) {
+  const pathPattern = placeholder.target;
+  const isGit = isGitPlaceholder(pathPattern);
+  const isExec = isExecPlaceholder(pathPattern);
+  const pluginPlaceholder = isGit || isExec ? null : findPlaceholder(pathPattern);
+  const type = isGit ? gitPlaceholderType(pathPattern) : !pluginPlaceholder && pathPattern.includes('*') ? 'glob' : 'file';
+  const inclusion = {
+    ...placeholder,
+    type,
+    // Glob matches are wrapped by default; single files are included as-is
+    wrap: placeholder.wrap || (type === 'glob' ? parseWrapFormat(options.wrap || DEFAULT_GLOB_WRAP) : 'none'),
+    files: [],
+    content: '',
+    tokens: 0,
+    occurrences: 1,
+    trimmed: null
+  };
+  
+  const readFile = filePath => {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      return { path: filePath, content: options.reproducible ? normalizeLineEndings(content) : content };
+    } catch (err) {
+      return { path: filePath, content: '', error: err.message };
+    }
+  };
+  
+  if (isGit || isExec || pluginPlaceholder) {
+    try {
+      if (isGit) {
+        resolveGitPlaceholder(inclusion, { git: options.git, readFile });
+      } else if (isExec) {
+        resolveExecPlaceholder(inclusion, options.exec);
+      } else {
+        resolvePluginPlaceholder(inclusion, pluginPlaceholder, { config: options.config, dryRun: options.exec?.dryRun });
+      }
+    } catch (err) {
+      inclusion.files = [];
+      const kind = isGit ? 'git' : isExec ? 'exec' : 'plugin';
+      return unresolved(inclusion, kind, err.message, `<!-- ERROR: ${err.message} -->`);
+    }
+    if (options.reproducible) {
+      inclusion.files.forEach(file => {
+        file.content = normalizeLineEndings(file.content);
+      });
+    }
+    if (inclusion.files.length === 0) {
+      return unresolved(inclusion, 'empty-glob', `${pathPattern} matched no files`, `<!-- No files matched: ${pathPattern} -->`);
+    }
+    inclusion.content = renderInclusion(inclusion);
+    return inclusion;
+  }
+  
+  if (inclusion.type === 'glob') {
+    let files;
+    try {
+      files = glob.sync(pathPattern);
+    } catch (err) {
+      return unresolved(inclusion, 'glob-error', `Invalid glob pattern ${pathPattern}: ${err.message}`,
+        `<!-- Error processing glob pattern: ${pathPattern} -->`);
+    }
+    
+    if (files.length === 0) {
+      return unresolved(inclusion, 'empty-glob', `${pathPattern} matched no files`,
+        `<!-- No files matched pattern: ${pathPattern} -->`);
+    }
+    
+    if (options.reproducible) {
+      // glob returns matches in filesystem order; sort by POSIX path instead
+      files = files
+        .map(file => file.split(path.sep).join('/'))
+        .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    }
+    
+    for (const file of files) {
+      const entry = readFile(file);
+      if (entry.error || !placeholder.selector) {
+        inclusion.files.push(entry);
+        continue;
+      }
+      try {
+        inclusion.files.push(selectFromFile(entry, placeholder.selector));
+      } catch (err) {
+        // Matched files without the selected section or symbol are left out
+      }
+    }
+    
+    if (inclusion.files.length === 0) {
+      return unresolved(inclusion, 'selector', `No file matching ${pathPattern} contains ${placeholder.selector.raw}`,
+        `<!-- No files matched pattern: ${pathPattern}${placeholder.selector.raw} -->`);
+    }
+    
+    const unreadable = inclusion.files.filter(file => file.error);
+    if (unreadable.length > 0) {
+      inclusion.problem = {
+        kind: 'unreadable-file',
+        placeholder: inclusion.raw,
+        message: `Could not read ${unreadable.map(file => file.path).join(', ')}`
+      };
+    }
+    inclusion.content = renderInclusion(inclusion);
+    return inclusion;
+  }
+  
+  // Regular file path
+  let file;
+  try {
+    const content = fs.readFileSync(path.resolve(pathPattern), 'utf8');
+    file = { path: pathPattern, content: options.reproducible ? normalizeLineEndings(content) : content };
+  } catch (err) {
+    // A bare word such as {{feature}} is more likely an undefined variable than a file
+    const looksLikeVariable = !/[/\\.]/.test(pathPattern);
+    return unresolved(inclusion,
+      looksLikeVariable ? 'undefined-variable' : 'missing-file',
+      looksLikeVariable ? `${pathPattern} is not a variable or a file` : `Could not read file ${pathPattern}`,
+      `<!-- ERROR: Could not read file ${pathPattern} -->`);
+  }
+  
+  if (placeholder.selector) {
+    try {
+      file = selectFromFile(file, placeholder.selector);
+    } catch (err) {
+      return unresolved(inclusion, 'selector', `${err.message} in ${pathPattern}`,
+        `<!-- ERROR: ${err.message} in ${pathPattern} -->`);
+    }
+  }
+  
+  inclusion.files.push(file);
+  inclusion.content = renderInclusion(inclusion);
+  return inclusion;
+}
+
+/**
+ * Prepare an included template: strip front-matter that declares variables
+ * and return the declared defaults, which apply only inside the include
+ * @param {string} source Template source
+ * @param {string} filePath Template path, for error messages
+ * @returns {{ source: string, defaults: Object }} Template and default variables
+ */
+function prepareInclude(source, filePath) {
+  try {
+    const { content, declarations } = extractFrontMatterVariables(source);
+    return { source: content, defaults: resolveVariables({ declarations }).variables };
+  } catch (err) {
+    throw new Error(`${err.message} in ${path.relative(process.cwd(), filePath)}`);
+  }
+}
+
+/**
+ * Whether a placeholder names a prompt template to include and render
+ * rather than a file to paste in verbatim
+ * @param {string} key Placeholder text
+ * @param {string} promptsDir Absolute prompts directory
+ * @returns {string|null} Absolute template path, or null
+ */
+function findPromptInclude(key, promptsDir) {
+  const target = key.trim();
+  if (/[|#@*]/.test(target) || path.extname(target).toLowerCase() !== '.md') {
+    return null;
+  }
+  const includePath = path.resolve(target);
+  if (!includePath.startsWith(promptsDir + path.sep) || !fs.existsSync(includePath)) {
+    return null;
+  }
+  return includePath;
+}
+
+/**
+ * Parse a token budget from an option or config value
+ * @param {string|number} value Budget value
+ * @returns {number|null} Token budget, or null when unset
+ */
+function parseMaxTokens(value) {
+  if (value === undefined || value === null || value === false) {
+    return null;
+  }
+  
+  const maxTokens = parseInt(value, 10);
+  if (Number.isNaN(maxTokens) || maxTokens <= 0) {
+    console.warn(`⚠️ Ignoring invalid token budget: ${value}`);
+    return null;
+  }
+  return maxTokens;
+}
+
+/**
+ * Parse compile command line options.
+ * `--var key=value` (or `--var.key value`) may be repeated; other
+ * `--option value` pairs are camelCased.
+ * @param {Array<string>} args Arguments after the prompt file
+ * @returns {Object} Compile options
+ */
+function parseArgs(args) {
+  const options = {};
+  
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) continue;
+    
+    const optionName = args[i].substring(2);
+    const optionValue = args[i+1] && !args[i+1].startsWith('--') ? args[i+1] : true;
+    if (optionValue !== true) i++; // Skip the value in the next iteration
+    
+    if (optionName === 'var') {
+      options.vars = [...(options.vars || []), optionValue];
+    } else if (optionName.startsWith('var.')) {
+      options.vars = [...(options.vars || []), `${optionName.substring(4)}=${optionValue}`];
+    } else {
+      options[optionName.replace(/-([a-z])/g, (m, letter) => letter.toUpperCase())] = optionValue;
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Compile a prompt template, replacing file placeholders with content.
+ * Templates support {{#if}}/{{else}}, {{#each}}, {{> partial}} and \{{escaping}}
+ * through the shared template engine; partials are looked up next to the
+ * template and in the prompts directory.
+ * @param {string} promptFilePath Path to the prompt template
+ * @param {Object} options Compile options
+ * @param {number} options.maxTokens Token budget for the compiled prompt
+ * @param {Array<string>|Object} options.vars Variables as `key=value` strings or an object
+ * @param {string} options.varsFile Path to a JSON or YAML file of variables
+ * @param {string} options.outFile Write to this file instead of picking a new output name
+ * @param {boolean} options.strict Fail without writing output if any placeholder, variable
+ *   or partial can't be resolved
+ * @param {boolean} options.dryRun Resolve everything but write nothing; the result includes
+ *   the compiled text, inclusions and problems. Commands in {{exec:}} are not run.
+ * @param {boolean} options.quiet Don't log progress, warnings or errors
+ * @param {string|Array<string>} options.format Extra output formats, e.g. `openai,text`
+ *   (see prompt-compiler/formats); defaults to promptCompiler.output.formats
+ * @param {boolean} options.copy Copy the clipboard-friendly text to the system clipboard
+ * @param {boolean} options.noCache Re-run {{exec:}} commands instead of using cached output
+ * @param {boolean} options.reproducible Sort glob matches, normalize line endings and
+ *   name the output by its content hash so identical inputs give identical files
+ * @param {Object} configOverride jaw-tools configuration (loaded if not provided)
+ * @returns {Object} Result with success, outFile, token information and the
+ *   `dependencies` (files and glob patterns) the compiled prompt was built from
  */
 function compile(promptFilePath, options = {}, configOverride = null) {
+  const log = options.quiet ? SILENT_LOGGER : console;
+  
   // Try to load configuration if not provided
   let config;
   if (configOverride) {
@@ -65,90 +468,277 @@ function compile(promptFilePath, options = {}, configOverride = null) {
         },
         promptCompiler: {
           variables: {},
-          useNumberedOutputs: true
+          useNumberedOutputs: true,
+          strict: false,
+          reproducible: false,
+          wrap: DEFAULT_GLOB_WRAP
         }
       };
     }
   }
   
+  // Plugins may add placeholders
+  loadPlugins(config);
+  
   // Resolve the template path
   const templatePath = path.resolve(promptFilePath);
   
+  // Everything the compiled prompt is built from, so callers can watch it
+  const dependencies = { files: [templatePath], globs: [] };
+  const addDependency = filePath => {
+    const absolutePath = path.resolve(filePath);
+    if (!dependencies.files.includes(absolutePath)) {
+      dependencies.files.push(absolutePath);
+    }
+  };
+  if (options.varsFile) {
+    addDependency(options.varsFile);
+  }
+  
   // Read template
   let template;
+  let templateSource;
   try {
-    template = fs.readFileSync(templatePath, 'utf8');
+    template = templateSource = fs.readFileSync(templatePath, 'utf8');
   } catch (err) {
-    console.error(`Error reading template: ${templatePath}`);
-    console.error(err.message);
-    return { success: false, error: err.message };
+    log.error(`Error reading template: ${templatePath}`);
+    log.error(err.message);
+    return { success: false, error: err.message, dependencies };
   }
-
-  // Replace config variables first
-  if (config.promptCompiler.variables) {
-    Object.entries(config.promptCompiler.variables).forEach(([key, value]) => {
-      const regex = new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`, 'g');
-      template = template.replace(regex, value);
-    });
+  
+  const reproducible = Boolean(options.reproducible || config.promptCompiler.reproducible);
+  const strict = Boolean(options.strict || config.promptCompiler.strict);
+  
+  const outputConfig = config.promptCompiler.output || {};
+  let formats;
+  try {
+    formats = parseFormats(options.format || outputConfig.formats);
+  } catch (err) {
+    log.error(`❌ ${err.message}`);
+    return { success: false, error: err.message, dependencies };
+  }
+  
+  // Everything that could not be resolved; strict mode fails if there is any
+  const problems = [];
+  let missingVariables = [];
+  if (reproducible) {
+    template = normalizeLineEndings(template);
   }
 
-  // Find all {{...}} placeholders for files and globs
-  const placeholderRegex = /{{\s*([^}]+)\s*}}/g;
-  let match;
-  const replacements = {}; // Use an object to cache file reads
-  const pathsToProcess = new Set();
-
-  // First pass: collect all unique file paths and glob patterns
-  while ((match = placeholderRegex.exec(template)) !== null) {
-    pathsToProcess.add(match[1].trim());
+  // Collect variables: config < front-matter defaults < --vars-file < --var
+  let variables;
+  let defaultRole;
+  try {
+    const { content, declarations, role } = extractFrontMatterVariables(template);
+    template = content;
+    defaultRole = parseRole(role || 'user');
+    
+    const resolved = resolveVariables({
+      config: config.promptCompiler.variables || {},
+      declarations,
+      file: options.varsFile ? loadVarsFile(options.varsFile) : {},
+      cli: parseVarArgs(options.vars)
+    });
+    
+    missingVariables = resolved.missing.map(v => v.name);
+    if (resolved.missing.length > 0 && (strict || options.dryRun)) {
+      // Keep going so every problem is reported together
+      resolved.missing.forEach(v => problems.push({
+        kind: 'missing-variable',
+        placeholder: v.name,
+        message: `Required variable ${v.name} is not set${v.description ? ` (${v.description})` : ''}`
+      }));
+    } else if (resolved.missing.length > 0) {
+      const list = resolved.missing
+        .map(v => `   - ${v.name}${v.description ? `: ${v.description}` : ''}`)
+        .join('\n');
+      log.error(`❌ Missing required variables for ${path.relative(process.cwd(), templatePath)}:\n${list}`);
+      log.error(`   Provide them with --var <name>=<value> or --vars-file <path>`);
+      return {
+        success: false,
+        error: `Missing required variables: ${resolved.missing.map(v => v.name).join(', ')}`,
+        dependencies
+      };
+    }
+    variables = resolved.variables;
+  } catch (err) {
+    log.error(`❌ ${err.message}`);
+    return { success: false, error: err.message, dependencies };
   }
-  placeholderRegex.lastIndex = 0; // Reset regex index for the replacement pass
 
-  // Process file paths and glob patterns
-  for (const pathPattern of pathsToProcess) {
-    // Check if it's a glob pattern
-    if (pathPattern.includes('*')) {
-      try {
-        const files = glob.sync(pathPattern);
-        if (files.length === 0) {
-          replacements[pathPattern] = `<!-- No files matched pattern: ${pathPattern} -->`;
-          continue;
-        }
-        
-        let combinedContent = '';
-        for (const file of files) {
-          try {
-            const content = fs.readFileSync(file, 'utf8');
-            combinedContent += `\n// File: ${file}\n${content}\n`;
-          } catch (err) {
-            combinedContent += `\n// Error reading file: ${file}\n`;
+  // Render the template: variables, conditionals, loops and partials are
+  // handled by the template engine. Tags that are not variables are file
+  // placeholders; they are replaced by markers and filled in once the token
+  // budget has been applied.
+  const inclusions = [];
+  const inclusionsByKey = {}; // Cache file reads for repeated placeholders
+  const partials = [];
+  const promptsDir = path.resolve(config.directories.prompts);
+  const loadPartial = createPartialLoader([path.dirname(templatePath), promptsDir], {
+    onLoad: (partialPath, content) => {
+      addDependency(partialPath);
+      partials.push({ path: partialPath, content: reproducible ? normalizeLineEndings(content) : content });
+    },
+    prepare: (source, partialPath) => prepareInclude(reproducible ? normalizeLineEndings(source) : source, partialPath)
+  });
+  let rendered;
+  try {
+    rendered = render(template, variables, {
+      id: templatePath,
+      maxDepth: config.promptCompiler.maxIncludeDepth,
+      formatId: id => path.relative(process.cwd(), id) || id,
+      partials: loadPartial,
+      onMissingPartial: name => {
+        problems.push({ kind: 'missing-partial', placeholder: `> ${name}`, message: `Partial ${name} not found` });
+        return `<!-- Partial not found: ${name} -->`;
+      },
+      // {{path/to/prompt.md}} inside the prompts directory is rendered as a template
+      includes: key => {
+        const includePath = findPromptInclude(key, promptsDir);
+        return includePath ? loadPartial(includePath) : null;
+      },
+      onMissing: key => {
+        if (inclusionsByKey[key]) {
+          inclusionsByKey[key].occurrences++;
+        } else {
+          const inclusion = resolveInclusion(parsePlaceholder(key), {
+            config,
+            reproducible,
+            wrap: config.promptCompiler.wrap,
+            git: config.promptCompiler.git,
+            exec: {
+              exec: config.promptCompiler.exec,
+              projectRoot: config.__projectRoot,
+              excludeDirs: [config.directories.compiledPrompts],
+              noCache: options.noCache,
+              dryRun: options.dryRun
+            }
+          });
+          if (inclusion.dependencies) {
+            inclusion.dependencies.forEach(addDependency);
+          } else if (inclusion.type === 'glob') {
+            dependencies.globs.push(inclusion.target);
+            inclusion.files.forEach(file => addDependency(file.path));
+          } else {
+            // Watch missing files too, so creating them triggers a recompile
+            addDependency(inclusion.target);
           }
+          inclusion.index = inclusions.length;
+          inclusionsByKey[key] = inclusion;
+          inclusions.push(inclusion);
         }
-        replacements[pathPattern] = combinedContent;
-      } catch (err) {
-        replacements[pathPattern] = `<!-- Error processing glob pattern: ${pathPattern} -->`;
+        return inclusionMarker(inclusionsByKey[key].index);
       }
-    } else {
-            // Regular file path      try {        const absoluteFilePath = path.resolve(pathPattern);        const stats = fs.statSync(absoluteFilePath);        const fileSizeInKB = stats.size / 1024;                // Warn about large files (over 100KB)        if (fileSizeInKB > 100) {          console.warn(`⚠️ WARNING: Including large file (${Math.round(fileSizeInKB)}KB): ${pathPattern}`);          console.warn(`   This may result in excessive token usage with AI models.`);                    // For extremely large files (over 500KB), add a warning in the prompt          if (fileSizeInKB > 500) {            replacements[pathPattern] = `<!-- WARNING: File ${pathPattern} is extremely large (${Math.round(fileSizeInKB)}KB) and has been truncated -->\n\n// First part of ${pathPattern}:\n` +               fs.readFileSync(absoluteFilePath, 'utf8').substring(0, 50000) +               `\n\n// ... file truncated (${Math.round(fileSizeInKB)}KB total) ...`;            continue;          }        }                const fileContent = fs.readFileSync(absoluteFilePath, 'utf8');        replacements[pathPattern] = fileContent;      } catch (err) {        replacements[pathPattern] = `<!-- ERROR: Could not read file ${pathPattern} -->`;      }
+    });
+  } catch (err) {
+    log.error(`❌ Error compiling template ${path.relative(process.cwd(), templatePath)}: ${err.message}`);
+    return { success: false, error: err.message, dependencies };
+  }
+
+  // Missing required variables are reported once, not again as missing files
+  inclusions
+    .filter(inclusion => inclusion.problem && !missingVariables.includes(inclusion.target))
+    .forEach(inclusion => problems.push(inclusion.problem));
+  
+  if (problems.length > 0) {
+    const templateName = path.relative(process.cwd(), templatePath);
+    const list = problems.map(problem => `   - [${problem.kind}] {{${problem.placeholder}}}: ${problem.message}`).join('\n');
+    if (strict && !options.dryRun) {
+      log.error(`❌ Strict mode: ${problems.length} unresolved item(s) in ${templateName}; no output written:\n${list}`);
+      return {
+        success: false,
+        error: `Strict mode: ${problems.length} unresolved item(s) in ${templateName}`,
+        problems,
+        dependencies
+      };
     }
+    log.warn(`⚠️ ${problems.length} placeholder(s) in ${templateName} could not be resolved (use --strict to fail instead):\n${list}`);
   }
 
-  // Replace all placeholders
-  let compiled = template.replace(placeholderRegex, (_, pathPattern) => {
-    return replacements[pathPattern.trim()] || `<!-- File not found: ${pathPattern.trim()} -->`;
+  // Count tokens with the configured tokenizer
+  const tokenizer = getTokenizer(config);
+  inclusions.forEach(inclusion => {
+    inclusion.tokens = tokenizer.count(inclusion.content);
+    // Record every matched file as read, before the budget trims anything
+    inclusion.matched = inclusion.files.map(file => ({
+      ...describeFile(file.path, file.content),
+      tokens: tokenizer.count(file.content),
+      lines: file.lines,
+      error: file.error
+    }));
   });
 
+  // Enforce the token budget, trimming low-priority inclusions first
+  const maxTokens = parseMaxTokens(options.maxTokens || config.promptCompiler.maxTokens);
+  let budgetReport = null;
+  if (maxTokens) {
+    const fixedTokens = tokenizer.count(rendered.replace(INCLUSION_MARKER_REGEX, ''));
+    budgetReport = applyTokenBudget(inclusions, fixedTokens, maxTokens, tokenizer, renderInclusion);
+    
+    if (budgetReport.trimmed.length > 0) {
+      log.warn(`⚠️ Prompt exceeded the ${maxTokens} token budget (${budgetReport.tokensBefore} tokens). Trimmed ${budgetReport.trimmed.length} inclusion(s):`);
+      budgetReport.trimmed.forEach(entry => {
+        log.warn(`   - ${entry.placeholder} [${entry.priority}]: ${entry.tokensBefore} -> ${entry.tokensAfter} tokens`);
+      });
+    }
+    if (!budgetReport.withinBudget) {
+      log.warn(`⚠️ Prompt is still over budget (${budgetReport.tokensAfter} tokens); only required inclusions and template text remain.`);
+    }
+  } else {
+    inclusions
+      .filter(inclusion => inclusion.tokens > LARGE_INCLUSION_TOKENS)
+      .forEach(inclusion => {
+        log.warn(`⚠️ WARNING: Including large content (${inclusion.tokens} tokens): ${inclusion.raw}`);
+        log.warn(`   This may result in excessive token usage with AI models. Use --max-tokens to enforce a budget.`);
+      });
+  }
+
+  // Replace all placeholders
+  const fillInclusions = text => {
+    const filled = text.replace(INCLUSION_MARKER_REGEX, (_, index) => inclusions[index].content);
+    return reproducible ? normalizeLineEndings(filled) : filled;
+  };
+  const compiled = fillInclusions(rendered);
+  
+  // Split into chat messages before filling in files, so role markers in included files are left alone
+  let messages;
+  try {
+    messages = splitMessages(rendered, defaultRole, fillInclusions);
+    checkMessages(formats, messages);
+  } catch (err) {
+    log.error(`❌ ${err.message} in ${path.relative(process.cwd(), templatePath)}`);
+    return { success: false, error: err.message, dependencies };
+  }
+
+  if (options.dryRun) {
+    const tokens = tokenizer.count(compiled);
+    return {
+      success: true,
+      dryRun: true,
+      compiled,
+      tokens,
+      tokensBeforeBudget: budgetReport ? budgetReport.tokensBefore : tokens,
+      maxTokens,
+      messages,
+      budgetReport,
+      inclusions,
+      partials,
+      problems,
+      dependencies
+    };
+  }
+
   // Prepare output directory
   const outDirRelative = config.directories.compiledPrompts;
-  const outDir = path.resolve(outDirRelative);
+  const outDir = path.resolve(config.__projectRoot || process.cwd(), outDirRelative);
 
   if (!fs.existsSync(outDir)) {
     try {
       fs.mkdirSync(outDir, { recursive: true });
     } catch (err) {
-      console.error(`Error creating output directory: ${outDir}`);
-      console.error(err.message);
-      return { success: false, error: err.message };
+      log.error(`Error creating output directory: ${outDir}`);
+      log.error(err.message);
+      return { success: false, error: err.message, dependencies };
     }
   }
 
@@ -156,7 +746,14 @@ function compile(promptFilePath, options = {}, configOverride = null) {
   const promptName = path.basename(templatePath, path.extname(templatePath));
   let outFile;
 
-  if (config.promptCompiler.useNumberedOutputs) {
+  if (options.outFile) {
+    // Overwrite a previous output, e.g. when recompiling in watch mode
+    outFile = path.resolve(options.outFile);
+  } else if (reproducible) {
+    // Name by content so the same inputs always map to the same file
+    const hash = crypto.createHash('sha256').update(compiled).digest('hex').substring(0, OUTPUT_HASH_LENGTH);
+    outFile = path.join(outDir, `${promptName}-${hash}.md`);
+  } else if (config.promptCompiler.useNumberedOutputs) {
     // Find next available number
     let nextNum = 1;
     try {
@@ -166,7 +763,7 @@ function compile(promptFilePath, options = {}, configOverride = null) {
         nextNum = Math.max(...nums) + 1;
       }
     } catch (err) {
-      console.warn(`Warning: Could not read output directory ${outDir} to determine next file number. Defaulting to 001.`);
+      log.warn(`Warning: Could not read output directory ${outDir} to determine next file number. Defaulting to 001.`);
     }
     
     const paddedNum = pad(nextNum, 3);
@@ -176,15 +773,82 @@ function compile(promptFilePath, options = {}, configOverride = null) {
     outFile = path.join(outDir, `${promptName}.md`);
   }
 
+  const tokens = tokenizer.count(compiled);
+
   // Write output
   try {
     fs.writeFileSync(outFile, compiled, 'utf8');
-    console.log(`✅ Compiled prompt written to: ${path.relative(process.cwd(), outFile)}`);
-    return { success: true, outFile };
+    log.log(`✅ Compiled prompt written to: ${path.relative(process.cwd(), outFile)}`);
+    log.log(`   Tokens: ${tokens} (${tokenizer.name})`);
+    
+    // Write a report of what was trimmed to fit the budget
+    let budgetReportFile = null;
+    if (budgetReport && budgetReport.trimmed.length > 0) {
+      budgetReportFile = outFile.replace(/\.md$/, '.budget.json');
+      fs.writeFileSync(budgetReportFile, JSON.stringify({
+        template: path.relative(process.cwd(), templatePath),
+        output: path.relative(process.cwd(), outFile),
+        ...budgetReport
+      }, null, 2), 'utf8');
+      log.log(`📄 Budget report written to: ${path.relative(process.cwd(), budgetReportFile)}`);
+    } else if (options.outFile) {
+      // Don't leave a report from an earlier compile next to the new output
+      const staleReport = outFile.replace(/\.md$/, '.budget.json');
+      if (staleReport !== outFile && fs.existsSync(staleReport)) {
+        fs.unlinkSync(staleReport);
+      }
+    }
+    
+    // Record what went into the prompt
+    const manifestFile = outFile.replace(/\.md$/, '.manifest.json');
+    const manifest = buildManifest({
+      templatePath,
+      template: reproducible ? normalizeLineEndings(templateSource) : templateSource,
+      outFile,
+      compiled,
+      tokenizer,
+      tokens,
+      maxTokens,
+      variables,
+      varsFile: options.varsFile,
+      partials,
+      inclusions,
+      reproducible
+    });
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2), 'utf8');
+    log.log(`📄 Manifest written to: ${path.relative(process.cwd(), manifestFile)}`);
+    
+    // Write the other requested formats next to the Markdown output
+    const outputs = { markdown: outFile };
+    formats.filter(format => format !== 'markdown').forEach(format => {
+      outputs[format] = `${outFile.replace(/\.md$/, '')}${OUTPUT_FORMATS[format]}`;
+      fs.writeFileSync(outputs[format], formatOutput(format, { compiled, messages }, outputConfig), 'utf8');
+      log.log(`📄 ${format} output written to: ${path.relative(process.cwd(), outputs[format])}`);
+    });
+    
+    // Index outputs in the compiled prompts directory so they can be found and pruned later
+    if (path.dirname(outFile) === outDir) {
+      try {
+        recordOutput(outDir, { outFile, templatePath, manifestFile, tokens, variables });
+      } catch (err) {
+        log.warn(`⚠️ Could not update ${INDEX_FILE}: ${err.message}`);
+      }
+    }
+    
+    if (options.copy) {
+      const copied = copyToClipboard(formatOutput('clipboard', { compiled, messages }, outputConfig));
+      if (copied.success) {
+        log.log(`📋 Copied to clipboard (${copied.command})`);
+      } else {
+        log.warn(`⚠️ Could not copy to clipboard: ${copied.error}`);
+      }
+    }
+    
+    return { success: true, outFile, outputs, messages, tokens, budgetReport, budgetReportFile, manifestFile, problems, dependencies };
   } catch (err) {
-    console.error(`Error writing compiled prompt to: ${outFile}`);
-    console.error(err.message);
-    return { success: false, error: err.message };
+    log.error(`Error writing compiled prompt to: ${outFile}`);
+    log.error(err.message);
+    return { success: false, error: err.message, dependencies };
   }
 }
 
@@ -207,20 +871,11 @@ if (require.main === module) {
     process.exit(1);
   }
   
-  // Parse options
-  const options = {};
-  for (let i = 0; i < cliArgs.length; i++) {
-    if (cliArgs[i].startsWith('--')) {
-      const optionName = cliArgs[i].substring(2);
-      const optionValue = cliArgs[i+1] && !cliArgs[i+1].startsWith('--') ? cliArgs[i+1] : true;
-      options[optionName] = optionValue;
-      if (optionValue !== true) i++; // Skip the next arg
-    }
-  }
+  const options = parseArgs(cliArgs);
   
   const result = compile(templatePathRelative, options);
   process.exit(result.success ? 0 : 1);
 }
 
 // Export the compile function
-module.exports = { compile }; 
\ No newline at end of file
+module.exports = { compile, parseArgs, LARGE_INCLUSION_TOKENS }; 
\ No newline at end of file
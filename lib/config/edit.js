@@ -0,0 +1,419 @@
+/**
+ * Edit the project's config file in place
+ *
+ * `config set` changes one value without rewriting the rest of the file:
+ * the object literal exported by a JavaScript config is scanned for the
+ * property and only its value is replaced (or a new property inserted), so
+ * comments, formatting and surrounding code are kept. JSON configs and the
+ * "jaw-tools" key of package.json are rewritten with their indentation;
+ * YAML configs only if they have no comments to lose. The edited file is
+ * loaded from a temporary copy and compared with the expected result before
+ * it replaces the original, so an edit that would change anything else is refused.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveProject, loadConfigFile } = require('../../src/config-manager');
+const { validateConfig } = require('../../src/config-schema');
+const { parseConfigPath, isPlainObject, lookup } = require('./inspect');
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Parse a value given on the command line: JSON if it parses, otherwise a string
+ * @param {string} text Value as typed, e.g. `true`, `5000`, `["npm test"]` or `docs`
+ * @returns {*} Parsed value
+ */
+function parseConfigValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+}
+
+/**
+ * Skip whitespace and comments
+ * @param {string} source JavaScript source
+ * @param {number} i Start index
+ * @returns {number} Index of the next token
+ */
+function skipTrivia(source, i) {
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+    } else if (source.startsWith('//', i)) {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end + 1;
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) throw new Error('Unterminated comment');
+      i = end + 2;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+/**
+ * Skip a string or template literal
+ * @param {string} source JavaScript source
+ * @param {number} i Index of the opening quote
+ * @returns {number} Index after the closing quote
+ */
+function skipString(source, i) {
+  const quote = source[i];
+  i++;
+  while (i < source.length) {
+    if (source[i] === '\\') {
+      i += 2;
+    } else if (quote === '`' && source.startsWith('${', i)) {
+      i = skipExpression(source, i + 2).end + 1;
+    } else if (source[i] === quote) {
+      return i + 1;
+    } else {
+      i++;
+    }
+  }
+  throw new Error('Unterminated string');
+}
+
+/**
+ * Skip an expression up to the `,`, `;` or closing bracket that ends it
+ * @param {string} source JavaScript source
+ * @param {number} i Start index
+ * @returns {{ end: number, lastTokenEnd: number }} Index of the terminator and
+ *   the end of the expression without trailing whitespace or comments
+ */
+function skipExpression(source, i) {
+  let depth = 0;
+  let lastTokenEnd = i;
+  while (i < source.length) {
+    const c = source[i];
+    if (c === '"' || c === "'" || c === '`') {
+      i = lastTokenEnd = skipString(source, i);
+      continue;
+    }
+    if (source.startsWith('//', i) || source.startsWith('/*', i) || /\s/.test(c)) {
+      i = skipTrivia(source, i);
+      continue;
+    }
+    if ('([{'.includes(c)) {
+      depth++;
+    } else if (')]}'.includes(c)) {
+      if (depth === 0) break;
+      depth--;
+    } else if ((c === ',' || c === ';') && depth === 0) {
+      break;
+    }
+    i++;
+    lastTokenEnd = i;
+  }
+  return { end: i, lastTokenEnd };
+}
+
+/**
+ * Read the value of a quoted property name
+ * @param {string} literal Quoted name including quotes
+ * @returns {string} Name
+ */
+function unquote(literal) {
+  return literal.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Scan an object literal for its properties
+ * @param {string} source JavaScript source
+ * @param {number} open Index of the opening brace
+ * @returns {Object} { open, close, entries: [{ key, keyStart, valueStart, valueEnd, comma }] }
+ */
+function parseObjectLiteral(source, open) {
+  const entries = [];
+  let i = open + 1;
+  for (;;) {
+    i = skipTrivia(source, i);
+    if (i >= source.length) throw new Error('Unterminated object literal');
+    if (source[i] === '}') return { open, close: i, entries };
+
+    const keyStart = i;
+    let key = null;
+    if (source[i] === '"' || source[i] === "'") {
+      const end = skipString(source, i);
+      key = unquote(source.slice(i, end));
+      i = end;
+    } else if (/[\w$]/.test(source[i])) {
+      key = source.slice(i).match(/^[\w$]+/)[0];
+      i += key.length;
+    }
+
+    const afterKey = skipTrivia(source, i);
+    const entry = { key, keyStart, valueStart: null, valueEnd: null, comma: null };
+    let end;
+    if (key !== null && source[afterKey] === ':') {
+      entry.valueStart = skipTrivia(source, afterKey + 1);
+      const expression = skipExpression(source, entry.valueStart);
+      entry.valueEnd = expression.lastTokenEnd;
+      end = expression.end;
+    } else {
+      // Spread, computed, shorthand or method properties can't be edited
+      entry.key = null;
+      end = skipExpression(source, keyStart).end;
+    }
+    entries.push(entry);
+
+    i = end;
+    if (source[i] === ',') {
+      entry.comma = i;
+      i++;
+    } else if (source[i] !== '}') {
+      throw new Error(`Unexpected "${source[i] || 'end of file'}" in object literal`);
+    }
+  }
+}
+
+/**
+ * Find the object literal a config file exports
+ * @param {string} source Config file source
+ * @returns {number} Index of its opening brace
+ */
+function findExportedObject(source) {
+  const match = /module\.exports\s*=\s*|export\s+default\s+/.exec(source);
+  const start = match ? skipTrivia(source, match.index + match[0].length) : -1;
+  if (start === -1 || source[start] !== '{') {
+    throw new Error('The config file does not export an object literal (module.exports = { ... } or export default { ... })');
+  }
+  return start;
+}
+
+/**
+ * Whitespace at the start of the line containing an index
+ * @param {string} source Source
+ * @param {number} index Index
+ * @returns {string} Indentation
+ */
+function indentAt(source, index) {
+  const lineStart = source.lastIndexOf('\n', index - 1) + 1;
+  return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+/**
+ * Format a value as a JavaScript literal in the style of the config template
+ * @param {*} value JSON-compatible value
+ * @param {string} indent Indentation of the line the value starts on
+ * @returns {string} Source
+ */
+function toSource(value, indent) {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  }
+  if (value === null || typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    const items = value.map(item => toSource(item, inner));
+    const inline = `[${items.join(', ')}]`;
+    return inline.length <= 80 && !inline.includes('\n') ? inline : `[\n${items.map(item => `${inner}${item}`).join(',\n')}\n${indent}]`;
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0) return '{}';
+    const properties = keys.map(key => `${inner}${formatKey(key)}: ${toSource(value[key], inner)}`);
+    return `{\n${properties.join(',\n')}\n${indent}}`;
+  }
+  throw new Error(`Cannot write a ${typeof value} to the config file`);
+}
+
+/**
+ * Format a property name, quoting it when it isn't an identifier
+ * @param {string} key Property name
+ * @returns {string} Source
+ */
+function formatKey(key) {
+  return IDENTIFIER.test(key) ? key : toSource(key, '');
+}
+
+/**
+ * Set a value in config file source
+ * @param {string} source Config file source
+ * @param {Array<string>} keys Path to the value
+ * @param {*} value New value
+ * @returns {string} Edited source
+ */
+function setInSource(source, keys, value) {
+  let object = parseObjectLiteral(source, findExportedObject(source));
+
+  for (let depth = 0; depth < keys.length; depth++) {
+    const key = keys[depth];
+    // The last definition of a property wins
+    const entry = object.entries.filter(e => e.key === key).pop();
+
+    if (!entry) {
+      const nested = keys.slice(depth + 1).reduceRight((inner, innerKey) => ({ [innerKey]: inner }), value);
+      return insertProperty(source, object, key, nested);
+    }
+
+    if (depth === keys.length - 1) {
+      const replacement = toSource(value, indentAt(source, entry.keyStart));
+      return source.slice(0, entry.valueStart) + replacement + source.slice(entry.valueEnd);
+    }
+
+    if (source[entry.valueStart] !== '{') {
+      throw new Error(`${keys.slice(0, depth + 1).join('.')} is not written as an object literal; edit it by hand`);
+    }
+    object = parseObjectLiteral(source, entry.valueStart);
+  }
+  return source;
+}
+
+/**
+ * Set a value in a JSON or YAML config, or the "jaw-tools" key of package.json
+ * @param {string} source Config file source
+ * @param {string} format 'json', 'yaml' or 'package'
+ * @param {Array<string>} keys Path to the value
+ * @param {*} value New value
+ * @returns {string} Edited source
+ */
+function setInData(source, format, keys, value) {
+  let isJson = format !== 'yaml';
+  let data;
+  if (!isJson) {
+    // .jawtoolsrc may hold JSON, which is kept as JSON
+    try {
+      data = JSON.parse(source);
+      isJson = true;
+    } catch (err) {
+      if (/(^|\s)#/.test(source)) {
+        throw new Error('the YAML file has comments that would be lost; edit it by hand');
+      }
+      data = require('js-yaml').load(source) || {};
+    }
+  } else {
+    data = JSON.parse(source);
+  }
+
+  const root = format === 'package' ? (data['jaw-tools'] = data['jaw-tools'] || {}) : data;
+  let target = root;
+  keys.slice(0, -1).forEach(key => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+
+  const trailingNewline = /\n$/.test(source) ? '\n' : '';
+  if (!isJson) {
+    return require('js-yaml').dump(data, { lineWidth: -1 });
+  }
+  const indent = (source.match(/^[ \t]+(?=")/m) || ['  '])[0];
+  return JSON.stringify(data, null, indent) + trailingNewline;
+}
+
+/**
+ * Add a property at the end of an object literal
+ * @param {string} source Config file source
+ * @param {Object} object Scanned object literal
+ * @param {string} key Property name
+ * @param {*} value Property value
+ * @returns {string} Edited source
+ */
+function insertProperty(source, object, key, value) {
+  const last = object.entries[object.entries.length - 1];
+  if (!last) {
+    const outer = indentAt(source, object.open);
+    const inner = `${outer}  `;
+    const property = `${formatKey(key)}: ${toSource(value, inner)}`;
+    return `${source.slice(0, object.open)}{\n${inner}${property}\n${outer}}${source.slice(object.close + 1)}`;
+  }
+
+  const indent = indentAt(source, last.keyStart);
+  const property = `${formatKey(key)}: ${toSource(value, indent)}`;
+  // Keep trailing commas if the object uses them
+  if (last.comma !== null) {
+    return `${source.slice(0, last.comma + 1)}\n${indent}${property},${source.slice(last.comma + 1)}`;
+  }
+  const end = last.valueEnd !== null ? last.valueEnd : skipExpression(source, last.keyStart).lastTokenEnd;
+  return `${source.slice(0, end)},\n${indent}${property}${source.slice(end)}`;
+}
+
+/**
+ * Set a value in the project's config file
+ * @param {string} valuePath Path such as `promptCompiler.exec.timeout`
+ * @param {*} value New value (see parseConfigValue for command line values)
+ * @returns {Object} Result with path, value, previous and configPath
+ */
+function setConfigValue(valuePath, value) {
+  let keys;
+  try {
+    keys = parseConfigPath(valuePath);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  if (keys.some(key => typeof key === 'number')) {
+    return { success: false, error: `Array items can't be set one at a time; set the whole array at ${valuePath.replace(/\[.*$/, '')}` };
+  }
+
+  // In a workspace package that's the package's own config file, if it has one
+  const { sources } = resolveProject();
+  const { configPath, format, exists, config, error } = sources[sources.length - 1];
+  if (!exists) {
+    return { success: false, error: `No jaw-tools config file found in ${path.dirname(configPath)}` };
+  }
+  if (error) {
+    return { success: false, error: `Could not load ${configPath}: ${error}` };
+  }
+
+  // The project config as it should read after the edit
+  const expected = JSON.parse(JSON.stringify(config));
+  let target = expected;
+  keys.slice(0, -1).forEach(key => {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+
+  const before = new Set(validateConfig(config).errors.map(problem => problem.message));
+  const introduced = validateConfig(expected).errors.filter(problem => !before.has(problem.message));
+  if (introduced.length > 0) {
+    return { success: false, error: `Not saved: ${introduced.map(problem => problem.message).join('; ')}`, errors: introduced };
+  }
+
+  let edited;
+  try {
+    const source = fs.readFileSync(configPath, 'utf8');
+    edited = format === 'js' ? setInSource(source, keys, value) : setInData(source, format, keys, value);
+  } catch (err) {
+    return { success: false, error: `Could not edit ${configPath}: ${err.message}` };
+  }
+
+  // Load the edited file from a temporary copy next to the original, so
+  // relative requires still work, and only replace the original if it matches.
+  // The copy keeps the extension, which decides how JavaScript is loaded.
+  const tempPath = path.join(path.dirname(configPath), `.jaw-tools.config.${process.pid}.tmp${path.extname(configPath)}`);
+  try {
+    fs.writeFileSync(tempPath, edited, 'utf8');
+    const loaded = loadConfigFile(tempPath, format);
+    if (format === 'js') delete require.cache[tempPath];
+    if (JSON.stringify(loaded) !== JSON.stringify(expected)) {
+      throw new Error('the edited file would not load as expected; edit it by hand');
+    }
+    fs.renameSync(tempPath, configPath);
+  } catch (err) {
+    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    return { success: false, error: `Could not edit ${configPath}: ${err.message}` };
+  }
+
+  return {
+    success: true,
+    configPath,
+    path: valuePath,
+    value,
+    previous: lookup(config, keys).value
+  };
+}
+
+module.exports = {
+  parseConfigValue,
+  setConfigValue
+};
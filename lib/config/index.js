@@ -0,0 +1,15 @@
+/**
+ * jaw-tools config module index
+ */
+
+const { showConfig, getConfigValue, diffConfig, flattenConfig } = require('./inspect');
+const { parseConfigValue, setConfigValue } = require('./edit');
+
+module.exports = {
+  showConfig,
+  getConfigValue,
+  diffConfig,
+  flattenConfig,
+  parseConfigValue,
+  setConfigValue
+};
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Inspect the effective jaw-tools configuration: where each value comes from,
+ * single values by path and what the project changes from the defaults
+ */
+
+const { defaultConfig, resolveProject, resolveConfigLayers, getConfig } = require('../../src/config-manager');
+
+/**
+ * Split a config path into keys
+ * @param {string} configPath Path such as `promptCompiler.exec.allow[0]`
+ * @returns {Array<string|number>} Keys, with array indexes as numbers
+ */
+function parseConfigPath(configPath) {
+  const keys = [];
+  String(configPath).split('.').forEach(part => {
+    const match = part.match(/^([^[\]]*)((?:\[\d+\])*)$/);
+    if (!match || (!match[1] && !match[2])) {
+      throw new Error(`Invalid config path "${configPath}"`);
+    }
+    if (match[1]) keys.push(match[1]);
+    (match[2].match(/\d+/g) || []).forEach(index => keys.push(Number(index)));
+  });
+  return keys;
+}
+
+/**
+ * Whether a value is a plain object that config merging descends into
+ * @param {*} value Value
+ * @returns {boolean} True for objects that aren't arrays, functions or null
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Look up a value by path
+ * @param {Object} config Configuration
+ * @param {Array<string|number>} keys Path keys
+ * @returns {{ found: boolean, value: * }} The value, if the path exists
+ */
+function lookup(config, keys) {
+  let value = config;
+  for (const key of keys) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      return { found: false, value: undefined };
+    }
+    value = value[key];
+  }
+  return { found: true, value };
+}
+
+/**
+ * Flatten a configuration to its leaf values. Arrays and empty objects are
+ * leaves, since merging replaces them as a whole; internal keys such as
+ * __projectRoot are left out.
+ * @param {Object} config Configuration
+ * @param {string} prefix Path of the object being flattened
+ * @returns {Array<{ path: string, value: * }>} Leaves in definition order
+ */
+function flattenConfig(config, prefix = '') {
+  return Object.keys(config).filter(key => !key.startsWith('__')).reduce((leaves, key) => {
+    const valuePath = prefix ? `${prefix}.${key}` : key;
+    const value = config[key];
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      return leaves.concat(flattenConfig(value, valuePath));
+    }
+    return leaves.concat({ path: valuePath, value });
+  }, []);
+}
+
+/**
+ * Whether a configuration layer sets a value
+ * @param {Object} layer Configuration layer, such as the project's own settings
+ * @param {string} valuePath Path of the value
+ * @returns {boolean} True if the layer sets the value (or an array or value containing it)
+ */
+function setsValue(layer, valuePath) {
+  const keys = parseConfigPath(valuePath);
+  for (let i = 1; i <= keys.length; i++) {
+    const { found, value } = lookup(layer, keys.slice(0, i));
+    if (!found) return false;
+    if (!isPlainObject(value) || i === keys.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Where a merged value comes from
+ * @param {Object} layers Result of resolveConfigLayers() for the project
+ * @param {Object} projectConfig The project's own settings, without environments
+ * @param {string} valuePath Path of the value
+ * @returns {string} 'variable' (a JAW_TOOLS_* variable), 'environment' (the
+ *   selected environment), 'project' or 'default', whichever was merged last
+ */
+function originOf(layers, projectConfig, valuePath) {
+  if (setsValue(layers.envOverrides, valuePath)) return 'variable';
+  if (setsValue(layers.environmentConfig, valuePath)) return 'environment';
+  return setsValue(projectConfig, valuePath) ? 'project' : 'default';
+}
+
+/**
+ * Load the merged configuration and the layers it's built from. In a
+ * workspace package the project settings include those inherited from the root.
+ * @returns {Object} { config, projectConfig, layers, configPath }
+ */
+function loadConfigs() {
+  const { configPath, config: fileConfig } = resolveProject();
+  const { environments, ...projectConfig } = fileConfig;
+  return { config: getConfig(), projectConfig, layers: resolveConfigLayers(fileConfig), configPath };
+}
+
+/**
+ * The effective configuration, with the origin of every value
+ * @returns {Object} Result with config, origins (path → origin, see originOf()),
+ *   environment and variables ({ variable, path } for each JAW_TOOLS_* override)
+ */
+function showConfig() {
+  const { config, projectConfig, layers, configPath } = loadConfigs();
+  const origins = {};
+  flattenConfig(config).forEach(leaf => {
+    origins[leaf.path] = originOf(layers, projectConfig, leaf.path);
+  });
+  const effective = Object.fromEntries(Object.entries(config).filter(([key]) => !key.startsWith('__')));
+  return {
+    success: true,
+    configPath,
+    config: effective,
+    origins,
+    environment: layers.environment,
+    variables: layers.envVariables
+  };
+}
+
+/**
+ * Look up one value of the effective configuration
+ * @param {string} valuePath Path such as `directories.prompts`
+ * @returns {Object} Result with path, value and origin
+ */
+function getConfigValue(valuePath) {
+  let keys;
+  try {
+    keys = parseConfigPath(valuePath);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  const { config, projectConfig, layers } = loadConfigs();
+  const { found, value } = lookup(config, keys);
+  if (!found || String(keys[0]).startsWith('__')) {
+    return { success: false, notFound: true, error: `No config value at ${valuePath}` };
+  }
+  return { success: true, path: valuePath, value, origin: originOf(layers, projectConfig, valuePath) };
+}
+
+/**
+ * What the project configuration changes from the defaults
+ * @returns {Object} Result with changes: { path, type: 'added' or 'changed', default, value }
+ */
+function diffConfig() {
+  const { config, configPath } = loadConfigs();
+  const changes = [];
+  flattenConfig(config).forEach(({ path: valuePath, value }) => {
+    const defaults = lookup(defaultConfig, parseConfigPath(valuePath));
+    if (!defaults.found) {
+      changes.push({ path: valuePath, type: 'added', default: undefined, value });
+    } else if (JSON.stringify(defaults.value) !== JSON.stringify(value)) {
+      changes.push({ path: valuePath, type: 'changed', default: defaults.value, value });
+    }
+  });
+  return { success: true, configPath, changes };
+}
+
+module.exports = {
+  parseConfigPath,
+  isPlainObject,
+  lookup,
+  flattenConfig,
+  showConfig,
+  getConfigValue,
+  diffConfig
+};
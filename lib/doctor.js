@@ -8,6 +8,9 @@ const fs = require('fs');
 const path = require('path');
 const { checkCommandAvailability } = require('../src/utils');
 const VersionRegistry = require('./version-registry');
+const { loadPlugins, getDoctorChecks } = require('../src/plugins');
+const { validateConfig } = require('../src/config-schema');
+const { CONFIG_FILES, findConfigFiles } = require('../src/config-manager');
 
 // Import gray-matter with a fallback
 let matter;
@@ -114,6 +117,21 @@ function checkFile(filePath) {
   };
 }
 
+/**
+ * Check which config files a project has and which one is used
+ * @param {string} projectRoot Project root
+ * @returns {Object} { order, found, used, ignored } with file names in order of precedence
+ */
+function checkConfigSources(projectRoot) {
+  const found = findConfigFiles(projectRoot).map(filePath => path.basename(filePath));
+  return {
+    order: CONFIG_FILES,
+    found,
+    used: found[0] || null,
+    ignored: found.slice(1)
+  };
+}
+
 /**
  * Check for outdated template files
  * @returns {Promise<Object>} Results of the check
@@ -180,6 +198,36 @@ async function checkTemplateVersions() {
   };
 }
 
+/**
+ * Load plugins and run the doctor checks they registered
+ * @returns {Promise<Object>} Loaded plugins, load errors and check results by name
+ */
+async function checkPlugins() {
+  const configManager = require('../src/config-manager');
+  const config = configManager.getConfig();
+  const { plugins, errors } = loadPlugins(config);
+  const checks = {};
+  
+  for (const { name, check, required, plugin } of getDoctorChecks()) {
+    let outcome;
+    try {
+      outcome = await check(config);
+    } catch (err) {
+      outcome = { passed: false, message: err.message };
+    }
+    const passed = typeof outcome === 'object' && outcome !== null ? Boolean(outcome.passed) : Boolean(outcome);
+    const detail = outcome?.message ? `: ${outcome.message}` : '';
+    checks[name] = {
+      passed,
+      required,
+      plugin,
+      message: `${passed ? '✅' : required ? '❌' : '⚠️'} ${name} (${plugin})${detail}`
+    };
+  }
+  
+  return { loaded: plugins, errors, checks };
+}
+
 /**
  * Run all diagnostic checks
  * @returns {Promise<Object>} Results of all checks
@@ -190,20 +238,76 @@ async function runDiagnostics() {
   
   const results = {
     config: { exists: false },
+    configSources: { order: [], found: [], used: null, ignored: [] },
+    configSchema: { valid: false, errors: [] },
+    environment: { name: null, found: false, variables: [] },
+    workspace: null,
     directories: {},
     scaffoldRoot: { exists: false },
     repomix: { available: false },
     profilesManager: { exists: false },
     templateVersions: { checkPerformed: false },
+    plugins: { loaded: [], errors: [], checks: {} },
     overall: false
   };
   
   console.log('🩺 Running jaw-tools diagnostic checks...\n');
   
-  // Check if config exists
-  const configPath = path.join(projectRoot, 'jaw-tools.config.js');
-  results.config = checkFile(configPath);
+  // Check which config file is used; the first one found in this order wins
+  results.configSources = checkConfigSources(projectRoot);
+  const configName = results.configSources.used || 'jaw-tools.config.js';
+  const configLabel = configName === 'package.json' ? 'package.json ("jaw-tools" key)' : configName;
+  console.log('⚙️ Config files, highest precedence first:');
+  console.log(`   ${results.configSources.order.map(name => (name === 'package.json' ? 'package.json "jaw-tools" key' : name)).join(' > ')}`);
+  results.config = checkFile(path.join(projectRoot, configName));
   console.log(results.config.message);
+  results.configSources.ignored.forEach(name => {
+    console.log(`⚠️ Ignored: ${name} (${configLabel} takes precedence)`);
+  });
+  let projectConfig = {};
+  if (results.config.exists) {
+    const { readProjectConfig } = require('../src/config-manager');
+    const { config, error } = readProjectConfig(projectRoot);
+    projectConfig = config;
+    const { errors } = error ? { errors: [{ path: '', message: error }] } : validateConfig(config);
+    results.configSchema = {
+      valid: errors.length === 0,
+      errors,
+      message: errors.length === 0 ? '✅ Configuration is valid' : `❌ ${errors.length} problem(s) in ${configLabel}`
+    };
+    console.log(results.configSchema.message);
+    errors.forEach(problem => console.log(`   - ${problem.message}`));
+    
+    // Environment selected with --env or JAW_TOOLS_ENV, and JAW_TOOLS_* overrides
+    const { resolveConfigLayers } = require('../src/config-manager');
+    const layers = resolveConfigLayers(config);
+    results.environment = { name: layers.environment, found: layers.environmentFound, variables: layers.envVariables };
+    if (layers.environment) {
+      console.log(layers.environmentFound
+        ? `✅ Environment: ${layers.environment}`
+        : `⚠️ Environment "${layers.environment}" is not defined in ${configLabel}`);
+    }
+    layers.envVariables.forEach(({ variable, path: valuePath }) => console.log(`ℹ️ ${variable} overrides ${valuePath}`));
+  }
+  
+  // Workspace packages, when a root config declares them
+  const { resolveProject } = require('../src/config-manager');
+  const project = resolveProject();
+  if (project.workspace) {
+    results.workspace = {
+      root: project.workspace.root,
+      packages: project.workspace.packages.map(pkg => ({ name: pkg.name, path: pkg.path, hasConfig: Boolean(findConfigFiles(pkg.dir).length) })),
+      current: project.package ? project.package.name : null
+    };
+    console.log(`\n📦 Workspace: ${project.workspace.root} (${results.workspace.packages.length} package(s))`);
+    if (results.workspace.packages.length === 0) {
+      console.log('⚠️ No packages match workspace.packages');
+    }
+    results.workspace.packages.forEach(pkg => {
+      const marker = pkg.name === results.workspace.current ? '👉' : '  ';
+      console.log(`${marker} ${pkg.name} (${pkg.path})${pkg.hasConfig ? ', own config over the root config' : ''}`);
+    });
+  }
   
   // Check scaffold_root directory
   const scaffoldRootPath = path.join(packageDir, 'templates', 'scaffold_root');
@@ -213,19 +317,18 @@ async function runDiagnostics() {
   
   // If config doesn't exist, can't check further directory-related items
   if (!results.config.exists) {
-    console.log('❌ Cannot check directories: jaw-tools.config.js not found');
+    console.log('❌ Cannot check directories: no jaw-tools config file found');
     console.log('\n❌ Overall health check failed. Run "npx jaw-tools setup" to fix.');
     return results;
   }
   
-  // Load config
   try {
-    const config = require(configPath);
+    const config = projectConfig;
     
     // Check directories
     const directoryKeys = Object.keys(config.directories || {});
     if (directoryKeys.length === 0) {
-      console.log('⚠️ No directories configured in jaw-tools.config.js');
+      console.log(`⚠️ No directories configured in ${configLabel}`);
     } else {
       console.log('\n📁 Checking configured directories:');
       for (const key of directoryKeys) {
@@ -273,6 +376,15 @@ async function runDiagnostics() {
         }
       }
     }
+    
+    // Plugins and the checks they add
+    results.plugins = await checkPlugins();
+    if (results.plugins.loaded.length > 0 || results.plugins.errors.length > 0) {
+      console.log('\n🧩 Checking plugins:');
+      results.plugins.loaded.forEach(name => console.log(`✅ Plugin loaded: ${name}`));
+      results.plugins.errors.forEach(({ plugin, error }) => console.log(`❌ Plugin failed to load: ${plugin} (${error})`));
+      Object.values(results.plugins.checks).forEach(check => console.log(check.message));
+    }
   } catch (err) {
     console.error(`❌ Error loading config: ${err.message}`);
     results.configError = err.message;
@@ -281,10 +393,13 @@ async function runDiagnostics() {
   // Overall health assessment
   const requiredPassing = [
     results.config.exists,
+    results.configSchema.valid,
     Object.values(results.directories).some(d => d.exists),
     results.profilesManager.exists,
     results.repomix.available,
-    results.scaffoldRoot.exists
+    results.scaffoldRoot.exists,
+    results.plugins.errors.length === 0,
+    Object.values(results.plugins.checks).every(check => check.passed || !check.required)
   ];
   
   results.overall = requiredPassing.every(Boolean);
@@ -303,6 +418,10 @@ async function runDiagnostics() {
       console.log('- Run "npx jaw-tools setup" to create configuration');
     }
     
+    if (results.config.exists && !results.configSchema.valid) {
+      console.log(`- Fix the problems in ${configLabel} listed above`);
+    }
+    
     if (Object.values(results.directories).some(d => !d.exists)) {
       console.log('- Run "npx jaw-tools scaffold" to create missing directories');
     }
@@ -318,6 +437,14 @@ async function runDiagnostics() {
     if (!results.scaffoldRoot.exists) {
       console.log('- The scaffold_root directory is missing in jaw-tools templates. This will cause the scaffold command to fail.');
     }
+    
+    if (results.plugins.errors.length > 0) {
+      console.log(`- Fix or remove the plugins that failed to load from the plugins array in ${configLabel}`);
+    }
+    
+    if (Object.values(results.plugins.checks).some(check => !check.passed && check.required)) {
+      console.log('- Resolve the failed plugin checks listed above');
+    }
   }
   
   return results;
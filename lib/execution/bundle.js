@@ -8,6 +8,8 @@ const path = require('path');
 const fsExtra = require('fs-extra');
 const matter = require('gray-matter');
 const { ensureDir, runCommand } = require('../../src/utils');
+const { getTokenizer } = require('../../src/tokenizer');
+const { render, createPartialLoader } = require('../../src/template-engine');
 const { spawn } = require('child_process');
 
 /**
@@ -106,23 +108,12 @@ async function generateCodeSnapshot(profileName, outputPath, config) {
  * Compile a template with context variables
  * @param {string} template Template string with handlebars-style placeholders
  * @param {Object} context Context object with values for placeholders
+ * @param {Array<string>} partialDirs Directories to search for {{> partial}} templates
  * @returns {string} Compiled template
  */
-function compileTemplate(template, context) {
-  return template.replace(/\{\{([^}]+)\}\}/g, (match, key) => {
-    const trimmedKey = key.trim();
-    
-    // Handle conditional blocks
-    if (trimmedKey.startsWith('#if ')) {
-      const conditionVar = trimmedKey.substring(4).trim();
-      return conditionVar ? '' : '<!-- Condition not met -->';
-    }
-    if (trimmedKey === '/if') {
-      return '';
-    }
-    
-    // Replace variables
-    return context[trimmedKey] !== undefined ? context[trimmedKey] : match;
+function compileTemplate(template, context, partialDirs = []) {
+  return render(template, context, {
+    partials: createPartialLoader(partialDirs)
   });
 }
 
@@ -182,7 +173,7 @@ async function createTaskOverview(stageDirPath, stageInfo, config) {
     }
     
     // Compile the template
-    const compiledContent = compileTemplate(templateContent, context);
+    const compiledContent = compileTemplate(templateContent, context, [path.dirname(templatePath)]);
     
     // Write the task overview file
     const overviewPath = path.join(stageDirPath, 'task_overview.md');
@@ -325,12 +316,23 @@ async function bundleExecution(options, config) {
     const metaPromptTemplate = readFileContent(metaPromptPath);
     
     // Compile the meta-prompt with context
-    const compiledMetaPrompt = compileTemplate(metaPromptTemplate, contextData);
+    const compiledMetaPrompt = compileTemplate(metaPromptTemplate, contextData, [
+      path.dirname(metaPromptPath),
+      path.join(projectRoot, config.executionWorkflow.centralMetaPromptDir)
+    ]);
     
     // Write the compiled meta-prompt
     fs.writeFileSync(compiledMetaPromptPath, compiledMetaPrompt);
     
+    // Count tokens with the configured tokenizer
+    const tokenizer = getTokenizer(config);
+    const tokens = {
+      codeSnapshot: tokenizer.count(contextData.code_snapshot_xml),
+      compiledMetaPrompt: tokenizer.count(compiledMetaPrompt)
+    };
+    
     console.log(`✅ Compiled meta-prompt saved to: ${path.relative(process.cwd(), compiledMetaPromptPath)}`);
+    console.log(`   Tokens: ${tokens.compiledMetaPrompt} (code snapshot: ${tokens.codeSnapshot}, ${tokenizer.name})`);
     
     // Create the task overview file
     const stageInfo = {
@@ -352,7 +354,9 @@ async function bundleExecution(options, config) {
     return {
       success: true,
       stageDir: stageDirPath,
-      compiledMetaPrompt: compiledMetaPromptPath
+      compiledMetaPrompt: compiledMetaPromptPath,
+      tokens,
+      tokenizer: tokenizer.name
     };
   } catch (error) {
     return {
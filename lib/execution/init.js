@@ -115,7 +115,10 @@ async function initExecution(options, config) {
     const relativePrdExecutionDir = path.relative(projectRoot, prdExecutionDir);
     
     // Only offer to update if the execution tracking folder is not already set or is different
-    if (!frontMatter.executionTrackingFolder || frontMatter.executionTrackingFolder !== relativePrdExecutionDir) {
+    const needsUpdate = !frontMatter.executionTrackingFolder || frontMatter.executionTrackingFolder !== relativePrdExecutionDir;
+    if (needsUpdate && config.interactive === false) {
+      console.log(`ℹ️ Not asking to update the Mini-PRD (interactive: false). Set executionTrackingFolder: ${relativePrdExecutionDir} to link it.`);
+    } else if (needsUpdate) {
       const { createInterface, askQuestion } = require('../../src/utils');
       const rl = createInterface();
       
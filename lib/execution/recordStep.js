@@ -8,6 +8,7 @@ const path = require('path');
 const fsExtra = require('fs-extra');
 const matter = require('gray-matter');
 const { ensureDir, createInterface, askQuestion } = require('../../src/utils');
+const { render, createPartialLoader } = require('../../src/template-engine');
 
 /**
  * Generate a timestamp string in ISO format
@@ -128,7 +129,7 @@ async function createTaskSummary(stageDirPath, stageInfo, config) {
     
     // Prompt for user notes if this is an execution stage
     let userNotes = '';
-    if (!isPrepStage) {
+    if (!isPrepStage && config.interactive !== false) {
       const rl = createInterface();
       console.log('\nPlease provide any additional notes for this execution stage (press Enter twice to finish):');
       
@@ -169,20 +170,8 @@ async function createTaskSummary(stageDirPath, stageInfo, config) {
     };
     
     // Compile the template
-    const compiledContent = templateContent.replace(/\{\{([^}]+)\}\}/g, (match, key) => {
-      const trimmedKey = key.trim();
-      
-      // Handle conditional blocks
-      if (trimmedKey.startsWith('#if ')) {
-        const conditionVar = trimmedKey.substring(4).trim();
-        return context[conditionVar] ? '' : '<!-- Condition not met -->';
-      }
-      if (trimmedKey === '/if') {
-        return '';
-      }
-      
-      // Replace variables
-      return context[trimmedKey] !== undefined ? context[trimmedKey] : match;
+    const compiledContent = render(templateContent, context, {
+      partials: createPartialLoader([path.dirname(templatePath)])
     });
     
     // Write the task summary file
@@ -13,14 +13,22 @@ const glob = require('glob');
 const matter = require('gray-matter');
 
 class MiniPrdManager {
-  constructor(projectRoot) {
+  /**
+   * @param {string} projectRoot Project root, or the workspace package the Mini-PRDs belong to
+   * @param {Object} config jaw-tools configuration, for the directories (defaults if omitted)
+   */
+  constructor(projectRoot, config = {}) {
+    const directories = config.directories || {};
     this.projectRoot = projectRoot;
     this.configDir = path.join(projectRoot, '.mini-prds');
-    this.docsDir = path.join(projectRoot, '_docs/project-docs/prds');
-    this.templatePath = path.join(projectRoot, '_docs/project-docs/templates/mini-prd-template.md');
-    
-    // Ensure directories exist
-    fs.ensureDirSync(this.docsDir);
+    this.docsDir = path.join(projectRoot, directories.projectDocs || '_docs/project-docs', 'prds');
+    const templatePath = directories.miniPrdTemplatePath || '_docs/project-docs/templates/mini-prd-template.md';
+    this.templatePath = path.join(projectRoot, templatePath);
+    // Workspace packages can share the template of the workspace root
+    if (!fs.existsSync(this.templatePath) && config.__workspaceRoot) {
+      this.templatePath = path.join(config.__workspaceRoot, templatePath);
+    }
+    this.repoProfilesDir = path.join(projectRoot, directories.repomixProfiles || '.repomix-profiles');
   }
   
   /**
@@ -66,7 +74,7 @@ class MiniPrdManager {
    */
   getPrd(id) {
     // Find the markdown file for this PRD ID
-    const files = fs.readdirSync(this.docsDir)
+    const files = (fs.existsSync(this.docsDir) ? fs.readdirSync(this.docsDir) : [])
       .filter(f => f.endsWith('.md'));
     
     const prdFile = files.find(file => {
@@ -252,8 +260,7 @@ class MiniPrdManager {
       this.updateRepomixProfile(prd);
       
       // Get the repomix profiles path
-      const repoProfilesDir = path.join(this.projectRoot, '.repomix-profiles');
-      const profileManagerPath = path.join(repoProfilesDir, 'profiles-manager.js');
+      const profileManagerPath = path.join(this.repoProfilesDir, 'profiles-manager.js');
       
       if (!fs.existsSync(profileManagerPath)) {
         throw new Error('Repomix profiles manager not found. Run "npx jaw-tools setup" first.');
@@ -286,7 +293,7 @@ class MiniPrdManager {
    * Update Repomix profile for a mini-PRD
    */
   updateRepomixProfile(prd) {
-    const repoProfilesDir = path.join(this.projectRoot, '.repomix-profiles');
+    const repoProfilesDir = this.repoProfilesDir;
     const profilesFile = path.join(repoProfilesDir, 'profiles.json');
     
     // Ensure directory exists
@@ -350,6 +357,7 @@ class MiniPrdManager {
     const content = matter.stringify(parsed.content, parsed.data);
     
     // Write to file
+    fs.ensureDirSync(this.docsDir);
     const outputPath = path.join(this.docsDir, `${prd.id}-${prd.name}.md`);
     fs.writeFileSync(outputPath, content);
     
@@ -414,7 +422,7 @@ class MiniPrdManager {
       );
       
       // Update Repomix Snapshot section
-      const snapshotPath = `.repomix-profiles/outputs/prd-${prd.id}-${prd.name}.xml`;
+      const snapshotPath = path.relative(this.projectRoot, path.join(this.repoProfilesDir, 'outputs', `prd-${prd.id}-${prd.name}.xml`)).split(path.sep).join('/');
       const snapshotExists = fs.existsSync(path.join(this.projectRoot, snapshotPath));
       
       const snapshotRegex = /Latest snapshot: \[(.*?)\]/;
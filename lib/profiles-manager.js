@@ -12,17 +12,42 @@ const path = require('path');
 const { spawn } = require('child_process');
 const { execSync } = require('child_process');
 
-// Helper function to get token count
+// Load the jaw-tools tokenizer. This script is copied into the project, where
+// ../src is the project's own code, so jaw-tools is resolved from node_modules;
+// the relative path is only used when running from the jaw-tools package itself.
+function loadTokenizer() {
+  try {
+    return require('jaw-tools/src/tokenizer');
+  } catch (err) {
+    try {
+      const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8'));
+      return packageJson.name === 'jaw-tools' ? require('../src/tokenizer') : null;
+    } catch (err) {
+      return null;
+    }
+  }
+}
+
+// Helper function to get token count using the configured tokenizer
 function getTokenCount(file) {
   try {
+    const tokenizer = loadTokenizer();
+    if (tokenizer) {
+      return tokenizer.countFileTokens(file, config);
+    }
     const stats = fs.statSync(file);
-    const fileSizeInKB = stats.size / 1024;
-    return Math.round(fileSizeInKB * 0.6 * 1024); // Rough estimate: ~0.6 tokens per byte
+    return Math.round(stats.size / 4); // Rough estimate: ~4 bytes per token
   } catch (err) {
     return "Error getting token count";
   }
 }
 
+// Helper function to get the name of the tokenizer used for token counts
+function getTokenizerName() {
+  const tokenizer = loadTokenizer();
+  return tokenizer ? tokenizer.getTokenizer(config).name : 'estimate';
+}
+
 // Try to load configuration
 let config;
 try {
@@ -100,7 +125,7 @@ if (command === 'list') {
   Object.keys(profiles).forEach(name => {
     const profile = profiles[name];
     const outputPath = path.join(OUTPUT_DIR, `${name}.xml`);
-    const tokenCount = fs.existsSync(outputPath) ? `(~${getTokenCount(outputPath)} tokens)` : '';
+    const tokenCount = fs.existsSync(outputPath) ? `(${getTokenCount(outputPath)} tokens, ${getTokenizerName()})` : '';
     
     console.log(`\n📋 ${name}`);
     console.log('  - Include: ' + (profile.include || '(all files)'));
@@ -148,7 +173,7 @@ if (command === 'run' && profileName) {
       
       console.log(`\n✅ Success! Output saved to: ${outputPath}`);
       console.log(`   File size: ${fileSizeInKB} KB`);
-      console.log(`   Estimated tokens: ~${tokenCount}`);
+      console.log(`   Tokens: ${tokenCount} (${getTokenizerName()})`);
     } else {
       console.error('❌ Failed to generate output file');
     }
@@ -0,0 +1,211 @@
+/**
+ * jaw-tools prompt compiler command placeholders
+ * Resolve `{{exec: command}}` placeholders to a command's output. Commands
+ * must match promptCompiler.exec.allow, run without a shell, are killed after
+ * a timeout and are cached per working-tree state.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync, execFileSync } = require('child_process');
+const { splitArgs } = require('./git');
+const { prepareSpawn } = require('../../src/utils');
+
+const EXEC_PREFIX = 'exec:';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const DEFAULT_CACHE_DIR = 'node_modules/.cache/jaw-tools/exec';
+
+const MAX_OUTPUT_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Check whether a placeholder target is a command placeholder
+ * @param {string} target Placeholder target
+ * @returns {boolean} True for `exec:...` targets
+ */
+function isExecPlaceholder(target) {
+  return target.startsWith(EXEC_PREFIX);
+}
+
+/**
+ * Check a command against the allowlist. Each entry allows commands that
+ * start with its words, e.g. `npm test` allows `npm test -- --reporter=json`;
+ * `*` allows everything.
+ * @param {Array<string>} args Command and arguments
+ * @param {Array<string>} allow Allowlist entries
+ * @returns {boolean} True if the command may run
+ */
+function isAllowed(args, allow = []) {
+  return allow.some(entry => {
+    if (entry === '*') return true;
+    const words = splitArgs(entry);
+    return words.length > 0 && words.every((word, i) => args[i] === word);
+  });
+}
+
+/**
+ * Parse a timeout in milliseconds
+ * @param {string|number} value Placeholder option or configured timeout
+ * @returns {number} Timeout
+ */
+function parseTimeout(value) {
+  const timeout = Number(value);
+  if (!Number.isInteger(timeout) || timeout <= 0) {
+    throw new Error(`Invalid timeout "${value}": use a positive number of milliseconds, e.g. timeout=60000`);
+  }
+  return timeout;
+}
+
+/**
+ * Hash the state of the working tree: HEAD, uncommitted changes and untracked files
+ * @param {Array<string>} excludeDirs Directories whose files don't count, such as
+ *   the cache and compiled prompt outputs
+ * @param {string} root Directory relative excludeDirs are resolved against
+ * @returns {string|null} Hash, or null outside a git repository
+ */
+function workingTreeHash(excludeDirs = [], root = process.cwd()) {
+  const git = args => execFileSync('git', args, {
+    encoding: 'utf8',
+    maxBuffer: MAX_OUTPUT_BYTES * 4,
+    stdio: ['ignore', 'pipe', 'ignore']
+  });
+
+  const hash = crypto.createHash('sha256');
+  try {
+    hash.update(git(['rev-parse', 'HEAD']));
+    hash.update(git(['diff', 'HEAD', '--binary']));
+    const excluded = excludeDirs.map(dir => path.resolve(root, dir) + path.sep);
+    git(['ls-files', '--others', '--exclude-standard'])
+      .split('\n')
+      .filter(Boolean)
+      .filter(file => !excluded.some(dir => path.resolve(file).startsWith(dir)))
+      .sort()
+      .forEach(file => {
+        hash.update(file);
+        try {
+          hash.update(fs.readFileSync(file));
+        } catch (err) {
+          // Unreadable files only contribute their name
+        }
+      });
+  } catch (err) {
+    return null;
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Run a command without a shell (see prepareSpawn in src/utils for .cmd
+ * shims on Windows)
+ * @param {Array<string>} args Command and arguments
+ * @param {number} timeout Timeout in milliseconds
+ * @returns {{ exitCode: number, stdout: string, stderr: string }} Result
+ */
+function runCommand(args, timeout) {
+  const { command, args: commandArgs, shell } = prepareSpawn(args);
+  const result = spawnSync(command, commandArgs, {
+    cwd: process.cwd(),
+    encoding: 'utf8',
+    timeout,
+    maxBuffer: MAX_OUTPUT_BYTES,
+    shell,
+    env: { ...process.env, FORCE_COLOR: '0', NO_COLOR: '1' }
+  });
+
+  if (result.error) {
+    if (result.error.code === 'ETIMEDOUT') {
+      throw new Error(`Command timed out after ${timeout}ms: ${args.join(' ')}`);
+    }
+    throw new Error(`Could not run ${args.join(' ')}: ${result.error.message}`);
+  }
+  return { exitCode: result.status, stdout: result.stdout || '', stderr: result.stderr || '' };
+}
+
+/**
+ * Resolve a command placeholder to the command's output
+ * @param {Object} inclusion Inclusion to fill in (mutated)
+ * @param {Object} options Resolve options
+ * @param {Object} options.exec promptCompiler.exec configuration
+ * @param {string} options.projectRoot Directory the cache and excludeDirs are relative to
+ * @param {Array<string>} options.excludeDirs Directories ignored when hashing the working tree
+ * @param {boolean} options.noCache Run the command even if a cached result exists
+ * @param {boolean} options.dryRun Check the command but don't run it; cached output is still used
+ * @returns {Object} The inclusion, with `files` and `exec` set
+ */
+function resolveExecPlaceholder(inclusion, options = {}) {
+  const execConfig = options.exec || {};
+  const command = inclusion.target.substring(EXEC_PREFIX.length).trim();
+  const args = splitArgs(command);
+  inclusion.dependencies = [];
+
+  if (args.length === 0) {
+    throw new Error('Use exec: <command>, e.g. exec: tree -L 2 src');
+  }
+  if (!isAllowed(args, execConfig.allow)) {
+    throw new Error(`Command not allowed: "${command}". Add it to promptCompiler.exec.allow.`);
+  }
+
+  const timeout = parseTimeout(inclusion.options.timeout || execConfig.timeout || DEFAULT_TIMEOUT_MS);
+  const useCache = execConfig.cache !== false && inclusion.options.cache !== 'false' && !options.noCache;
+  const projectRoot = options.projectRoot || process.cwd();
+  const cacheDir = path.resolve(projectRoot, execConfig.cacheDir || DEFAULT_CACHE_DIR);
+
+  let cacheFile = null;
+  let result = null;
+  if (useCache) {
+    const treeHash = workingTreeHash([cacheDir, ...(options.excludeDirs || [])], projectRoot);
+    if (treeHash) {
+      const key = crypto.createHash('sha256')
+        .update(JSON.stringify({ args, cwd: process.cwd(), treeHash }))
+        .digest('hex');
+      cacheFile = path.join(cacheDir, `${key}.json`);
+      if (fs.existsSync(cacheFile)) {
+        try {
+          result = { ...JSON.parse(fs.readFileSync(cacheFile, 'utf8')), cached: true };
+        } catch (err) {
+          result = null;
+        }
+      }
+    }
+  }
+
+  if (!result && options.dryRun) {
+    inclusion.files.push({ path: `exec: ${command}`, language: '', content: `<!-- Not run (dry run): ${command} -->\n` });
+    inclusion.exec = { command, exitCode: null, durationMs: 0, cached: false, skipped: true };
+    return inclusion;
+  }
+
+  if (!result) {
+    const started = Date.now();
+    result = { ...runCommand(args, timeout), durationMs: Date.now() - started, cached: false };
+    if (cacheFile) {
+      fs.mkdirSync(cacheDir, { recursive: true });
+      const { cached, ...entry } = result;
+      fs.writeFileSync(cacheFile, JSON.stringify({ command, ...entry }, null, 2), 'utf8');
+    }
+  }
+
+  let content = result.stdout;
+  if (result.stderr) {
+    content += `${content && !content.endsWith('\n') ? '\n' : ''}${result.stderr}`;
+  }
+  if (result.exitCode !== 0) {
+    content += `${content && !content.endsWith('\n') ? '\n' : ''}<!-- Command exited with code ${result.exitCode}: ${command} -->\n`;
+  }
+
+  inclusion.files.push({ path: `exec: ${command}`, language: '', content });
+  inclusion.exec = {
+    command,
+    exitCode: result.exitCode,
+    durationMs: result.durationMs,
+    cached: result.cached
+  };
+  return inclusion;
+}
+
+module.exports = {
+  isExecPlaceholder,
+  resolveExecPlaceholder
+};
@@ -0,0 +1,202 @@
+/**
+ * jaw-tools prompt compiler output formats
+ * Split a compiled prompt into chat messages and write it as plain text,
+ * clipboard-friendly text, or OpenAI- and Anthropic-style request payloads
+ */
+
+const { spawnSync } = require('child_process');
+
+// Formats that can be written next to the compiled Markdown, and their file suffixes
+const OUTPUT_FORMATS = {
+  markdown: '.md',
+  text: '.txt',
+  clipboard: '.clipboard.txt',
+  openai: '.openai.json',
+  anthropic: '.anthropic.json'
+};
+
+const ROLES = ['system', 'user', 'assistant'];
+
+// A line such as `<!-- role: system -->` starts a new message
+const ROLE_MARKER_REGEX = /^[ \t]*<!--\s*role:\s*(\w+)\s*-->[ \t]*$/gm;
+
+// `max_tokens` for Anthropic payloads, which require it, when none is configured
+const DEFAULT_MAX_OUTPUT_TOKENS = 4096;
+
+// Clipboard commands tried in order, per platform
+const CLIPBOARD_COMMANDS = {
+  darwin: [['pbcopy']],
+  win32: [['clip']],
+  linux: [['wl-copy'], ['xclip', '-selection', 'clipboard'], ['xsel', '--clipboard', '--input']]
+};
+
+/**
+ * Validate a chat role
+ * @param {string} role Role name
+ * @returns {string} The role
+ */
+function parseRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role "${role}" (use ${ROLES.join(', ')})`);
+  }
+  return role;
+}
+
+/**
+ * Parse the formats to write
+ * @param {string|Array<string>} value Comma-separated string or list, e.g. `openai,text`
+ * @returns {Array<string>} Formats, always starting with markdown
+ */
+function parseFormats(value) {
+  const requested = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(format => String(format).trim().toLowerCase())
+    .filter(Boolean);
+
+  requested.forEach(format => {
+    if (!OUTPUT_FORMATS[format]) {
+      throw new Error(`Invalid output format "${format}". Use ${Object.keys(OUTPUT_FORMATS).join(', ')}.`);
+    }
+  });
+  // The Markdown output is always written; the manifest and budget report refer to it
+  return ['markdown', ...new Set(requested.filter(format => format !== 'markdown'))];
+}
+
+/**
+ * Split text into chat messages at role markers. Text before the first
+ * marker belongs to the default role; empty messages are dropped.
+ * @param {string} text Rendered template
+ * @param {string} defaultRole Role of text before the first marker
+ * @param {Function} fill Applied to each message before trimming, e.g. to fill in included files
+ * @returns {Array<{ role: string, content: string }>} Messages in order
+ */
+function splitMessages(text, defaultRole = 'user', fill = content => content) {
+  const messages = [];
+  let role = parseRole(defaultRole);
+  let lastIndex = 0;
+  let match;
+
+  const push = content => {
+    const trimmed = fill(content).replace(/^\s*\n/, '').replace(/\s+$/, '');
+    if (trimmed) messages.push({ role, content: trimmed });
+  };
+
+  ROLE_MARKER_REGEX.lastIndex = 0;
+  while ((match = ROLE_MARKER_REGEX.exec(text)) !== null) {
+    push(text.substring(lastIndex, match.index));
+    role = parseRole(match[1].toLowerCase());
+    lastIndex = match.index + match[0].length;
+  }
+  push(text.substring(lastIndex));
+
+  return messages;
+}
+
+/**
+ * Join consecutive messages with the same role
+ * @param {Array<Object>} messages Messages
+ * @returns {Array<Object>} Merged messages
+ */
+function mergeMessages(messages) {
+  return messages.reduce((merged, message) => {
+    const last = merged[merged.length - 1];
+    if (last && last.role === message.role) {
+      last.content += `\n\n${message.content}`;
+    } else {
+      merged.push({ ...message });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Check that messages can be written in the requested formats. Anthropic
+ * payloads need at least one message besides the system text, and the first
+ * one has to come from the user.
+ * @param {Array<string>} formats Formats from parseFormats
+ * @param {Array<Object>} messages Messages from splitMessages
+ * @throws {Error} If a format can't represent the messages
+ */
+function checkMessages(formats, messages) {
+  if (!formats.includes('anthropic')) return;
+
+  const conversation = messages.filter(message => message.role !== 'system');
+  if (conversation.length === 0) {
+    throw new Error('The anthropic format needs a user message; add text after <!-- role: user -->');
+  }
+  if (conversation[0].role !== 'user') {
+    throw new Error(`The anthropic format needs the first message to come from the user, not the ${conversation[0].role}; add a user message before it`);
+  }
+}
+
+/**
+ * Render the compiled prompt in an output format
+ * @param {string} format One of OUTPUT_FORMATS
+ * @param {Object} prompt Compiled prompt
+ * @param {string} prompt.compiled Compiled Markdown
+ * @param {Array<Object>} prompt.messages Messages from splitMessages
+ * @param {Object} outputConfig promptCompiler.output configuration (model, maxOutputTokens)
+ * @returns {string} File content
+ */
+function formatOutput(format, prompt, outputConfig = {}) {
+  const { messages } = prompt;
+  const model = outputConfig.model ? { model: outputConfig.model } : {};
+
+  switch (format) {
+    case 'markdown':
+      return prompt.compiled;
+    case 'text':
+      return `${messages.map(message => message.content).join('\n\n')}\n`;
+    case 'clipboard': {
+      // Chat UIs have no system role, so label the sections when there is more than one role
+      const labelled = new Set(messages.map(message => message.role)).size > 1;
+      return `${mergeMessages(messages)
+        .map(message => (labelled ? `### ${message.role[0].toUpperCase()}${message.role.slice(1)}\n\n${message.content}` : message.content))
+        .join('\n\n')}\n`;
+    }
+    case 'openai':
+      return `${JSON.stringify({ ...model, messages }, null, 2)}\n`;
+    case 'anthropic': {
+      // System text is a top-level field; the messages must alternate roles
+      checkMessages([format], messages);
+      const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+      const payload = {
+        ...model,
+        max_tokens: outputConfig.maxOutputTokens || DEFAULT_MAX_OUTPUT_TOKENS,
+        ...(system ? { system } : {}),
+        messages: mergeMessages(messages.filter(message => message.role !== 'system'))
+      };
+      return `${JSON.stringify(payload, null, 2)}\n`;
+    }
+    default:
+      throw new Error(`Invalid output format "${format}"`);
+  }
+}
+
+/**
+ * Copy text to the system clipboard
+ * @param {string} text Text to copy
+ * @returns {{ success: boolean, command?: string, error?: string }} Result
+ */
+function copyToClipboard(text) {
+  const candidates = CLIPBOARD_COMMANDS[process.platform] || CLIPBOARD_COMMANDS.linux;
+  for (const [command, ...args] of candidates) {
+    const result = spawnSync(command, args, { input: text, stdio: ['pipe', 'ignore', 'ignore'], timeout: 5000 });
+    if (!result.error && result.status === 0) {
+      return { success: true, command };
+    }
+  }
+  return {
+    success: false,
+    error: `No clipboard command found (tried ${candidates.map(([command]) => command).join(', ')})`
+  };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  parseRole,
+  parseFormats,
+  splitMessages,
+  checkMessages,
+  formatOutput,
+  copyToClipboard
+};
@@ -0,0 +1,333 @@
+/**
+ * jaw-tools prompt compiler git placeholders
+ * Resolve `{{git:...}}` placeholders against the repository in the working
+ * directory: diffs, changed files, history, file versions and blame
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseSelector, applySelector } = require('./selectors');
+const { detectLanguage } = require('./wrap');
+
+const GIT_PREFIX = 'git:';
+
+// Subcommands available as `{{git:<subcommand> ...}}`
+const GIT_SUBCOMMANDS = ['diff', 'changed', 'log', 'show', 'blame'];
+
+// Commits included by `{{git:log}}` without arguments
+const DEFAULT_LOG_COUNT = 20;
+
+// Branches tried, in order, when no base branch is configured
+const BASE_BRANCH_CANDIDATES = ['main', 'master', 'origin/main', 'origin/master'];
+
+// Large diffs are expected; the token budget decides what is kept
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+// Options `{{git:diff}}` accepts. They only change what is shown; options
+// that write files or run programs (--output, --ext-diff, --textconv) are
+// left out. Options ending in `=` take a value after the `=`.
+const DIFF_OPTIONS = [
+  '--stat', '--stat=', '--numstat', '--shortstat', '--name-only', '--name-status', '--summary',
+  '--cached', '--staged', '--relative', '--relative=', '--minimal', '--patience', '--histogram',
+  '-w', '--ignore-all-space', '-b', '--ignore-space-change', '--ignore-blank-lines', '-R',
+  '-M', '--find-renames', '--no-renames', '--unified=', '--diff-filter='
+];
+
+// Options `{{git:log}}` accepts
+const LOG_OPTIONS = [
+  ...DIFF_OPTIONS.filter(option => !['--cached', '--staged'].includes(option)),
+  '-p', '--patch', '--max-count=', '--skip=', '--oneline', '--format=', '--pretty=',
+  '--since=', '--until=', '--after=', '--before=', '--author=', '--committer=', '--grep=',
+  '-i', '--regexp-ignore-case', '--no-merges', '--merges', '--first-parent', '--reverse',
+  '--graph', '--date=', '--abbrev-commit', '--decorate', '--all', '--follow'
+];
+
+// Short options that take a number, attached or as the next argument (`-n 5`, `-U3`)
+const NUMBER_OPTIONS = { diff: ['-U'], log: ['-U', '-n'] };
+
+/**
+ * Check whether a placeholder target is a git placeholder
+ * @param {string} target Placeholder target
+ * @returns {boolean} True for `git:...` targets
+ */
+function isGitPlaceholder(target) {
+  return target.startsWith(GIT_PREFIX);
+}
+
+/**
+ * How a git placeholder's output is handled: `git:changed` includes many
+ * files like a glob, the others produce a single block of text
+ * @param {string} target Placeholder target
+ * @returns {string} 'glob' or 'file'
+ */
+function gitPlaceholderType(target) {
+  return /^git:\s*changed\b/.test(target) ? 'glob' : 'file';
+}
+
+/**
+ * Split an argument string on whitespace, keeping quoted sections together
+ * @param {string} text Arguments, e.g. `-n 5 --format="%h %s"`
+ * @returns {Array<string>} Arguments without the quotes
+ */
+function splitArgs(text) {
+  const args = [];
+  const regex = /(?:[^\s"']+|"[^"]*"|'[^']*')+/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    args.push(match[0].replace(/"([^"]*)"|'([^']*)'/g, (m, double, single) => (double !== undefined ? double : single)));
+  }
+  return args;
+}
+
+/**
+ * Split a git placeholder into its subcommand and arguments
+ * @param {string} target Placeholder target, e.g. `git:diff main...HEAD`
+ * @returns {{ subcommand: string, args: Array<string> }} Parsed placeholder
+ */
+function parseGitPlaceholder(target) {
+  const [subcommand, ...args] = splitArgs(target.substring(GIT_PREFIX.length));
+  if (!GIT_SUBCOMMANDS.includes(subcommand)) {
+    throw new Error(`Unknown git placeholder "${target}". Use git:${GIT_SUBCOMMANDS.join(', git:')}.`);
+  }
+  return { subcommand, args };
+}
+
+/**
+ * Check whether git reads an argument as a revision or range, e.g. `main`,
+ * `main...HEAD` or `HEAD~3..`
+ * @param {string} arg Placeholder argument
+ * @returns {boolean} True for revisions
+ */
+function isRevision(arg) {
+  return git(['rev-parse', '--revs-only', arg]).trim() !== '';
+}
+
+/**
+ * Sort `{{git:diff}}` or `{{git:log}}` arguments into options, revisions and
+ * paths, rejecting options that aren't allowed. Arguments git reads as
+ * revisions are revisions; the others, and all arguments after `--`, are paths.
+ * @param {string} subcommand 'diff' or 'log'
+ * @param {Array<string>} args Arguments from the placeholder
+ * @returns {{ options: Array<string>, revisions: Array<string>, paths: Array<string> }} Sorted arguments
+ * @throws {Error} If an option isn't allowed, or an argument before `--` is
+ *   both a revision and a file
+ */
+function parseRevisionArgs(subcommand, args) {
+  const allowed = subcommand === 'log' ? LOG_OPTIONS : DIFF_OPTIONS;
+  const options = [];
+  const revisions = [];
+  const paths = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      paths.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-')) {
+      if (!isRevision(arg)) {
+        paths.push(arg);
+      } else if (fs.existsSync(arg)) {
+        throw new Error(`git:${subcommand} argument "${arg}" is both a revision and a file; put paths after --, e.g. git:${subcommand} HEAD -- ${arg}`);
+      } else {
+        revisions.push(arg);
+      }
+      continue;
+    }
+
+    const name = arg.includes('=') ? arg.substring(0, arg.indexOf('=') + 1) : arg;
+    const number = arg.match(/^(-[a-zA-Z])(\d*)$/);
+    if (allowed.includes(name)) {
+      options.push(arg);
+    } else if (number && NUMBER_OPTIONS[subcommand].includes(number[1])) {
+      if (number[2]) {
+        options.push(arg);
+      } else if (/^\d+$/.test(args[i + 1] || '')) {
+        options.push(arg, args[++i]);
+      } else {
+        throw new Error(`git:${subcommand} option ${arg} needs a number, e.g. ${arg} 5`);
+      }
+    } else if (subcommand === 'log' && /^-\d+$/.test(arg)) {
+      options.push(arg);
+    } else {
+      throw new Error(`git:${subcommand} doesn't accept the option "${arg}"`);
+    }
+  }
+
+  return { options, revisions, paths };
+}
+
+/**
+ * Check that a placeholder argument can't be read as a git option
+ * @param {string} subcommand Placeholder subcommand
+ * @param {string} arg Ref or path from the placeholder
+ * @throws {Error} If the argument starts with `-`
+ */
+function rejectOption(subcommand, arg) {
+  if (arg && arg.startsWith('-')) {
+    throw new Error(`git:${subcommand} doesn't accept options, got "${arg}"`);
+  }
+}
+
+/**
+ * Run git and return its output
+ * @param {Array<string>} args Git arguments
+ * @returns {string} Standard output
+ */
+function git(args) {
+  try {
+    return execFileSync('git', args, {
+      cwd: process.cwd(),
+      encoding: 'utf8',
+      maxBuffer: MAX_OUTPUT_BYTES,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (err) {
+    const message = err.stderr ? String(err.stderr).trim() : err.message;
+    throw new Error(`git ${args.join(' ')} failed: ${message.split('\n')[0]}`);
+  }
+}
+
+/**
+ * Find the branch that `{{git:changed}}` compares against
+ * @param {Object} gitConfig promptCompiler.git configuration
+ * @returns {string} Base branch or ref
+ */
+function findBaseBranch(gitConfig = {}) {
+  if (gitConfig.baseBranch) return gitConfig.baseBranch;
+
+  for (const candidate of BASE_BRANCH_CANDIDATES) {
+    try {
+      git(['rev-parse', '--verify', '--quiet', candidate]);
+      return candidate;
+    } catch (err) {
+      // Try the next candidate
+    }
+  }
+  throw new Error(`Could not find a base branch (tried ${BASE_BRANCH_CANDIDATES.join(', ')}). Set promptCompiler.git.baseBranch or use git:changed <ref>.`);
+}
+
+/**
+ * Files that changed on the current branch, including uncommitted and untracked files
+ * @param {string} base Base branch or ref
+ * @returns {Array<string>} Paths relative to the working directory, sorted
+ */
+function listChangedFiles(base) {
+  const mergeBase = git(['merge-base', base, 'HEAD']).trim();
+  const lines = [
+    ...git(['diff', '--name-only', '--relative', '--diff-filter=d', mergeBase]).split('\n'),
+    ...git(['ls-files', '--others', '--exclude-standard']).split('\n')
+  ];
+  return [...new Set(lines.filter(Boolean))].sort();
+}
+
+/**
+ * Files whose changes make up a `git diff`, so watch mode can track them
+ * @param {Array<string>} args Diff arguments
+ * @returns {Array<string>} Paths relative to the working directory
+ */
+function listDiffFiles(args) {
+  const { options, revisions, paths } = parseRevisionArgs('diff', args);
+  const staged = options.filter(option => option === '--cached' || option === '--staged');
+  try {
+    return git(['diff', '--name-only', '--relative', ...staged, ...revisions, '--', ...paths]).split('\n').filter(Boolean);
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Files that change whenever commits, branches or the index change
+ * @returns {Array<string>} Absolute paths
+ */
+function repositoryStateFiles() {
+  try {
+    const gitDir = path.resolve(git(['rev-parse', '--git-dir']).trim());
+    return ['HEAD', 'index'].map(name => path.join(gitDir, name));
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Resolve a git placeholder to the files it includes
+ * @param {Object} inclusion Inclusion to fill in (mutated)
+ * @param {Object} options Resolve options
+ * @param {Object} options.git promptCompiler.git configuration
+ * @param {Function} options.readFile Reads a working tree file into `{ path, content }`
+ * @returns {Object} The inclusion, with `files` and `dependencies` set
+ */
+function resolveGitPlaceholder(inclusion, options = {}) {
+  const { subcommand, args } = parseGitPlaceholder(inclusion.target);
+  inclusion.dependencies = repositoryStateFiles();
+
+  switch (subcommand) {
+    case 'diff': {
+      const label = ['git diff', ...args].join(' ');
+      const { options: diffOptions, revisions, paths } = parseRevisionArgs('diff', args);
+      const content = git(['diff', '--no-color', '--no-ext-diff', ...diffOptions, ...revisions, '--', ...paths]);
+      inclusion.files.push({ path: label, language: 'diff', content });
+      inclusion.dependencies.push(...listDiffFiles(args));
+      break;
+    }
+    case 'changed': {
+      rejectOption(subcommand, args[0]);
+      const base = args[0] || findBaseBranch(options.git);
+      listChangedFiles(base).forEach(filePath => {
+        inclusion.files.push(options.readFile(filePath));
+        inclusion.dependencies.push(filePath);
+      });
+      break;
+    }
+    case 'log': {
+      const logArgs = args.length > 0 ? args : ['-n', String(DEFAULT_LOG_COUNT)];
+      const { options: logOptions, revisions, paths } = parseRevisionArgs('log', logArgs);
+      const content = git(['log', '--no-color', '--no-ext-diff', ...logOptions, ...revisions, '--', ...paths]);
+      inclusion.files.push({ path: ['git log', ...logArgs].join(' '), content });
+      break;
+    }
+    case 'show': {
+      if (args.length !== 1) {
+        throw new Error('Use git:show <ref>:<path>, e.g. git:show main:src/index.js');
+      }
+      rejectOption(subcommand, args[0]);
+      // `ref:path#L10-20` and `ref:path@symbol` select part of the file
+      const { path: spec, selector } = parseSelector(args[0]);
+      const filePath = spec.includes(':') ? spec.substring(spec.indexOf(':') + 1) : spec;
+      let file = { path: spec, language: detectLanguage(filePath), content: git(['show', '--no-color', spec]) };
+      if (selector) {
+        const selected = applySelector(file.content, selector);
+        file = { ...file, content: selected.content, selector: selector.raw, lines: selected.lines };
+      }
+      inclusion.files.push(file);
+      break;
+    }
+    case 'blame': {
+      const { path: filePath, selector } = parseSelector(args.join(' '));
+      if (!filePath) {
+        throw new Error('Use git:blame <path>, optionally with #L<start>-<end>');
+      }
+      if (selector && selector.type !== 'lines') {
+        throw new Error('git:blame only supports line range selectors (#L<start>-<end>)');
+      }
+      const range = selector ? ['-L', `${selector.start},${selector.end}`] : [];
+      inclusion.files.push({
+        path: `git blame ${filePath}${selector ? selector.raw : ''}`,
+        content: git(['blame', '--date=short', ...range, '--', filePath])
+      });
+      inclusion.dependencies.push(filePath);
+      break;
+    }
+  }
+
+  return inclusion;
+}
+
+module.exports = {
+  isGitPlaceholder,
+  gitPlaceholderType,
+  resolveGitPlaceholder,
+  parseRevisionArgs,
+  splitArgs
+};
@@ -0,0 +1,296 @@
+/**
+ * jaw-tools prompt linter
+ * Check prompt templates without writing anything: placeholders that point
+ * at missing files, globs that match nothing, undefined variables,
+ * placeholders inside HTML comments, duplicate inclusions and projected size
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compile, LARGE_INCLUSION_TOKENS } = require('../compile-prompt');
+
+let glob;
+try {
+  glob = require('glob');
+} catch (err) {
+  glob = { sync: () => [] };
+}
+
+const REPORT_VERSION = 1;
+
+// `<!-- ... -->` blocks; placeholders inside them are still compiled
+const HTML_COMMENT_REGEX = /<!--[\s\S]*?-->/g;
+
+// Unescaped placeholders that would include content (not block tags, partials or comments)
+const PLACEHOLDER_REGEX = /(\\?)\{\{\s*([^}!#/>\s][^}]*)\}\}/g;
+
+/**
+ * 1-based line number of an offset in a text
+ * @param {string} text Text
+ * @param {number} index Character offset
+ * @returns {number} Line number
+ */
+function lineAt(text, index) {
+  return text.substring(0, index).split('\n').length;
+}
+
+/**
+ * Line where a placeholder first appears in a template
+ * @param {string} source Template source
+ * @param {string} raw Placeholder text without braces
+ * @returns {number|null} Line number, or null if it comes from a partial
+ */
+function findLine(source, raw) {
+  const escaped = raw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*');
+  const match = new RegExp(`(^|[^\\\\])\\{\\{\\s*${escaped}(?:\\s[^}]*)?\\}\\}`).exec(source);
+  return match ? lineAt(source, match.index + match[1].length) : null;
+}
+
+/**
+ * Find placeholders inside HTML comments. The compiler doesn't know about
+ * HTML comments, so the file is included anyway, inside the comment.
+ * @param {string} source Template source
+ * @returns {Array<Object>} Issues
+ */
+function findCommentedPlaceholders(source) {
+  const issues = [];
+  let comment;
+  HTML_COMMENT_REGEX.lastIndex = 0;
+  while ((comment = HTML_COMMENT_REGEX.exec(source)) !== null) {
+    let match;
+    PLACEHOLDER_REGEX.lastIndex = 0;
+    while ((match = PLACEHOLDER_REGEX.exec(comment[0])) !== null) {
+      if (match[1] || match[2].trim() === 'else') continue;
+      const placeholder = match[2].trim();
+      issues.push({
+        severity: 'warning',
+        kind: 'commented-out',
+        placeholder,
+        message: 'Placeholder inside an HTML comment is still compiled and its content included. ' +
+          `Escape it as \\{{${placeholder}}} or use a {{! comment}}.`,
+        line: lineAt(source, comment.index + match.index)
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Lint one prompt template
+ * @param {string} filePath Template path
+ * @param {Object} config jaw-tools configuration
+ * @param {Object} options Compile options such as vars, varsFile and maxTokens
+ * @returns {Object} File report with issues, tokens and the partials it renders
+ */
+function lintFile(filePath, config, options = {}) {
+  const report = {
+    file: path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/'),
+    tokens: null,
+    maxTokens: null,
+    errors: 0,
+    warnings: 0,
+    issues: [],
+    partials: []
+  };
+
+  let source;
+  try {
+    source = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    report.issues.push({ severity: 'error', kind: 'unreadable-template', placeholder: null, message: err.message, line: null });
+    return countIssues(report);
+  }
+
+  report.issues.push(...findCommentedPlaceholders(source));
+
+  const result = compile(filePath, { ...options, dryRun: true, quiet: true }, config);
+  if (!result.success) {
+    // Template syntax errors, include cycles, unreadable --vars-file, ...
+    const line = result.error.match(/\(line (\d+)\)$/);
+    report.issues.push({
+      severity: 'error',
+      kind: 'syntax',
+      placeholder: null,
+      message: result.error,
+      line: line ? parseInt(line[1], 10) : null
+    });
+    return countIssues(report);
+  }
+
+  report.tokens = result.tokensBeforeBudget;
+  report.maxTokens = result.maxTokens;
+  report.partials = result.partials.map(partial => path.resolve(partial.path));
+
+  result.problems.forEach(problem => {
+    report.issues.push({
+      severity: 'error',
+      kind: problem.kind,
+      placeholder: problem.placeholder,
+      message: problem.message,
+      line: findLine(source, problem.placeholder)
+    });
+  });
+
+  // What each placeholder includes of each file: the selected lines, or null for the whole file
+  const includedBy = {};
+  result.inclusions.forEach(inclusion => {
+    inclusion.matched.filter(file => !file.error).forEach(file => {
+      const key = path.resolve(file.path);
+      includedBy[key] = includedBy[key] || [];
+      includedBy[key].push({ inclusion, lines: file.lines || null });
+    });
+
+    if (inclusion.occurrences > 1) {
+      report.issues.push({
+        severity: 'warning',
+        kind: 'repeated-placeholder',
+        placeholder: inclusion.raw,
+        message: `Included ${inclusion.occurrences} times`,
+        line: findLine(source, inclusion.raw)
+      });
+    }
+    if (!result.maxTokens && inclusion.tokens > LARGE_INCLUSION_TOKENS) {
+      report.issues.push({
+        severity: 'warning',
+        kind: 'large-inclusion',
+        placeholder: inclusion.raw,
+        message: `Includes ${inclusion.tokens} tokens; set a token budget to trim it`,
+        line: findLine(source, inclusion.raw)
+      });
+    }
+  });
+  // Files, or overlapping parts of them, included by more than one placeholder,
+  // reported against the first placeholder that included them
+  const overlaps = (a, b) => !a || !b || (a.start <= b.end && b.start <= a.end);
+  const duplicates = new Map();
+  Object.keys(includedBy).forEach(key => {
+    const slices = includedBy[key];
+    slices.forEach((slice, i) => {
+      const earlier = slices.slice(0, i)
+        .find(other => other.inclusion !== slice.inclusion && overlaps(other.lines, slice.lines));
+      if (!earlier) return;
+      const first = earlier.inclusion;
+      const other = slice.inclusion;
+      const pair = `${other.index}:${first.index}`;
+      if (!duplicates.has(pair)) duplicates.set(pair, { first, other, files: [] });
+      const file = path.relative(process.cwd(), key).split(path.sep).join('/');
+      if (!duplicates.get(pair).files.includes(file)) duplicates.get(pair).files.push(file);
+    });
+  });
+  duplicates.forEach(({ first, other, files }) => {
+    report.issues.push({
+      severity: 'warning',
+      kind: 'duplicate-inclusion',
+      placeholder: other.raw,
+      message: `${files.sort().join(', ')} ${files.length === 1 ? 'is' : 'are'} also included by {{${first.raw}}}`,
+      line: findLine(source, other.raw)
+    });
+  });
+
+  if (result.maxTokens && result.tokensBeforeBudget > result.maxTokens) {
+    report.issues.push({
+      severity: 'warning',
+      kind: 'over-budget',
+      placeholder: null,
+      message: `Projected ${result.tokensBeforeBudget} tokens exceeds the ${result.maxTokens} token budget; ` +
+        `compiling will trim to ${result.tokens}`,
+      line: null
+    });
+  }
+
+  // Issues without a line (budget, includes from partials) go last
+  const order = issue => issue.line || Number.MAX_SAFE_INTEGER;
+  report.issues.sort((a, b) => order(a) - order(b));
+  return countIssues(report);
+}
+
+/**
+ * Fill in a file report's error and warning counts
+ * @param {Object} report File report (mutated)
+ * @returns {Object} The report
+ */
+function countIssues(report) {
+  report.errors = report.issues.filter(issue => issue.severity === 'error').length;
+  report.warnings = report.issues.filter(issue => issue.severity === 'warning').length;
+  return report;
+}
+
+/**
+ * Prompt templates in the prompts directory
+ * @param {Object} config jaw-tools configuration
+ * @returns {Array<string>} Absolute template paths, sorted
+ */
+function findTemplates(config) {
+  const promptsDir = path.resolve(config.directories.prompts);
+  const compiledDir = path.resolve(config.directories.compiledPrompts);
+  return glob.sync('**/*.md', { cwd: promptsDir, absolute: true, nodir: true })
+    .map(file => path.resolve(file))
+    .filter(file => !file.startsWith(compiledDir + path.sep))
+    .sort();
+}
+
+/**
+ * Lint prompt templates
+ * @param {Array<string>} files Templates to lint; all templates in the prompts
+ *   directory when empty. Templates that other templates include as partials
+ *   are only linted on their own when listed explicitly, since they often
+ *   rely on variables passed by the including template.
+ * @param {Object} config jaw-tools configuration
+ * @param {Object} options Compile options such as vars, varsFile and maxTokens
+ * @returns {{ success: boolean, report: Object }} success is false if any template has errors
+ */
+function lintPrompts(files, config, options = {}) {
+  const explicit = files && files.length > 0;
+  const templates = explicit ? files.map(file => path.resolve(file)) : findTemplates(config);
+
+  let reports = templates.map(file => ({ path: file, ...lintFile(file, config, options) }));
+  if (!explicit) {
+    const included = new Set();
+    reports.forEach(report => report.partials.filter(partial => partial !== report.path).forEach(partial => included.add(partial)));
+    reports = reports.filter(report => !included.has(report.path));
+  }
+
+  const report = {
+    version: REPORT_VERSION,
+    files: reports.map(({ path: filePath, partials, ...rest }) => rest),
+    summary: {
+      files: reports.length,
+      errors: reports.reduce((sum, r) => sum + r.errors, 0),
+      warnings: reports.reduce((sum, r) => sum + r.warnings, 0)
+    }
+  };
+  return { success: report.summary.errors === 0, report };
+}
+
+/**
+ * Format a lint report for the terminal
+ * @param {Object} report Report from lintPrompts
+ * @returns {string} Human-readable report
+ */
+function formatReport(report) {
+  const lines = [];
+  report.files.forEach(file => {
+    const icon = file.errors > 0 ? '❌' : file.warnings > 0 ? '⚠️' : '✅';
+    const tokens = file.tokens === null ? '' : ` (${file.tokens}${file.maxTokens ? `/${file.maxTokens}` : ''} tokens)`;
+    lines.push(`${icon} ${file.file}${tokens}`);
+    file.issues.forEach(issue => {
+      const location = issue.line ? `line ${issue.line} ` : '';
+      const placeholder = issue.placeholder ? ` {{${issue.placeholder}}}` : '';
+      lines.push(`   ${issue.severity === 'error' ? 'error  ' : 'warning'} ${location}[${issue.kind}]${placeholder}: ${issue.message}`);
+    });
+  });
+
+  const { files, errors, warnings } = report.summary;
+  if (files === 0) {
+    lines.push('No prompt templates found.');
+  }
+  lines.push('');
+  lines.push(`${errors > 0 ? '❌' : '✅'} ${files} template(s) checked: ${errors} error(s), ${warnings} warning(s)`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  lintPrompts,
+  lintFile,
+  formatReport
+};
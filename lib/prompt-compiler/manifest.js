@@ -0,0 +1,137 @@
+/**
+ * jaw-tools prompt compiler manifest
+ * Describe what went into a compiled prompt so the context given to a model
+ * can be audited and reproduced
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Hash content for the manifest
+ * @param {string|Buffer} content Content to hash
+ * @returns {string} Hash in `sha256:<hex>` form
+ */
+function hashContent(content) {
+  return `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Describe a file (or the selected part of it) as it was read, before any budget trimming
+ * @param {string} filePath Path as written in the manifest
+ * @param {string} content File content
+ * @returns {{ path: string, size: number, hash: string }} File record
+ */
+function describeFile(filePath, content) {
+  return {
+    path: filePath,
+    size: Buffer.byteLength(content, 'utf8'),
+    hash: hashContent(content)
+  };
+}
+
+/**
+ * Path relative to the working directory, with forward slashes
+ * @param {string} filePath Absolute or relative path
+ * @returns {string} Display path
+ */
+function displayPath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Build the manifest for a compiled prompt
+ * @param {Object} details Compile details
+ * @param {string} details.templatePath Absolute template path
+ * @param {string} details.template Template source as read from disk
+ * @param {string} details.outFile Absolute output path
+ * @param {string} details.compiled Compiled prompt text
+ * @param {Object} details.tokenizer Tokenizer from src/tokenizer
+ * @param {number} details.tokens Tokens in the compiled prompt
+ * @param {number|null} details.maxTokens Token budget, if any
+ * @param {Object} details.variables Resolved template variables
+ * @param {string} details.varsFile Path passed to --vars-file, if any
+ * @param {Array<Object>} details.partials Partials that were rendered, as `{ path, content }`
+ * @param {Array<Object>} details.inclusions Resolved inclusions after the budget was applied
+ * @param {boolean} details.reproducible Leave out the timestamp so the manifest is stable
+ * @returns {Object} Manifest
+ */
+function buildManifest(details) {
+  const { tokenizer } = details;
+
+  const placeholders = details.inclusions.map(inclusion => {
+    const trimmed = inclusion.trimmed;
+    const included = new Set(inclusion.files.map(file => file.path));
+
+    const files = inclusion.matched.map(file => {
+      const entry = {
+        path: displayPath(file.path),
+        size: file.size,
+        hash: file.hash,
+        tokens: file.tokens
+      };
+      if (file.lines) {
+        entry.lines = file.lines;
+      }
+      if (file.error) {
+        entry.error = file.error;
+      }
+      entry.included = included.has(file.path);
+      entry.truncated = Boolean(trimmed && trimmed.truncatedFile && trimmed.truncatedFile.path === file.path);
+      if (entry.truncated) {
+        entry.keptLines = trimmed.truncatedFile.keptLines;
+        entry.totalLines = trimmed.truncatedFile.totalLines;
+      }
+      return entry;
+    });
+
+    const placeholder = {
+      placeholder: inclusion.raw,
+      target: inclusion.target,
+      selector: inclusion.selector ? inclusion.selector.raw : null,
+      type: inclusion.type,
+      wrap: inclusion.wrap,
+      options: inclusion.options,
+      occurrences: inclusion.occurrences,
+      tokens: inclusion.tokens,
+      truncated: Boolean(trimmed),
+      files
+    };
+    if (inclusion.exec) {
+      placeholder.exec = inclusion.exec;
+    }
+    if (inclusion.plugin) {
+      placeholder.plugin = inclusion.plugin;
+    }
+    if (inclusion.matched.length === 0) {
+      // Record why nothing was included, e.g. a missing file or empty glob
+      placeholder.unresolved = inclusion.content;
+    }
+    return placeholder;
+  });
+
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    compiledAt: details.reproducible ? null : new Date().toISOString(),
+    reproducible: Boolean(details.reproducible),
+    template: describeFile(displayPath(details.templatePath), details.template),
+    output: {
+      ...describeFile(displayPath(details.outFile), details.compiled),
+      tokens: details.tokens
+    },
+    tokenizer: { name: tokenizer.name, exact: tokenizer.exact },
+    maxTokens: details.maxTokens,
+    varsFile: details.varsFile ? displayPath(details.varsFile) : null,
+    variables: details.variables,
+    partials: details.partials.map(partial => describeFile(displayPath(partial.path), partial.content)),
+    placeholders
+  };
+}
+
+module.exports = {
+  hashContent,
+  describeFile,
+  buildManifest
+};
@@ -0,0 +1,189 @@
+/**
+ * jaw-tools compiled prompt index
+ * Keep `index.json` in the compiled prompts directory, mapping each output to
+ * the template it came from, when it was compiled and its manifest
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { OUTPUT_FORMATS } = require('./formats');
+
+const INDEX_FILE = 'index.json';
+
+// Version 1 stored paths relative to the working directory instead of the index
+const INDEX_VERSION = 2;
+
+// Entry fields holding paths
+const PATH_FIELDS = ['output', 'template', 'manifest'];
+
+// Files written next to a compiled `<name>.md`
+const OUTPUT_SUFFIXES = ['.md', '.manifest.json', '.budget.json',
+  ...Object.values(OUTPUT_FORMATS).filter(suffix => suffix !== '.md')];
+
+/**
+ * Path relative to the working directory, with forward slashes
+ * @param {string} filePath Absolute or relative path
+ * @returns {string} Display path
+ */
+function displayPath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Convert the paths of an index entry
+ * @param {Object} entry Index entry
+ * @param {Function} convert Converts one path
+ * @returns {Object} Entry with converted paths
+ */
+function mapPaths(entry, convert) {
+  const mapped = { ...entry };
+  PATH_FIELDS.filter(field => entry[field]).forEach(field => {
+    mapped[field] = convert(entry[field]);
+  });
+  return mapped;
+}
+
+/**
+ * Whether a Markdown file in the compiled prompts directory was written by
+ * the compiler: numbered or hash-named, or with a manifest next to it
+ * @param {string} outputPath Absolute path of the `.md` file
+ * @returns {boolean} True for compiled outputs
+ */
+function isCompiledOutput(outputPath) {
+  const name = path.basename(outputPath);
+  return /^\d{3,}-.+\.md$/.test(name)
+    || /-[0-9a-f]{12}\.md$/.test(name)
+    || fs.existsSync(outputPath.replace(/\.md$/, '.manifest.json'));
+}
+
+/**
+ * Every file belonging to a compiled output that exists on disk
+ * @param {string} outputPath Path of the compiled `.md` file
+ * @returns {Array<string>} Absolute paths
+ */
+function outputFiles(outputPath) {
+  const base = path.resolve(outputPath).replace(/\.md$/, '');
+  return OUTPUT_SUFFIXES.map(suffix => `${base}${suffix}`).filter(file => fs.existsSync(file));
+}
+
+/**
+ * Describe an output the index doesn't know about, from its manifest if it has one
+ * @param {string} outputPath Absolute path of the compiled `.md` file
+ * @returns {Object} Index entry
+ */
+function describeUntrackedOutput(outputPath) {
+  const manifestPath = outputPath.replace(/\.md$/, '.manifest.json');
+  let manifest = null;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (err) {
+    // Outputs compiled before manifests existed only have a name and a date
+  }
+
+  const numbered = path.basename(outputPath).match(/^\d{3}-(.+)\.md$/);
+  return {
+    output: displayPath(outputPath),
+    template: manifest ? manifest.template.path : null,
+    templateName: numbered ? numbered[1] : path.basename(outputPath, '.md').replace(/-[0-9a-f]{12}$/, ''),
+    compiledAt: (manifest && manifest.compiledAt) || fs.statSync(outputPath).mtime.toISOString(),
+    manifest: manifest ? displayPath(manifestPath) : null,
+    tokens: manifest ? manifest.output.tokens : null,
+    variables: manifest ? manifest.variables : {}
+  };
+}
+
+/**
+ * Write the index. Paths are stored relative to the compiled prompts
+ * directory, so the index reads the same from any working directory.
+ * @param {string} outDir Compiled prompts directory
+ * @param {Array<Object>} outputs Index entries, as returned by loadIndex()
+ */
+function saveIndex(outDir, outputs) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const stored = outputs.map(entry => mapPaths(entry, filePath =>
+    path.relative(path.resolve(outDir), path.resolve(filePath)).split(path.sep).join('/')));
+  fs.writeFileSync(path.join(outDir, INDEX_FILE), JSON.stringify({ indexVersion: INDEX_VERSION, outputs: stored }, null, 2), 'utf8');
+}
+
+/**
+ * Load the index, dropping outputs that were deleted and adding outputs it
+ * doesn't know about (compiled before the index existed or copied in)
+ * @param {string} outDir Compiled prompts directory
+ * @returns {Array<Object>} Index entries with paths relative to the working directory, oldest first
+ */
+function loadIndex(outDir) {
+  let outputs = [];
+  try {
+    const index = JSON.parse(fs.readFileSync(path.join(outDir, INDEX_FILE), 'utf8'));
+    // Older indexes don't say what their paths are relative to; rebuilt from the directory below
+    if (index.indexVersion === INDEX_VERSION) {
+      outputs = (index.outputs || []).map(entry => mapPaths(entry, filePath => displayPath(path.resolve(outDir, filePath))));
+    }
+  } catch (err) {
+    // Missing or unreadable; rebuilt from the directory below
+  }
+  if (!fs.existsSync(outDir)) {
+    return [];
+  }
+
+  outputs = outputs.filter(entry => fs.existsSync(path.resolve(entry.output)));
+  const known = new Set(outputs.map(entry => path.resolve(entry.output)));
+  fs.readdirSync(outDir)
+    .filter(name => name.endsWith('.md'))
+    .map(name => path.join(path.resolve(outDir), name))
+    .filter(outputPath => !known.has(outputPath) && isCompiledOutput(outputPath))
+    .forEach(outputPath => outputs.push(describeUntrackedOutput(outputPath)));
+
+  return outputs.sort((a, b) => (a.compiledAt < b.compiledAt ? -1 : a.compiledAt > b.compiledAt ? 1 : 0));
+}
+
+/**
+ * Add a compiled output to the index, replacing any earlier entry for the same file
+ * @param {string} outDir Compiled prompts directory
+ * @param {Object} details Output details
+ * @param {string} details.outFile Compiled `.md` file
+ * @param {string} details.templatePath Template it was compiled from
+ * @param {string} details.manifestFile Its manifest
+ * @param {number} details.tokens Tokens in the output
+ * @param {Object} details.variables Resolved template variables
+ * @returns {Object} The index entry
+ */
+function recordOutput(outDir, details) {
+  const entry = {
+    output: displayPath(details.outFile),
+    template: displayPath(details.templatePath),
+    templateName: path.basename(details.templatePath, path.extname(details.templatePath)),
+    compiledAt: new Date().toISOString(),
+    manifest: details.manifestFile ? displayPath(details.manifestFile) : null,
+    tokens: details.tokens,
+    variables: details.variables
+  };
+  const outputs = loadIndex(outDir).filter(existing => path.resolve(existing.output) !== path.resolve(details.outFile));
+  outputs.push(entry);
+  saveIndex(outDir, outputs);
+  return entry;
+}
+
+/**
+ * Find compiled outputs, newest first
+ * @param {string} outDir Compiled prompts directory
+ * @param {string} query Optional text to match against the output and template
+ *   paths and variable values, case-insensitive
+ * @returns {Array<Object>} Matching index entries
+ */
+function findOutputs(outDir, query) {
+  const needle = query ? String(query).toLowerCase() : null;
+  return loadIndex(outDir)
+    .filter(entry => !needle || [entry.output, entry.template, JSON.stringify(entry.variables || {})]
+      .some(text => text && text.toLowerCase().includes(needle)))
+    .reverse();
+}
+
+module.exports = {
+  INDEX_FILE,
+  outputFiles,
+  loadIndex,
+  saveIndex,
+  recordOutput,
+  findOutputs
+};
@@ -0,0 +1,155 @@
+/**
+ * jaw-tools compiled prompt pruning
+ * Delete old compiled prompts according to retention policies: the last N
+ * outputs per template, a maximum age and a maximum total size
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadIndex, saveIndex, outputFiles } = require('./outputIndex');
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Parse a duration such as `30m`, `12h`, `7d` or `2w`
+ * @param {string|number} value Duration; plain numbers are days
+ * @returns {number} Milliseconds
+ */
+function parseDuration(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([mhdw]?)$/);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}". Use a number with m, h, d or w, e.g. 7d.`);
+  }
+  return parseFloat(match[1]) * DURATION_UNITS[match[2] || 'd'];
+}
+
+/**
+ * Parse a size such as `500KB`, `50MB` or `1GB`
+ * @param {string|number} value Size; plain numbers are bytes
+ * @returns {number} Bytes
+ */
+function parseSize(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) {
+    throw new Error(`Invalid size "${value}". Use a number with KB, MB or GB, e.g. 50MB.`);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes Size in bytes
+ * @returns {string} Size such as `1.2 MB`
+ */
+function formatSize(bytes) {
+  if (bytes >= SIZE_UNITS.mb) return `${(bytes / SIZE_UNITS.mb).toFixed(1)} MB`;
+  if (bytes >= SIZE_UNITS.kb) return `${(bytes / SIZE_UNITS.kb).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Normalize a retention policy from config and command line options
+ * @param {Object} policy Policy
+ * @param {number} policy.keepPerTemplate Outputs to keep per template
+ * @param {string} policy.maxAge Delete outputs older than this, e.g. `30d`
+ * @param {string} policy.maxSize Delete the oldest outputs until the rest fit, e.g. `100MB`
+ * @returns {{ keepPerTemplate: number|null, maxAge: number|null, maxSize: number|null }} Parsed policy
+ */
+function parseRetentionPolicy(policy = {}) {
+  const keep = policy.keepPerTemplate;
+  const parsed = {
+    keepPerTemplate: keep === undefined || keep === null || keep === false ? null : parseInt(keep, 10),
+    maxAge: policy.maxAge ? parseDuration(policy.maxAge) : null,
+    maxSize: policy.maxSize ? parseSize(policy.maxSize) : null
+  };
+  if (parsed.keepPerTemplate !== null && (Number.isNaN(parsed.keepPerTemplate) || parsed.keepPerTemplate < 0)) {
+    throw new Error(`Invalid keepPerTemplate "${keep}". Use a number of outputs, e.g. 5.`);
+  }
+  return parsed;
+}
+
+/**
+ * Delete compiled prompts that fall outside the retention policy. Each output
+ * is deleted together with its manifest, budget report and other formats.
+ * @param {string} outDir Compiled prompts directory
+ * @param {Object} policy Retention policy (see parseRetentionPolicy)
+ * @param {Object} options Prune options
+ * @param {boolean} options.dryRun Report what would be deleted without deleting it
+ * @returns {Object} Result with success, the removed and kept entries and bytes freed
+ */
+function pruneOutputs(outDir, policy, options = {}) {
+  let retention;
+  try {
+    retention = parseRetentionPolicy(policy);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  if (retention.keepPerTemplate === null && retention.maxAge === null && retention.maxSize === null) {
+    return {
+      success: false,
+      error: 'No retention policy. Use --keep, --max-age or --max-size, or set promptCompiler.retention.'
+    };
+  }
+
+  // Newest first, so "keep the last N" and "fit in the size" keep recent outputs
+  const entries = loadIndex(outDir).reverse().map(entry => {
+    const files = outputFiles(entry.output);
+    const size = files.reduce((sum, file) => sum + fs.statSync(file).size, 0);
+    return { entry, files, size, reason: null };
+  });
+
+  const now = Date.now();
+  const perTemplate = {};
+  let totalSize = 0;
+  entries.forEach(item => {
+    // Group by template path; outputs compiled before manifests existed only know the name
+    const key = item.entry.template ? path.resolve(item.entry.template) : `name:${item.entry.templateName}`;
+    perTemplate[key] = (perTemplate[key] || 0) + 1;
+
+    if (retention.keepPerTemplate !== null && perTemplate[key] > retention.keepPerTemplate) {
+      item.reason = `more than ${retention.keepPerTemplate} for ${item.entry.template || item.entry.templateName}`;
+    } else if (retention.maxAge !== null && now - Date.parse(item.entry.compiledAt) > retention.maxAge) {
+      item.reason = `older than ${policy.maxAge}`;
+    } else if (retention.maxSize !== null && totalSize + item.size > retention.maxSize) {
+      item.reason = `over ${policy.maxSize} in total`;
+    } else {
+      totalSize += item.size;
+    }
+  });
+
+  const removed = entries.filter(item => item.reason);
+  const kept = entries.filter(item => !item.reason);
+  if (!options.dryRun && removed.length > 0) {
+    let error = null;
+    try {
+      removed.forEach(item => item.files.forEach(file => fs.unlinkSync(file)));
+    } catch (err) {
+      error = err.message;
+    }
+    // Outputs that couldn't be deleted stay in the index
+    saveIndex(outDir, entries.map(item => item.entry).reverse()
+      .filter(entry => fs.existsSync(path.resolve(entry.output))));
+    if (error) {
+      return { success: false, error: `Could not delete all outputs: ${error}` };
+    }
+  }
+
+  return {
+    success: true,
+    dryRun: Boolean(options.dryRun),
+    removed: removed.map(item => ({ ...item.entry, files: item.files.length, size: item.size, reason: item.reason })),
+    kept: kept.length,
+    freedBytes: removed.reduce((sum, item) => sum + item.size, 0),
+    remainingBytes: totalSize
+  };
+}
+
+module.exports = {
+  parseDuration,
+  parseSize,
+  formatSize,
+  parseRetentionPolicy,
+  pruneOutputs
+};
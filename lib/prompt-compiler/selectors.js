@@ -0,0 +1,364 @@
+/**
+ * jaw-tools prompt compiler selectors
+ * Include part of a file: `path#L10-80` for a line range, `doc.md#heading-slug`
+ * for a Markdown section and `file.js@name` for a JS/TS function or class
+ */
+
+// `#L10`, `#L10-80` or `#L10-L80`
+const LINE_RANGE_REGEX = /^L(\d+)(?:-L?(\d+))?$/;
+
+// `@name` or `@Class.method` at the end of a path
+const SYMBOL_REGEX = /^(.*[^/])@([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)?)$/;
+
+/**
+ * Split a placeholder target into a path and an optional selector
+ * @param {string} target Placeholder target, e.g. `src/foo.js#L10-80`
+ * @returns {{ path: string, selector: Object|null }} Path and parsed selector
+ */
+function parseSelector(target) {
+  const symbolMatch = target.match(SYMBOL_REGEX);
+  if (symbolMatch) {
+    return {
+      path: symbolMatch[1],
+      selector: { type: 'symbol', name: symbolMatch[2], raw: `@${symbolMatch[2]}` }
+    };
+  }
+
+  const hash = target.lastIndexOf('#');
+  if (hash <= 0 || hash === target.length - 1) {
+    return { path: target, selector: null };
+  }
+
+  const fragment = target.substring(hash + 1);
+  const filePath = target.substring(0, hash);
+  const lineMatch = fragment.match(LINE_RANGE_REGEX);
+  if (lineMatch) {
+    const start = parseInt(lineMatch[1], 10);
+    const end = lineMatch[2] ? parseInt(lineMatch[2], 10) : start;
+    if (start < 1 || end < start) {
+      throw new Error(`Invalid line range "#${fragment}". Use #L<start>-<end> with start <= end.`);
+    }
+    return { path: filePath, selector: { type: 'lines', start, end, raw: `#${fragment}` } };
+  }
+
+  return { path: filePath, selector: { type: 'section', slug: fragment.toLowerCase(), raw: `#${fragment}` } };
+}
+
+/**
+ * Slugify a Markdown heading the way GitHub does
+ * @param {string} heading Heading text
+ * @returns {string} Slug
+ */
+function slugify(heading) {
+  return heading
+    .trim()
+    .toLowerCase()
+    .replace(/<[^>]*>/g, '')
+    .replace(/[^\w\- ]/g, '')
+    .replace(/ /g, '-');
+}
+
+/**
+ * Select a range of lines
+ * @param {Array<string>} lines File lines
+ * @param {Object} selector Line range selector
+ * @returns {{ start: number, end: number }} 1-based inclusive line range
+ */
+function selectLines(lines, selector) {
+  if (selector.start > lines.length) {
+    throw new Error(`Line ${selector.start} is past the end of the file (${lines.length} lines)`);
+  }
+  return { start: selector.start, end: Math.min(selector.end, lines.length) };
+}
+
+/**
+ * Select a Markdown section: the heading and everything up to the next
+ * heading of the same or a higher level
+ * @param {Array<string>} lines File lines
+ * @param {Object} selector Section selector
+ * @returns {{ start: number, end: number }} 1-based inclusive line range
+ */
+function selectSection(lines, selector) {
+  const seen = {};
+  let inFence = false;
+  let section = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (/^\s*(```|~~~)/.test(lines[i])) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    const heading = lines[i].match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!heading) continue;
+
+    const level = heading[1].length;
+    if (section) {
+      if (level <= section.level) {
+        return { start: section.start, end: i };
+      }
+      continue;
+    }
+
+    // Repeated headings get -1, -2, ... suffixes, as on GitHub
+    const base = slugify(heading[2]);
+    const slug = seen[base] ? `${base}-${seen[base]}` : base;
+    seen[base] = (seen[base] || 0) + 1;
+
+    if (slug === selector.slug) {
+      section = { level, start: i + 1 };
+    }
+  }
+
+  if (!section) {
+    throw new Error(`Section "#${selector.slug}" not found`);
+  }
+  return { start: section.start, end: lines.length };
+}
+
+/**
+ * Find the line where a declaration's body ends by matching brackets,
+ * skipping strings and comments
+ * @param {Array<string>} lines File lines
+ * @param {number} startIndex 0-based index of the declaration line
+ * @param {boolean} blockOnly End at the first closed `{}` block (functions,
+ *   classes); otherwise end at the statement's end (variables, types)
+ * @returns {number} 0-based index of the last line
+ */
+function findDeclarationEnd(lines, startIndex, blockOnly) {
+  let depth = 0;
+  let openedBlock = false;
+  let inString = null;
+  let inBlockComment = false;
+
+  for (let i = startIndex; i < lines.length; i++) {
+    const line = lines[i];
+    let lastSignificant = '';
+
+    for (let j = 0; j < line.length; j++) {
+      const char = line[j];
+      const next = line[j + 1];
+
+      if (inBlockComment) {
+        if (char === '*' && next === '/') {
+          inBlockComment = false;
+          j++;
+        }
+        continue;
+      }
+      if (inString) {
+        if (char === '\\') {
+          j++;
+        } else if (char === inString) {
+          inString = null;
+        }
+        continue;
+      }
+
+      if (char === '/' && next === '/') break;
+      if (char === '/' && next === '*') {
+        inBlockComment = true;
+        j++;
+        continue;
+      }
+      if (char === '"' || char === '\'' || char === '`') {
+        inString = char;
+        lastSignificant = char;
+        continue;
+      }
+
+      if (char === '{' || char === '(' || char === '[') {
+        depth++;
+        if (char === '{') openedBlock = true;
+      } else if (char === '}' || char === ')' || char === ']') {
+        depth--;
+        if (depth === 0 && char === '}' && blockOnly) {
+          return i;
+        }
+      } else if (char === ';' && depth === 0 && !blockOnly) {
+        return i;
+      }
+      if (!/\s/.test(char)) lastSignificant = char;
+    }
+
+    // Single and double quoted strings end with the line; template literals don't
+    if (inString && inString !== '`') inString = null;
+
+    // Statements without semicolons end at a line that doesn't continue
+    if (!blockOnly && depth === 0 && !inString && !inBlockComment && lastSignificant &&
+        !/[=+\-*/%&|^<>?:,.(\[{]/.test(lastSignificant)) {
+      const following = lines.slice(i + 1).find(l => l.trim() !== '');
+      if (!following || !/^\s*[.?:+\-*/%&|^=]/.test(following)) {
+        return i;
+      }
+    }
+
+    if (blockOnly && openedBlock && depth <= 0) {
+      return i;
+    }
+  }
+
+  return lines.length - 1;
+}
+
+/**
+ * Extend a declaration upwards to include its doc comment and decorators
+ * @param {Array<string>} lines File lines
+ * @param {number} startIndex 0-based index of the declaration line
+ * @returns {number} 0-based index of the first line
+ */
+function includeLeadingComments(lines, startIndex) {
+  let start = startIndex;
+  let inDocComment = false;
+
+  for (let i = startIndex - 1; i >= 0; i--) {
+    const trimmed = lines[i].trim();
+    if (inDocComment) {
+      start = i;
+      if (trimmed.startsWith('/*')) inDocComment = false;
+      continue;
+    }
+    if (trimmed.endsWith('*/')) {
+      start = i;
+      inDocComment = !trimmed.startsWith('/*');
+      continue;
+    }
+    if (trimmed.startsWith('//') || trimmed.startsWith('@')) {
+      start = i;
+      continue;
+    }
+    break;
+  }
+
+  return start;
+}
+
+/**
+ * Escape an identifier for use in a regular expression, followed by a check
+ * that the identifier ends there (`\b` doesn't work after `$`)
+ * @param {string} name Identifier, e.g. `$store`
+ * @returns {string} Pattern source
+ */
+function identifierPattern(name) {
+  return `${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w$])`;
+}
+
+/**
+ * Patterns for declarations of a name, as [regex, ends with a block]
+ * @param {string} name Identifier
+ * @returns {Array<Array>} Patterns
+ */
+function declarationPatterns(name) {
+  const id = identifierPattern(name);
+  const exported = '(?:export\\s+(?:default\\s+)?)?(?:declare\\s+)?';
+  return [
+    [new RegExp(`^\\s*${exported}(?:async\\s+)?function\\s*\\*?\\s*${id}`), true],
+    [new RegExp(`^\\s*${exported}(?:abstract\\s+)?class\\s+${id}`), true],
+    [new RegExp(`^\\s*${exported}(?:interface|enum)\\s+${id}`), true],
+    [new RegExp(`^\\s*${exported}(?:const|let|var)\\s+${id}`), false],
+    [new RegExp(`^\\s*${exported}type\\s+${id}`), false],
+    [new RegExp(`^\\s*(?:module\\.)?exports\\.${id}\\s*=`), false]
+  ];
+}
+
+/**
+ * Pattern for a method definition inside a class body
+ * @param {string} name Method name
+ * @returns {RegExp} Pattern
+ */
+function methodPattern(name) {
+  const modifiers = '(?:(?:public|private|protected|static|readonly|override|abstract|async|get|set)\\s+)*';
+  return new RegExp(`^\\s*${modifiers}\\*?\\s*${identifierPattern(name)}\\s*(?:<[^>]*>)?\\s*\\(`);
+}
+
+/**
+ * Find a top-level declaration between two lines
+ * @param {Array<string>} lines File lines
+ * @param {string} name Identifier
+ * @param {number} from First 0-based line to search
+ * @param {number} to Last 0-based line to search
+ * @returns {{ start: number, end: number }|null} 0-based inclusive range
+ */
+function findDeclaration(lines, name, from, to) {
+  const patterns = declarationPatterns(name);
+  for (let i = from; i <= to; i++) {
+    const match = patterns.find(([regex]) => regex.test(lines[i]));
+    if (match) {
+      return { start: i, end: findDeclarationEnd(lines, i, match[1]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Select a JS/TS function, class, variable or type, or a method with `Class.method`
+ * @param {Array<string>} lines File lines
+ * @param {Object} selector Symbol selector
+ * @returns {{ start: number, end: number }} 1-based inclusive line range
+ */
+function selectSymbol(lines, selector) {
+  const [owner, member] = selector.name.split('.');
+  const declaration = findDeclaration(lines, owner, 0, lines.length - 1);
+  if (!declaration) {
+    throw new Error(`Symbol "${owner}" not found`);
+  }
+
+  let range = declaration;
+  if (member) {
+    const pattern = methodPattern(member);
+    const memberPatterns = [pattern, ...declarationPatterns(member).map(([regex]) => regex)];
+    let found = null;
+    for (let i = declaration.start + 1; i < declaration.end; i++) {
+      // Skip statements such as calls that look like a method signature
+      if (lines[i].trim().endsWith(';')) continue;
+      if (memberPatterns.some(regex => regex.test(lines[i]))) {
+        found = { start: i, end: findDeclarationEnd(lines, i, true) };
+        break;
+      }
+    }
+    if (!found) {
+      throw new Error(`Member "${member}" not found in "${owner}"`);
+    }
+    range = found;
+  }
+
+  return { start: includeLeadingComments(lines, range.start) + 1, end: range.end + 1 };
+}
+
+/**
+ * Apply a selector to file content
+ * @param {string} content File content
+ * @param {Object} selector Parsed selector
+ * @returns {{ content: string, lines: { start: number, end: number } }} Selected
+ *   content and its 1-based line range in the file
+ */
+function applySelector(content, selector) {
+  const lines = content.split('\n');
+  let range;
+
+  if (selector.type === 'lines') {
+    range = selectLines(lines, selector);
+  } else if (selector.type === 'section') {
+    range = selectSection(lines, selector);
+  } else {
+    range = selectSymbol(lines, selector);
+  }
+
+  // Drop trailing blank lines, e.g. before the next section heading
+  let end = range.end;
+  if (selector.type !== 'lines') {
+    while (end > range.start && lines[end - 1].trim() === '') end--;
+  }
+
+  return {
+    content: lines.slice(range.start - 1, end).join('\n'),
+    lines: { start: range.start, end }
+  };
+}
+
+module.exports = {
+  parseSelector,
+  applySelector,
+  slugify
+};
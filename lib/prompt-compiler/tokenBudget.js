@@ -0,0 +1,185 @@
+/**
+ * jaw-tools prompt compiler token budget
+ * Fit resolved placeholder inclusions into a token budget by trimming
+ * the lowest-priority inclusions first
+ */
+
+// Named priority levels for the `priority` placeholder option
+const PRIORITY_LEVELS = {
+  low: 1,
+  normal: 2,
+  high: 3,
+  required: Infinity
+};
+
+const DEFAULT_PRIORITY = PRIORITY_LEVELS.normal;
+
+// Inclusions that cannot keep at least this many tokens are dropped entirely
+const MIN_TRIMMED_TOKENS = 50;
+
+// Tokens reserved for the marker comment added to trimmed inclusions
+const MARKER_TOKENS = 20;
+
+/**
+ * Parse a priority option value
+ * @param {string|number} value Priority name (low, normal, high, required) or number
+ * @returns {number} Numeric priority, higher is kept longer
+ */
+function parsePriority(value) {
+  if (value === undefined || value === null || value === true) {
+    return DEFAULT_PRIORITY;
+  }
+
+  const named = PRIORITY_LEVELS[String(value).toLowerCase()];
+  if (named !== undefined) {
+    return named;
+  }
+
+  const numeric = Number(value);
+  if (Number.isNaN(numeric)) {
+    throw new Error(`Invalid priority "${value}". Use low, normal, high, required or a number.`);
+  }
+  return numeric;
+}
+
+/**
+ * Format a numeric priority for reports
+ * @param {number} priority Numeric priority
+ * @returns {string} Priority name or number
+ */
+function formatPriority(priority) {
+  const name = Object.keys(PRIORITY_LEVELS).find(key => PRIORITY_LEVELS[key] === priority);
+  return name || String(priority);
+}
+
+/**
+ * Find the largest prefix of whole lines that fits in a token count
+ * @param {string} content Content to trim
+ * @param {number} maxTokens Tokens available for the content
+ * @param {Object} tokenizer Tokenizer from src/tokenizer
+ * @returns {{ content: string, lines: number, totalLines: number }} Trimmed content
+ */
+function trimToLines(content, maxTokens, tokenizer) {
+  const lines = content.split('\n');
+  let low = 0;
+  let high = lines.length;
+
+  // Binary search for the number of lines that fits
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (tokenizer.count(lines.slice(0, mid).join('\n')) <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return {
+    content: lines.slice(0, low).join('\n'),
+    lines: low,
+    totalLines: lines.length
+  };
+}
+
+/**
+ * Trim inclusions so the compiled prompt fits the token budget.
+ * Inclusions are mutated in place: `content` and `tokens` are updated and
+ * a `trimmed` description is attached to every inclusion that was cut.
+ *
+ * @param {Array<Object>} inclusions Resolved inclusions in template order
+ * @param {number} fixedTokens Tokens used by the template outside placeholders
+ * @param {number} maxTokens Token budget for the whole compiled prompt
+ * @param {Object} tokenizer Tokenizer from src/tokenizer
+ * @param {Function} render Renders an inclusion's files to text
+ * @returns {Object} Budget report
+ */
+function applyTokenBudget(inclusions, fixedTokens, maxTokens, tokenizer, render) {
+  const totalTokens = () => fixedTokens + inclusions.reduce(
+    (sum, inclusion) => sum + inclusion.tokens * inclusion.occurrences, 0);
+
+  const report = {
+    maxTokens,
+    tokenizer: tokenizer.name,
+    tokensBefore: totalTokens(),
+    tokensAfter: 0,
+    withinBudget: true,
+    trimmed: []
+  };
+
+  // Lowest priority first; among equal priorities, trim later placeholders first
+  const trimOrder = inclusions
+    .map((inclusion, index) => ({ inclusion, index }))
+    .filter(({ inclusion }) => inclusion.priority !== Infinity && inclusion.files.length > 0)
+    .sort((a, b) => a.inclusion.priority - b.inclusion.priority || b.index - a.index)
+    .map(({ inclusion }) => inclusion);
+
+  for (const inclusion of trimOrder) {
+    const excess = totalTokens() - maxTokens;
+    if (excess <= 0) break;
+
+    const tokensBefore = inclusion.tokens;
+    const available = Math.floor(tokensBefore - excess / inclusion.occurrences);
+    const entry = {
+      placeholder: inclusion.raw,
+      priority: formatPriority(inclusion.priority),
+      tokensBefore,
+      tokensAfter: 0,
+      droppedFiles: [],
+      truncatedFile: null
+    };
+
+    if (inclusion.files.length > 1) {
+      // Drop whole files from the end of the match list until it fits
+      while (inclusion.files.length > 0 && inclusion.tokens > available) {
+        const dropped = inclusion.files.pop();
+        entry.droppedFiles.push(dropped.path);
+        inclusion.content = render(inclusion);
+        inclusion.tokens = tokenizer.count(inclusion.content);
+      }
+    } else if (inclusion.files.length === 1 && available >= MIN_TRIMMED_TOKENS) {
+      // Cut a single file at a line boundary
+      const file = inclusion.files[0];
+      const overhead = tokensBefore - tokenizer.count(file.content) + MARKER_TOKENS;
+      const result = trimToLines(file.content, available - overhead, tokenizer);
+      if (result.lines > 0) {
+        file.content = result.content;
+        entry.truncatedFile = {
+          path: file.path,
+          keptLines: result.lines,
+          totalLines: result.totalLines
+        };
+        inclusion.content = render(inclusion);
+      } else {
+        entry.droppedFiles.push(file.path);
+        inclusion.files = [];
+      }
+    } else {
+      entry.droppedFiles.push(...inclusion.files.map(file => file.path));
+      inclusion.files = [];
+    }
+
+    if (inclusion.files.length === 0) {
+      inclusion.content = `<!-- Omitted to fit token budget: ${inclusion.raw} -->`;
+      inclusion.tokens = tokenizer.count(inclusion.content);
+    } else {
+      inclusion.content += `\n<!-- Trimmed to fit token budget: ${inclusion.raw} -->`;
+      inclusion.tokens = tokenizer.count(inclusion.content);
+    }
+
+    entry.tokensAfter = inclusion.tokens;
+    inclusion.trimmed = entry;
+    report.trimmed.push(entry);
+  }
+
+  report.tokensAfter = totalTokens();
+  report.withinBudget = report.tokensAfter <= maxTokens;
+
+  return report;
+}
+
+module.exports = {
+  PRIORITY_LEVELS,
+  DEFAULT_PRIORITY,
+  parsePriority,
+  applyTokenBudget
+};
@@ -0,0 +1,234 @@
+/**
+ * jaw-tools prompt compiler variables
+ * Collect template variables from config, prompt front-matter, a vars file
+ * and --var arguments
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const matter = require('gray-matter');
+
+/**
+ * Set a value on an object using a dotted path
+ * @param {Object} target Object to modify
+ * @param {string} keyPath Dotted path, e.g. `feature.name`
+ * @param {*} value Value to set
+ */
+function setPath(target, keyPath, value) {
+  const parts = keyPath.split('.');
+  let current = target;
+  parts.slice(0, -1).forEach(part => {
+    if (!current[part] || typeof current[part] !== 'object') {
+      current[part] = {};
+    }
+    current = current[part];
+  });
+  current[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Whether a value is a mapping of variables rather than a leaf value
+ * @param {*} value Value
+ * @returns {boolean} True for objects that aren't arrays or null
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge variables into a target. Nested mappings are merged, so a source that
+ * sets `feature.name` keeps the `feature.desc` already in the target.
+ * Mappings are copied, so later merges don't change the source.
+ * @param {Object} target Variables to modify
+ * @param {Object} source Variables to add; keys may be dotted paths
+ * @returns {Object} The target
+ */
+function mergeVariables(target, source) {
+  Object.entries(source).forEach(([keyPath, value]) => {
+    const parts = keyPath.split('.');
+    const key = parts.pop();
+    let current = target;
+    parts.forEach(part => {
+      if (!isPlainObject(current[part])) {
+        current[part] = {};
+      }
+      current = current[part];
+    });
+    if (isPlainObject(value)) {
+      current[key] = mergeVariables(isPlainObject(current[key]) ? current[key] : {}, value);
+    } else {
+      current[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Check whether a dotted path has a value
+ * @param {Object} source Object to check
+ * @param {string} keyPath Dotted path
+ * @returns {boolean} True if the value is defined
+ */
+function hasPath(source, keyPath) {
+  const value = keyPath.split('.').reduce(
+    (current, part) => (current !== null && current !== undefined ? current[part] : undefined),
+    source
+  );
+  return value !== undefined && value !== null;
+}
+
+/**
+ * Convert a command line value to a boolean, number or list where it looks like one
+ * @param {string} value Raw value
+ * @returns {*} Parsed value
+ */
+function parseValue(value) {
+  try {
+    const parsed = yaml.load(value);
+    // Keep strings that YAML would turn into mappings, e.g. "a: b"
+    if (parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return value;
+    }
+    return parsed === null || parsed === undefined ? value : parsed;
+  } catch (err) {
+    return value;
+  }
+}
+
+/**
+ * Parse `key=value` assignments from --var arguments
+ * @param {string|Array<string>|Object} vars One or more assignments, or an object of values
+ * @returns {Object} Variables
+ */
+function parseVarArgs(vars) {
+  if (!vars) return {};
+  if (typeof vars === 'object' && !Array.isArray(vars)) return vars;
+
+  const result = {};
+  [].concat(vars).forEach(assignment => {
+    const eq = String(assignment).indexOf('=');
+    if (eq <= 0) {
+      throw new Error(`Invalid --var "${assignment}". Use --var key=value`);
+    }
+    setPath(result, assignment.substring(0, eq).trim(), parseValue(assignment.substring(eq + 1)));
+  });
+  return result;
+}
+
+/**
+ * Load variables from a JSON or YAML file
+ * @param {string} filePath Path to the vars file
+ * @returns {Object} Variables
+ */
+function loadVarsFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`Vars file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(absolutePath, 'utf8');
+  let vars;
+  try {
+    vars = path.extname(absolutePath).toLowerCase() === '.json'
+      ? JSON.parse(content)
+      : yaml.load(content);
+  } catch (err) {
+    throw new Error(`Could not parse vars file ${filePath}: ${err.message}`);
+  }
+
+  if (vars === null || vars === undefined) return {};
+  if (typeof vars !== 'object' || Array.isArray(vars)) {
+    throw new Error(`Vars file ${filePath} must contain an object of variables`);
+  }
+  return vars;
+}
+
+/**
+ * Read variable declarations from a prompt template's front-matter.
+ *
+ * Declarations live under a `variables` key. A plain value is a default;
+ * an object may set `default`, `required` and `description`:
+ *
+ *   variables:
+ *     audience: developers
+ *     feature:
+ *       required: true
+ *       description: Feature being implemented
+ *
+ * A `role` key sets the chat role of text before the first role marker
+ * (see prompt-compiler/formats).
+ *
+ * @param {string} template Template source
+ * @returns {{ content: string, declarations: Object, role: string|null }} Template
+ *   without the front-matter (when it declares variables or a role), the
+ *   declarations and the role
+ */
+function extractFrontMatterVariables(template) {
+  let parsed;
+  try {
+    parsed = matter(template);
+  } catch (err) {
+    throw new Error(`Invalid front-matter: ${err.message}`);
+  }
+
+  const declared = parsed.data && parsed.data.variables;
+  const role = (parsed.data && parsed.data.role) || null;
+  if (!declared && !role) {
+    return { content: template, declarations: {}, role: null };
+  }
+  if (!declared) {
+    return { content: parsed.content, declarations: {}, role };
+  }
+  if (typeof declared !== 'object' || Array.isArray(declared)) {
+    throw new Error('Front-matter "variables" must be a mapping of variable names');
+  }
+
+  const declarations = {};
+  Object.entries(declared).forEach(([name, spec]) => {
+    const isSpec = spec !== null && typeof spec === 'object' && !Array.isArray(spec) &&
+      ('default' in spec || 'required' in spec || 'description' in spec);
+
+    declarations[name] = isSpec
+      ? { default: spec.default, required: Boolean(spec.required), description: spec.description || '' }
+      : { default: spec, required: false, description: '' };
+  });
+
+  return { content: parsed.content, declarations, role };
+}
+
+/**
+ * Merge variables from every source. Later sources win:
+ * config < front-matter defaults < vars file < --var
+ * @param {Object} sources Variable sources
+ * @param {Object} sources.config promptCompiler.variables
+ * @param {Object} sources.declarations Front-matter declarations
+ * @param {Object} sources.file Variables from --vars-file
+ * @param {Object} sources.cli Variables from --var
+ * @returns {{ variables: Object, missing: Array<Object> }} Merged variables and
+ *   required variables without a value
+ */
+function resolveVariables({ config = {}, declarations = {}, file = {}, cli = {} }) {
+  const variables = JSON.parse(JSON.stringify(config));
+
+  Object.entries(declarations).forEach(([name, declaration]) => {
+    if (declaration.default !== undefined && declaration.default !== null) {
+      mergeVariables(variables, { [name]: declaration.default });
+    }
+  });
+
+  [file, cli].forEach(source => mergeVariables(variables, source));
+
+  const missing = Object.entries(declarations)
+    .filter(([name, declaration]) => declaration.required && !hasPath(variables, name))
+    .map(([name, declaration]) => ({ name, description: declaration.description }));
+
+  return { variables, missing };
+}
+
+module.exports = {
+  parseVarArgs,
+  loadVarsFile,
+  extractFrontMatterVariables,
+  resolveVariables
+};
@@ -0,0 +1,147 @@
+/**
+ * jaw-tools prompt compiler watch mode
+ * Recompile a prompt whenever its template or anything it includes changes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compile } = require('../compile-prompt');
+
+let glob;
+try {
+  glob = require('glob');
+} catch (err) {
+  glob = { sync: () => [] };
+}
+
+// How often dependencies are checked for changes
+const DEFAULT_INTERVAL_MS = 500;
+
+/**
+ * Take a snapshot of the watched files and glob matches
+ * @param {Object} dependencies Dependencies from a compile result
+ * @returns {Map<string, string>} Snapshot keyed by file path or glob pattern
+ */
+function snapshot(dependencies) {
+  const state = new Map();
+
+  dependencies.files.forEach(filePath => {
+    try {
+      const stats = fs.statSync(filePath);
+      state.set(filePath, `${stats.mtimeMs}:${stats.size}`);
+    } catch (err) {
+      state.set(filePath, 'missing');
+    }
+  });
+
+  // Re-run globs so added and removed files are noticed
+  dependencies.globs.forEach(pattern => {
+    let matches;
+    try {
+      matches = glob.sync(pattern).map(file => path.resolve(file)).sort();
+    } catch (err) {
+      matches = [];
+    }
+    state.set(`glob:${pattern}`, matches.join('\n'));
+    matches.forEach(file => {
+      if (state.has(file)) return;
+      try {
+        const stats = fs.statSync(file);
+        state.set(file, `${stats.mtimeMs}:${stats.size}`);
+      } catch (err) {
+        state.set(file, 'missing');
+      }
+    });
+  });
+
+  return state;
+}
+
+/**
+ * Find the first entry that differs between two snapshots
+ * @param {Map<string, string>} before Previous snapshot
+ * @param {Map<string, string>} after Current snapshot
+ * @returns {string|null} Changed file path or glob pattern
+ */
+function findChange(before, after) {
+  for (const [key, value] of after) {
+    if (before.get(key) !== value) return key;
+  }
+  for (const key of before.keys()) {
+    if (!after.has(key)) return key;
+  }
+  return null;
+}
+
+/**
+ * Whether compiles write reproducible, content-hash named outputs
+ * @param {Object} options Compile options
+ * @param {Object} config jaw-tools configuration, or null to load the project's
+ * @returns {boolean} True if outputs are named by content
+ */
+function isReproducible(options, config) {
+  if (options.reproducible) return true;
+  try {
+    const resolved = config || require('../../src/config-manager').getConfig();
+    return Boolean(resolved.promptCompiler && resolved.promptCompiler.reproducible);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Compile a prompt and keep recompiling it when its dependencies change.
+ * The first compile picks the output file as usual; later compiles
+ * overwrite that same file, except reproducible outputs, which each compile
+ * names by their content.
+ * @param {string} promptFilePath Path to the prompt template
+ * @param {Object} options Compile options
+ * @param {Object} config jaw-tools configuration
+ * @param {Object} watchOptions Watch options
+ * @param {number} watchOptions.interval Polling interval in milliseconds
+ * @returns {{ result: Object, close: Function }} First compile result and a
+ *   function that stops watching
+ */
+function watchCompile(promptFilePath, options = {}, config = null, watchOptions = {}) {
+  const interval = watchOptions.interval || DEFAULT_INTERVAL_MS;
+  const templatePath = path.resolve(promptFilePath);
+
+  let compileOptions = { ...options };
+  const pinOutput = !compileOptions.outFile && !isReproducible(options, config);
+  let dependencies;
+  let state;
+
+  const run = () => {
+    const result = compile(promptFilePath, compileOptions, config);
+    if (result.success && pinOutput && !compileOptions.outFile) {
+      compileOptions = { ...compileOptions, outFile: result.outFile };
+    }
+    // Keep watching the previous dependencies if this compile failed early
+    dependencies = result.dependencies || dependencies || { files: [templatePath], globs: [] };
+    state = snapshot(dependencies);
+    return result;
+  };
+
+  const result = run();
+  console.log(`👀 Watching ${dependencies.files.length} file(s) and ${dependencies.globs.length} pattern(s) for changes. Press Ctrl+C to stop.`);
+
+  const timer = setInterval(() => {
+    const changed = findChange(state, snapshot(dependencies));
+    if (!changed) return;
+
+    const label = changed.startsWith('glob:')
+      ? `files matching ${changed.substring(5)}`
+      : path.relative(process.cwd(), changed);
+    console.log(`\n🔄 Change detected in ${label}, recompiling...`);
+    run();
+  }, interval);
+
+  return {
+    result,
+    close: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  watchCompile
+};
@@ -0,0 +1,158 @@
+/**
+ * jaw-tools prompt compiler file wrapping
+ * Wrap included files so their boundaries and language are clear to the
+ * model and to people reading the compiled prompt
+ */
+
+const path = require('path');
+
+// Supported values for the `wrap` placeholder option
+const WRAP_FORMATS = ['fenced', 'xml', 'repomix', 'comment', 'none'];
+
+// Default for glob placeholders when neither the placeholder nor the config sets one
+const DEFAULT_GLOB_WRAP = 'fenced';
+
+// Fenced code block languages by file extension
+const LANGUAGES_BY_EXTENSION = {
+  '.js': 'javascript',
+  '.cjs': 'javascript',
+  '.mjs': 'javascript',
+  '.jsx': 'jsx',
+  '.ts': 'typescript',
+  '.mts': 'typescript',
+  '.cts': 'typescript',
+  '.tsx': 'tsx',
+  '.json': 'json',
+  '.md': 'markdown',
+  '.mdx': 'mdx',
+  '.yml': 'yaml',
+  '.yaml': 'yaml',
+  '.toml': 'toml',
+  '.ini': 'ini',
+  '.xml': 'xml',
+  '.html': 'html',
+  '.htm': 'html',
+  '.css': 'css',
+  '.scss': 'scss',
+  '.less': 'less',
+  '.vue': 'vue',
+  '.svelte': 'svelte',
+  '.py': 'python',
+  '.rb': 'ruby',
+  '.php': 'php',
+  '.java': 'java',
+  '.kt': 'kotlin',
+  '.swift': 'swift',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.c': 'c',
+  '.h': 'c',
+  '.cpp': 'cpp',
+  '.cc': 'cpp',
+  '.hpp': 'cpp',
+  '.cs': 'csharp',
+  '.sql': 'sql',
+  '.sh': 'bash',
+  '.bash': 'bash',
+  '.zsh': 'zsh',
+  '.ps1': 'powershell',
+  '.graphql': 'graphql',
+  '.gql': 'graphql',
+  '.prisma': 'prisma',
+  '.tf': 'hcl',
+  '.env': 'dotenv'
+};
+
+// Languages for files recognized by name rather than extension
+const LANGUAGES_BY_NAME = {
+  'Dockerfile': 'dockerfile',
+  'Makefile': 'makefile',
+  '.gitignore': 'gitignore'
+};
+
+/**
+ * Detect the fenced code block language for a file
+ * @param {string} filePath File path
+ * @returns {string} Language identifier, or an empty string if unknown
+ */
+function detectLanguage(filePath) {
+  const name = path.basename(filePath);
+  return LANGUAGES_BY_NAME[name] || LANGUAGES_BY_EXTENSION[path.extname(name).toLowerCase()] || '';
+}
+
+/**
+ * Validate a wrap format name
+ * @param {string} format Format name
+ * @returns {string} The format
+ */
+function parseWrapFormat(format) {
+  if (!WRAP_FORMATS.includes(format)) {
+    throw new Error(`Invalid wrap format "${format}". Use ${WRAP_FORMATS.join(', ')}.`);
+  }
+  return format;
+}
+
+/**
+ * Pick a code fence longer than any backtick run in the content
+ * @param {string} content File content
+ * @returns {string} Fence
+ */
+function fenceFor(content) {
+  const longestRun = (content.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+/**
+ * Escape a value for an XML attribute
+ * @param {string} value Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+}
+
+/**
+ * Wrap a file's content in the given format
+ * @param {Object} file File with path, content and optional error, selector and language
+ * @param {string} format One of WRAP_FORMATS
+ * @returns {string} Wrapped content
+ */
+function wrapFile(file, format) {
+  const filePath = file.path.split(path.sep).join('/');
+  // Show which part of the file was selected, e.g. `src/app.js#L10-80`
+  const label = `${filePath}${file.selector || ''}`;
+  const content = file.content.endsWith('\n') ? file.content : `${file.content}\n`;
+
+  switch (format) {
+    case 'fenced': {
+      if (file.error) return `\n<!-- Error reading file: ${filePath} -->\n`;
+      const fence = fenceFor(file.content);
+      const language = file.language !== undefined && file.language !== null ? file.language : detectLanguage(filePath);
+      return `\nFile: ${label}\n${fence}${language}\n${content}${fence}\n`;
+    }
+    case 'xml': {
+      if (file.error) return `\n<file path="${escapeAttribute(filePath)}" error="${escapeAttribute(file.error)}" />\n`;
+      const lines = file.lines ? ` lines="${file.lines.start}-${file.lines.end}"` : '';
+      return `\n<file path="${escapeAttribute(filePath)}"${lines}>\n${content}</file>\n`;
+    }
+    case 'repomix':
+      if (file.error) return `\n<!-- Error reading file: ${filePath} -->\n`;
+      return `\n================\nFile: ${label}\n================\n${content}`;
+    case 'comment':
+      if (file.error) return `\n// Error reading file: ${filePath}\n`;
+      return `\n// File: ${label}\n${file.content}\n`;
+    default:
+      return file.error ? '' : file.content;
+  }
+}
+
+module.exports = {
+  WRAP_FORMATS,
+  DEFAULT_GLOB_WRAP,
+  detectLanguage,
+  parseWrapFormat,
+  wrapFile
+};
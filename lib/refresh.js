@@ -413,6 +413,17 @@ async function refreshRepomixProfiles() {
     // Save merged profiles
     fs.writeFileSync(profilesFile, JSON.stringify(mergedProfiles, null, 2));
     
+    // Replace an outdated copy of the profiles manager script
+    const { installProfilesManager } = require('./repomix/profiles');
+    const manager = installProfilesManager(profilesDir);
+    if (!manager.success) {
+      console.warn(`⚠️ Could not update profiles-manager.js: ${manager.error}`);
+    } else if (manager.action === 'modified') {
+      console.warn('⚠️ profiles-manager.js has local changes, so it was not updated. Delete it to get the current version.');
+    } else if (manager.action !== 'unchanged') {
+      console.log(`✅ ${manager.action === 'created' ? 'Created' : 'Updated'} profiles-manager.js`);
+    }
+    
     // Result
     console.log('\n📊 Repomix Profiles Summary:');
     console.log(`Total profiles: ${Object.keys(mergedProfiles).length}`);
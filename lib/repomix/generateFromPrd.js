@@ -8,6 +8,7 @@ const path = require('path');
 const fsExtra = require('fs-extra');
 const matter = require('gray-matter');
 const { ensureDir } = require('../../src/utils');
+const { parseSelector } = require('../prompt-compiler/selectors');
 
 /**
  * Sanitize a string for use as a profile name
@@ -96,10 +97,11 @@ async function generateProfileFromPrd(options, config) {
       frontMatter.repomixContext.description = `Files relevant to ${frontMatter.prdId} - ${frontMatter.name}`;
     }
     
-    // Format the patterns as comma-separated strings if they're arrays
-    const includePattern = Array.isArray(frontMatter.repomixContext.include) 
-      ? frontMatter.repomixContext.include.join(',')
-      : frontMatter.repomixContext.include;
+    // Format the patterns as comma-separated strings if they're arrays.
+    // Repomix packs whole files, so selectors such as `SPPG.md#section` are dropped.
+    const includePattern = [].concat(frontMatter.repomixContext.include)
+      .map(pattern => parseSelector(String(pattern)).path)
+      .join(',');
       
     const ignorePattern = Array.isArray(frontMatter.repomixContext.ignore) 
       ? frontMatter.repomixContext.ignore.join(',')
@@ -143,7 +145,10 @@ async function generateProfileFromPrd(options, config) {
     }
     
     // Optionally update the PRD's front-matter with the profile name
-    if (!frontMatter.repomixContext.profileName || frontMatter.repomixContext.profileName !== profileName) {
+    const needsUpdate = !frontMatter.repomixContext.profileName || frontMatter.repomixContext.profileName !== profileName;
+    if (needsUpdate && config.interactive === false) {
+      console.log(`ℹ️ Not asking to update the Mini-PRD (interactive: false). Set repomixContext.profileName: ${profileName} to link it.`);
+    } else if (needsUpdate) {
       const { createInterface, askQuestion } = require('../../src/utils');
       const rl = createInterface();
       
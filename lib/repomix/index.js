@@ -3,7 +3,11 @@
  */
 
 const { generateProfileFromPrd } = require('./generateFromPrd');
+const { loadProfiles, listProfiles, runProfile } = require('./profiles');
 
 module.exports = {
-  generateProfileFromPrd
+  generateProfileFromPrd,
+  loadProfiles,
+  listProfiles,
+  runProfile
 }; 
\ No newline at end of file
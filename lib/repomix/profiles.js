@@ -0,0 +1,210 @@
+/**
+ * jaw-tools repomix profiles
+ * Read and run the profiles in `.repomix-profiles/profiles.json` from Node,
+ * without going through the profiles-manager.js script
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { countFileTokens, getTokenizer } = require('../../src/tokenizer');
+const { prepareSpawn } = require('../../src/utils');
+
+/**
+ * Directories used for profiles and their outputs
+ * @param {Object} config jaw-tools configuration
+ * @returns {{ profilesDir: string, profilesFile: string, outputDir: string }} Paths
+ */
+function profilePaths(config) {
+  const profilesDir = path.resolve(config.__projectRoot || process.cwd(), config.directories?.repomixProfiles || '.repomix-profiles');
+  return {
+    profilesDir,
+    profilesFile: path.join(profilesDir, 'profiles.json'),
+    outputDir: path.join(profilesDir, 'outputs')
+  };
+}
+
+/**
+ * Load profiles, falling back to the defaults in the configuration
+ * @param {Object} config jaw-tools configuration
+ * @returns {Object} Profiles by name
+ */
+function loadProfiles(config) {
+  const { profilesFile } = profilePaths(config);
+  if (fs.existsSync(profilesFile)) {
+    try {
+      return JSON.parse(fs.readFileSync(profilesFile, 'utf8'));
+    } catch (err) {
+      throw new Error(`Could not read ${profilesFile}: ${err.message}`);
+    }
+  }
+  return { ...(config.repomix?.defaultProfiles || {}) };
+}
+
+/**
+ * List profiles with their last output
+ * @param {Object} config jaw-tools configuration
+ * @returns {Array<Object>} Profiles with name, settings, output path and token count
+ */
+function listProfiles(config) {
+  const { outputDir } = profilePaths(config);
+  return Object.entries(loadProfiles(config)).map(([name, profile]) => {
+    const output = path.join(outputDir, `${name}.xml`);
+    const exists = fs.existsSync(output);
+    return {
+      name,
+      ...profile,
+      output,
+      exists,
+      tokens: exists ? countFileTokens(output, config) : null
+    };
+  });
+}
+
+/**
+ * Run a profile with repomix
+ * @param {string} profileName Profile to run
+ * @param {Object} config jaw-tools configuration
+ * @param {Object} options Run options
+ * @param {string} options.output Write the snapshot here instead of the profile's output file
+ * @param {boolean} options.quiet Don't show repomix's output
+ * @returns {Promise<Object>} Result with success, output path, size and token count
+ */
+async function runProfile(profileName, config, options = {}) {
+  let profiles;
+  try {
+    profiles = loadProfiles(config);
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  const profile = profiles[profileName];
+  if (!profile) {
+    return { success: false, error: `Profile "${profileName}" not found` };
+  }
+
+  const { outputDir } = profilePaths(config);
+  const output = options.output ? path.resolve(options.output) : path.join(outputDir, `${profileName}.xml`);
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+
+  const args = ['repomix', '--output', output];
+  if (profile.include) args.push('--include', profile.include);
+  if (profile.ignore) args.push('--ignore', profile.ignore);
+  if (profile.style) args.push('--style', profile.style);
+  if (profile.compress) args.push('--compress');
+
+  const cwd = config.__projectRoot || process.cwd();
+  let command;
+  try {
+    command = prepareSpawn(['npx', ...args], cwd);
+  } catch (err) {
+    return { success: false, error: err.message, profile: profileName };
+  }
+
+  const exitCode = await new Promise(resolve => {
+    // No shell (except for npx.cmd on Windows): patterns such as **/*.map must reach repomix unexpanded
+    const proc = spawn(command.command, command.args, {
+      cwd,
+      shell: command.shell,
+      stdio: options.quiet ? 'ignore' : 'inherit'
+    });
+    proc.on('close', code => resolve(code));
+    proc.on('error', () => resolve(null));
+  });
+
+  if (exitCode !== 0 || !fs.existsSync(output)) {
+    return {
+      success: false,
+      error: exitCode === null ? 'Could not run npx repomix' : `repomix exited with code ${exitCode}`,
+      profile: profileName
+    };
+  }
+
+  return {
+    success: true,
+    profile: profileName,
+    output,
+    size: fs.statSync(output).size,
+    tokens: countFileTokens(output, config),
+    tokenizer: getTokenizer(config).name
+  };
+}
+
+// Header of installed profiles-manager.js copies, with the hash of the copy without it
+const MANAGER_HEADER = /^\/\/ jaw-tools profiles-manager sha256:([0-9a-f]{64}).*\n/m;
+
+// Hashes of versions installed before copies had the header
+const LEGACY_MANAGER_HASHES = [
+  'e933c908341069633948d9681f322a22d8d460ba3e758d2fad6fb8ee60b5a8d1',
+  '216ee4fff77af8b31020e55299f8d2b2aef68b4945a3496787cc0496dbb9a832',
+  '66dcb96416e6c5657fd2b6bfc14173f133f9fcf7697acea60e4ec4925b580530'
+];
+
+/**
+ * SHA-256 of a text
+ * @param {string} text Text
+ * @returns {string} Hex digest
+ */
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Add the header recording the script's hash after its shebang line
+ * @param {string} source profiles-manager.js as shipped
+ * @returns {string} Script to install
+ */
+function withManagerHeader(source) {
+  const header = `// jaw-tools profiles-manager sha256:${sha256(source)} (updated by jaw-tools unless edited)\n`;
+  return source.startsWith('#!') ? source.replace(/^(#!.*\n)/, `$1${header}`) : header + source;
+}
+
+/**
+ * Whether an installed profiles-manager.js is still as jaw-tools wrote it
+ * @param {string} content Installed script
+ * @returns {boolean} True if the copy has no local edits
+ */
+function isUnmodifiedManager(content) {
+  const header = content.match(MANAGER_HEADER);
+  if (!header) {
+    return LEGACY_MANAGER_HASHES.includes(sha256(content));
+  }
+  return sha256(content.replace(header[0], '')) === header[1];
+}
+
+/**
+ * Install profiles-manager.js in a profiles directory, or update a copy
+ * jaw-tools wrote earlier. Copies with local edits are left alone.
+ * @param {string} profilesDir Repomix profiles directory
+ * @returns {Object} Result with success and action: 'created', 'updated',
+ *   'unchanged' or 'modified' (a copy with local edits, not updated)
+ */
+function installProfilesManager(profilesDir) {
+  const source = path.join(__dirname, '..', 'profiles-manager.js');
+  const target = path.join(profilesDir, 'profiles-manager.js');
+  try {
+    const script = withManagerHeader(fs.readFileSync(source, 'utf8'));
+    const exists = fs.existsSync(target);
+    if (exists) {
+      const installed = fs.readFileSync(target, 'utf8');
+      if (installed === script) {
+        return { success: true, action: 'unchanged', path: target };
+      }
+      if (!isUnmodifiedManager(installed)) {
+        return { success: true, action: 'modified', path: target };
+      }
+    }
+    fs.mkdirSync(profilesDir, { recursive: true });
+    fs.writeFileSync(target, script, 'utf8');
+    return { success: true, action: exists ? 'updated' : 'created', path: target };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = {
+  installProfilesManager,
+  loadProfiles,
+  listProfiles,
+  runProfile
+};
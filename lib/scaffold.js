@@ -31,6 +31,7 @@ const {
   getRenameSuffix, 
   createInterface 
 } = require('../src/utils');
+const { loadPlugins, getScaffoldRoots } = require('../src/plugins');
 
 /**
  * Recursively copy files from source to destination
@@ -38,9 +39,10 @@ const {
  * @param {string} destination Destination directory
  * @param {boolean} force Whether to force overwrite
  * @param {readline.Interface} rl Readline interface
+ * @param {string} onConflict Action for existing files instead of asking ('skip' or 'overwrite')
  * @returns {Promise<Object>} Result with counts and aborted status
  */
-async function copyFilesRecursively(source, destination, force, rl) {
+async function copyFilesRecursively(source, destination, force, rl, onConflict = null) {
   const result = {
     filesProcessed: 0,
     filesCopied: 0,
@@ -71,7 +73,7 @@ async function copyFilesRecursively(source, destination, force, rl) {
         fs.mkdirSync(destPath, { recursive: true });
       }
       
-      const subResult = await copyFilesRecursively(sourcePath, destPath, force, rl);
+      const subResult = await copyFilesRecursively(sourcePath, destPath, force, rl, onConflict);
       
       // Update counts
       result.filesProcessed += subResult.filesProcessed;
@@ -95,7 +97,7 @@ async function copyFilesRecursively(source, destination, force, rl) {
           console.log(`Overwritten: ${path.relative(process.cwd(), destPath)}`);
         } else {
           // Interactive mode: ask for resolution
-          const action = await resolveFileConflict(destPath, rl);
+          const action = onConflict || await resolveFileConflict(destPath, rl);
           
           if (action === 'skip') {
             console.log(`Skipped: ${path.relative(process.cwd(), destPath)}`);
@@ -140,9 +142,17 @@ async function copyFilesRecursively(source, destination, force, rl) {
  * Scaffold files from templates to project
  * @param {Object} config jaw-tools configuration
  * @param {boolean} force Whether to force overwrite existing files
+ * @param {Object} options Scaffold options
+ * @param {string} options.onConflict 'skip' or 'overwrite' existing files without
+ *   asking; by default the user is asked about each one
  * @returns {Promise<Object>} Result object
  */
-async function scaffold(config, force = false) {
+async function scaffold(config, force = false, options = {}) {
+  const onConflict = options.onConflict || null;
+  if (onConflict && !['skip', 'overwrite'].includes(onConflict)) {
+    return { success: false, error: `Invalid onConflict "${onConflict}". Use skip or overwrite.` };
+  }
+  
   const packageDir = path.dirname(path.dirname(__filename)); // jaw-tools package root
   const projectRoot = process.cwd(); // User's project root
   
@@ -174,7 +184,7 @@ async function scaffold(config, force = false) {
   }
   
   // Create readline interface for interactive mode
-  const rl = force ? null : createInterface();
+  const rl = force || onConflict ? null : createInterface();
   
   try {
     // Copy scaffold_root contents to target
@@ -182,9 +192,31 @@ async function scaffold(config, force = false) {
       scaffoldSourceRoot, 
       docsDir, 
       force, 
-      rl
+      rl,
+      onConflict
     );
     
+    // Copy template roots added by plugins
+    loadPlugins(config);
+    for (const root of getScaffoldRoots()) {
+      if (result.aborted) break;
+      if (!fs.existsSync(root.source)) {
+        console.warn(`⚠️ Scaffold templates from plugin ${root.plugin} not found: ${root.source}`);
+        continue;
+      }
+      
+      const target = root.target ? path.join(projectRoot, root.target) : docsDir;
+      console.log(`\n🧩 Scaffolding templates from plugin ${root.plugin}...`);
+      console.log(`From: ${root.source}`);
+      console.log(`To: ${target}`);
+      const pluginResult = await copyFilesRecursively(root.source, target, force, rl, onConflict);
+      result.filesProcessed += pluginResult.filesProcessed;
+      result.filesCopied += pluginResult.filesCopied;
+      result.filesSkipped += pluginResult.filesSkipped;
+      result.filesRenamed += pluginResult.filesRenamed;
+      result.aborted = pluginResult.aborted;
+    }
+    
     // If aborted, return early
     if (result.aborted) {
       if (rl) rl.close();
@@ -207,7 +239,7 @@ async function scaffold(config, force = false) {
           console.log(`\n✅ Overwritten user guide: ${path.relative(projectRoot, userGuideDestFile)}`);
           result.filesCopied++;
         } else {
-          const action = await resolveFileConflict(userGuideDestFile, rl);
+          const action = onConflict || await resolveFileConflict(userGuideDestFile, rl);
           
           if (action === 'skip') {
             console.log(`\n✅ Skipped user guide: ${path.relative(projectRoot, userGuideDestFile)}`);
@@ -9,6 +9,7 @@
 const path = require('path');
 const fs = require('fs');
 const { runCommand } = require('../src/utils');
+const { loadPlugins, getWorkflowStep } = require('../src/plugins');
 
 /**
  * Lists all available sequences from the configuration
@@ -49,9 +50,13 @@ function listSequences(config) {
  * Runs a sequence of commands
  * @param {Object} config Configuration object
  * @param {string} sequenceName Name of the sequence to run
+ * @param {Object} options Run options
+ * @param {boolean} options.continueOnError Keep going when a command fails
+ *   (defaults to the --continue-on-error flag)
+ * @param {string|Array} options.stdio stdio for each command (defaults to 'inherit')
  * @returns {Promise<boolean>} Whether the sequence ran successfully
  */
-async function runSequence(config, sequenceName) {
+async function runSequence(config, sequenceName, options = {}) {
   const sequences = config?.workflow?.sequences || {};
   const defaultSequence = config?.workflow?.defaultSequence || 'default';
   
@@ -81,14 +86,24 @@ async function runSequence(config, sequenceName) {
     console.log(`${i + 1}. ${cmd} ${args.join(' ')}`);
   });
   
-  // Run commands in sequence
+  // Run commands in sequence; steps whose type a plugin registered are run by the plugin
+  loadPlugins(config);
   for (let i = 0; i < commands.length; i++) {
     try {
-      await runCommand(commands[i], i);
+      const [type, args] = commands[i];
+      const step = getWorkflowStep(type);
+      if (step) {
+        console.log(`\n[Step ${i + 1}] Running: ${type} ${args.join(' ')}`);
+        await step.run(args, { config, index: i, stdio: options.stdio });
+      } else {
+        await runCommand(commands[i], i, { stdio: options.stdio });
+      }
     } catch (err) {
       console.error(`\n❌ Error in command ${i + 1}: ${err.message}`);
       
-      const shouldContinue = process.argv.includes('--continue-on-error');
+      const shouldContinue = options.continueOnError !== undefined
+        ? options.continueOnError
+        : process.argv.includes('--continue-on-error');
       if (!shouldContinue) {
         console.error('Stopping execution. Use --continue-on-error to proceed despite errors.');
         return false;
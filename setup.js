@@ -104,6 +104,56 @@ try {
   };
 }
 
+// Config file discovery; without the module only jaw-tools.config.js is recognized
+let findConfigFile, loadConfigFile;
+try {
+  const configManager = require('./src/config-manager');
+  findConfigFile = configManager.findConfigFile;
+  loadConfigFile = configManager.loadConfigFile;
+} catch (err) {
+  findConfigFile = (dir) => {
+    const configPath = path.join(dir, 'jaw-tools.config.js');
+    return fs.existsSync(configPath) ? configPath : null;
+  };
+  loadConfigFile = (configPath) => require(configPath);
+}
+
+// Profiles manager installation; without the module the script is copied as is
+let installProfilesManager;
+try {
+  installProfilesManager = require('./lib/repomix/profiles').installProfilesManager;
+} catch (err) {
+  // Without the module, only missing copies are installed
+  installProfilesManager = (profilesDir) => {
+    const target = path.join(profilesDir, 'profiles-manager.js');
+    if (fs.existsSync(target)) {
+      return { success: true, action: 'unchanged', path: target };
+    }
+    try {
+      fs.copyFileSync(path.join(__dirname, 'lib', 'profiles-manager.js'), target);
+      return { success: true, action: 'created', path: target };
+    } catch (copyErr) {
+      return { success: false, error: copyErr.message };
+    }
+  };
+}
+
+/**
+ * Install or update profiles-manager.js in the repomix profiles directory,
+ * so existing projects get the current version
+ * @param {string} profilesDir Repomix profiles directory
+ */
+function updateProfilesManager(profilesDir) {
+  const result = installProfilesManager(profilesDir);
+  if (!result.success) {
+    console.error(`⚠️ Error updating profiles-manager.js: ${result.error}`);
+  } else if (result.action === 'modified') {
+    console.warn(`⚠️ ${result.path} has local changes, so it was not updated. Delete it to get the current version.`);
+  } else if (result.action !== 'unchanged') {
+    console.log(`✅ ${result.action === 'created' ? 'Created' : 'Updated'} profiles-manager.js in ${profilesDir}`);
+  }
+}
+
 // Determine if this is being run as a postinstall script
 // Detect various possible install scenarios
 const isPostInstall = process.env.npm_lifecycle_event === 'postinstall' || 
@@ -213,9 +263,10 @@ async function handlePostInstall(config, projectRoot, toolRoot) {
       console.log(`Detected installation as dependency. Target project root: ${targetRoot}`);
     }
     
-    // Check if config file already exists
-    const configPath = path.join(targetRoot, 'jaw-tools.config.js');
-    if (!fs.existsSync(configPath)) {
+    // Check if a config file already exists
+    const existingConfigPath = findConfigFile(targetRoot);
+    const configPath = existingConfigPath || path.join(targetRoot, 'jaw-tools.config.js');
+    if (!existingConfigPath) {
       // Copy template config file
       const templateConfigPath = path.join(toolRoot, 'templates', 'jaw-tools.config.js');
       if (fs.existsSync(templateConfigPath)) {
@@ -240,7 +291,7 @@ module.exports = ${JSON.stringify(config, null, 2)};
     } else {
       try {
         // Use existing config
-        config = require(configPath);
+        config = loadConfigFile(configPath);
         console.log(`✅ Using existing config file: ${configPath}`);
       } catch (err) {
         console.error(`⚠️ Error loading existing config: ${err.message}`);
@@ -262,6 +313,7 @@ module.exports = ${JSON.stringify(config, null, 2)};
     } catch (err) {
       console.error(`⚠️ Error creating directories: ${err.message}`);
     }
+    updateProfilesManager(repoProfilesDir);
     
     // Create example prompt if it doesn't exist
     const examplePromptPath = path.join(promptsDir, 'example.md');
@@ -299,15 +351,16 @@ async function handleManualSetup(config, projectRoot, toolRoot) {
       console.log(setupCompleteMsg);
     });
     
-    // Check if config file already exists
+    // Check if a config file already exists
+    const existingConfigPath = findConfigFile(projectRoot);
     const configPath = path.join(projectRoot, 'jaw-tools.config.js');
-    if (fs.existsSync(configPath)) {
-      console.log('⚠️ jaw-tools.config.js already exists.');
+    if (existingConfigPath) {
+      console.log(`⚠️ ${path.basename(existingConfigPath)} already exists.`);
       
       const useExisting = await askQuestion('Would you like to continue with the existing configuration? (Y/n): ', rl);
       if (useExisting.toLowerCase() !== 'n') {
         try {
-          config = require(configPath);
+          config = loadConfigFile(existingConfigPath);
         } catch (err) {
           console.error(`❌ Error loading existing config: ${err.message}`);
           console.log('Using default configuration instead.');
@@ -354,6 +407,7 @@ module.exports = ${JSON.stringify(config, null, 2)};
     ensureDir(promptsDir);
     ensureDir(compiledPromptsDir);
     console.log('✅ Directory structure created');
+    updateProfilesManager(repoProfilesDir);
     
     // Check for repomix
     console.log('\n🔍 Checking for repomix...');
@@ -0,0 +1,388 @@
+/**
+ * Argument parsing and help for the jaw-tools CLI, driven by the command
+ * registry in src/cli-registry.js
+ */
+
+const { COMMANDS, GLOBAL_OPTIONS, commandNames } = require('./cli-registry');
+
+const HELP_COLUMN = 26;
+
+/**
+ * Error for invalid command line arguments
+ */
+class UsageError extends Error {
+  /**
+   * @param {string} message Error message
+   * @param {string} usage Command the error applies to, for pointing at its --help
+   */
+  constructor(message, usage) {
+    super(message);
+    this.name = 'UsageError';
+    this.usage = usage;
+  }
+}
+
+/**
+ * Convert an option name to its key in the parsed options
+ * @param {string} name Option name, e.g. `prd-file`
+ * @returns {string} camelCased key, e.g. `prdFile`
+ */
+function optionKey(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Find the closest valid name to a mistyped one
+ * @param {string} input What was typed
+ * @param {Array<string>} candidates Valid names (defaults to all commands and aliases)
+ * @param {number} maxDistance Don't suggest names further away than this
+ * @returns {string|null} Closest name
+ */
+function findClosestCommand(input, candidates = commandNames(), maxDistance = Infinity) {
+  if (candidates.length === 0) return null;
+  const closest = candidates.reduce((a, b) => {
+    const distanceA = levenshteinDistance(a, input);
+    const distanceB = levenshteinDistance(b, input);
+    return distanceA < distanceB ? a : b;
+  });
+  return levenshteinDistance(closest, input) <= maxDistance ? closest : null;
+}
+
+/**
+ * Calculate the levenshtein distance between two strings
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Number of single-character edits between them
+ */
+function levenshteinDistance(a, b) {
+  const matrix = [];
+
+  // Initialize the matrix
+  for (let i = 0; i <= b.length; i++) {
+    matrix[i] = [i];
+  }
+  for (let j = 0; j <= a.length; j++) {
+    matrix[0][j] = j;
+  }
+
+  // Fill in the rest of the matrix
+  for (let i = 1; i <= b.length; i++) {
+    for (let j = 1; j <= a.length; j++) {
+      if (b.charAt(i - 1) === a.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1, // substitution
+          Math.min(matrix[i][j - 1] + 1, // insertion
+          matrix[i - 1][j] + 1) // deletion
+        );
+      }
+    }
+  }
+
+  return matrix[b.length][a.length];
+}
+
+/**
+ * Suggestion suffix for a mistyped name
+ * @param {string} input What was typed
+ * @param {Array<string>} candidates Valid names
+ * @returns {string} ` Did you mean 'x'?`, or an empty string
+ */
+function suggestion(input, candidates) {
+  // Only suggest names that are plausibly typos
+  const closest = findClosestCommand(input, candidates, Math.max(2, Math.floor(input.length / 3)));
+  return closest ? ` Did you mean '${closest}'?` : '';
+}
+
+/**
+ * How an option is written on the command line
+ * @param {string} name Option name or alias
+ * @returns {string} `--name`, or `-n` for single letters
+ */
+function optionFlag(name) {
+  return name.length === 1 ? `-${name}` : `--${name}`;
+}
+
+/**
+ * Options accepted by a command or subcommand
+ * @param {Object} spec Command or subcommand definition
+ * @returns {Array<Object>} Its options followed by the global options
+ */
+function optionsFor(spec) {
+  return [...(spec.options || []), ...GLOBAL_OPTIONS];
+}
+
+/**
+ * Parse the arguments of a command
+ * @param {Object} command Command definition from the registry
+ * @param {Array<string>} argv Arguments after the command name
+ * @returns {Object} Parsed command line: `command`, `subcommand` (definition or null),
+ *   `args` (named positional arguments), `options` (camelCased) and `help`
+ * @throws {UsageError} For unknown subcommands or options, missing or invalid values
+ */
+function parseCommandLine(command, argv) {
+  const result = { command, subcommand: null, args: {}, options: {}, help: false };
+  let rest = argv;
+
+  // The subcommand is the first argument, if it names one
+  if (command.subcommands && rest[0] !== undefined && !rest[0].startsWith('-')) {
+    const subcommand = command.subcommands.find(sub => sub.name === rest[0]);
+    if (subcommand) {
+      result.subcommand = subcommand;
+      rest = rest.slice(1);
+    } else if (!command.args) {
+      const names = command.subcommands.map(sub => sub.name);
+      throw new UsageError(`Unknown ${command.name} subcommand '${rest[0]}'.${suggestion(rest[0], names)}`, command.name);
+    }
+  }
+
+  const spec = result.subcommand || command;
+  const usage = result.subcommand ? `${command.name} ${spec.name}` : command.name;
+  const optionSpecs = optionsFor(spec);
+  const flags = optionSpecs.reduce((all, option) => all.concat([option.name, ...(option.aliases || [])].map(optionFlag)), []);
+  const positionals = [];
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--') {
+      positionals.push(...rest.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const flag = equals === -1 ? arg : arg.substring(0, equals);
+    const inlineValue = equals === -1 ? undefined : arg.substring(equals + 1);
+    const name = flag.replace(/^--?/, '');
+
+    let option = optionSpecs.find(o => optionFlag(o.name) === flag || (o.aliases || []).some(alias => optionFlag(alias) === flag));
+    let key = null;
+    // --var.feature checkout is --var feature=checkout
+    if (!option && name.includes('.')) {
+      const [base, ...path] = name.split('.');
+      option = optionSpecs.find(o => o.keyValue && o.name === base);
+      key = option ? path.join('.') : null;
+    }
+    if (!option) {
+      throw new UsageError(`Unknown option '${flag}' for '${usage}'.${suggestion(flag, flags)}`, usage);
+    }
+
+    if (option.name === 'help') {
+      result.help = true;
+      continue;
+    }
+
+    const dest = option.dest || optionKey(option.name);
+    if (!option.value) {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`Option '${optionFlag(option.name)}' doesn't take a value`, usage);
+      }
+      result.options[dest] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      value = rest[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`Option '${optionFlag(option.name)}' needs a value: ${optionFlag(option.name)} ${option.value}`, usage);
+      }
+      i++; // Skip the value in the next iteration
+    }
+    if (key !== null) {
+      value = `${key}=${value}`;
+    }
+
+    if (option.type === 'number') {
+      const number = Number(value);
+      if (value.trim() === '' || Number.isNaN(number)) {
+        throw new UsageError(`Option '${optionFlag(option.name)}' expects a number, got '${value}'`, usage);
+      }
+      value = number;
+    } else if (option.list) {
+      value = value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    result.options[dest] = option.repeatable ? [...(result.options[dest] || []), value] : value;
+  }
+
+  // Asking for help skips validation, so `jaw-tools execution bundle --help` works
+  if (result.help) {
+    return result;
+  }
+
+  const argSpecs = spec.args || [];
+  argSpecs.forEach((argSpec, index) => {
+    const value = argSpec.variadic ? positionals.slice(index) : positionals[index];
+    if (argSpec.required && (value === undefined || value.length === 0)) {
+      throw new UsageError(`Missing <${argSpec.name}>. Usage: jaw-tools ${formatUsage(usage, spec)}`, usage);
+    }
+    if (value !== undefined && argSpec.choices && !argSpec.choices.includes(value)) {
+      throw new UsageError(`Invalid ${argSpec.name} '${value}'. Use ${argSpec.choices.join(', ')}.${suggestion(value, argSpec.choices)}`, usage);
+    }
+    result.args[optionKey(argSpec.name)] = value;
+  });
+  if (positionals.length > argSpecs.length && !argSpecs.some(argSpec => argSpec.variadic)) {
+    throw new UsageError(`Unexpected argument '${positionals[argSpecs.length]}' for '${usage}'`, usage);
+  }
+
+  const missing = (spec.options || []).filter(option => option.required && result.options[option.dest || optionKey(option.name)] === undefined);
+  if (missing.length > 0) {
+    throw new UsageError(`Missing required option${missing.length > 1 ? 's' : ''} ${missing.map(option => `'${optionFlag(option.name)}'`).join(', ')}. ` +
+      `Usage: jaw-tools ${formatUsage(usage, spec)}`, usage);
+  }
+
+  return result;
+}
+
+/**
+ * Usage line for a command or subcommand
+ * @param {string} usage Command name, with the subcommand if any
+ * @param {Object} spec Command or subcommand definition
+ * @returns {string} e.g. `execution bundle --prd-file <path> ... [options]`
+ */
+function formatUsage(usage, spec) {
+  const parts = [usage];
+  (spec.args || []).forEach(argSpec => {
+    const name = argSpec.variadic ? `${argSpec.name}...` : argSpec.name;
+    parts.push(argSpec.required ? `<${name}>` : `[${name}]`);
+  });
+  (spec.options || []).filter(option => option.required).forEach(option => {
+    parts.push(`${optionFlag(option.name)} ${option.value}`);
+  });
+  if ((spec.options || []).some(option => !option.required)) {
+    parts.push('[options]');
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Format a help line with the description in a column, wrapping long descriptions
+ * @param {string} left Left-hand text (indent included)
+ * @param {string} description Description
+ * @returns {string} One or more lines
+ */
+function helpLine(left, description = '') {
+  const width = 80 - HELP_COLUMN;
+  const words = description.split(' ');
+  const lines = [];
+  let line = '';
+  words.forEach(word => {
+    if (line && line.length + word.length + 1 > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  lines.push(line);
+
+  const first = left.length < HELP_COLUMN ? left.padEnd(HELP_COLUMN) : `${left}\n${' '.repeat(HELP_COLUMN)}`;
+  return `${first}${lines.join(`\n${' '.repeat(HELP_COLUMN)}`)}`.trimEnd();
+}
+
+/**
+ * Help lines for a list of options
+ * @param {Array<Object>} options Option definitions
+ * @param {string} indent Indent before each option
+ * @returns {Array<string>} Lines
+ */
+function optionLines(options, indent) {
+  return options.map(option => {
+    const flags = [option.name, ...(option.aliases || []).filter(alias => alias.length === 1)].map(optionFlag).join(', ');
+    const description = option.required ? `${option.description} (required)` : option.description;
+    return helpLine(`${indent}${flags}${option.value ? ` ${option.value}` : ''}`, description);
+  });
+}
+
+/**
+ * Help for all commands
+ * @returns {string} Help text
+ */
+function formatHelp() {
+  const lines = [
+    '',
+    '🛠️ jaw-tools - AI Development Utilities',
+    '',
+    'Usage: jaw-tools <command> [arguments] [options]',
+    '',
+    'Commands:'
+  ];
+
+  COMMANDS.forEach(command => {
+    const usage = command.subcommands && !command.args
+      ? `${command.name} <subcommand>`
+      : formatUsage(command.name, { args: command.args }).replace(/ \[options\]$/, '');
+    lines.push(helpLine(`  ${usage}`, command.description));
+    (command.subcommands || []).forEach(sub => {
+      lines.push(helpLine(`    ${formatUsage(sub.name, { args: sub.args })}`, sub.description));
+    });
+  });
+
+  lines.push('', 'Aliases:');
+  COMMANDS.filter(command => command.aliases).forEach(command => {
+    lines.push(`  ${command.aliases.join(', ')} = ${command.name}`);
+  });
+
+  lines.push('', 'Global options:', ...optionLines(GLOBAL_OPTIONS, '  '));
+  lines.push('', `Run 'jaw-tools <command> --help' for a command's arguments and options.`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Help for one command or subcommand
+ * @param {Object} command Command definition
+ * @param {Object} subcommand Subcommand definition, if any
+ * @returns {string} Help text
+ */
+function formatCommandHelp(command, subcommand = null) {
+  const spec = subcommand || command;
+  const usage = subcommand ? `${command.name} ${subcommand.name}` : command.name;
+  const usages = [];
+  if (subcommand || command.args || !command.subcommands) {
+    usages.push(formatUsage(usage, spec));
+  }
+  if (!subcommand) {
+    (command.subcommands || []).forEach(sub => usages.push(formatUsage(`${command.name} ${sub.name}`, sub)));
+  }
+
+  const lines = [''];
+  usages.forEach((line, index) => lines.push(`${index === 0 ? 'Usage: ' : '       '}jaw-tools ${line}`));
+  lines.push('', spec.description);
+
+  const describedArgs = (spec.args || []).filter(argSpec => argSpec.description || argSpec.choices);
+  if (describedArgs.length > 0) {
+    lines.push('', 'Arguments:');
+    describedArgs.forEach(argSpec => {
+      const choices = argSpec.choices ? `One of ${argSpec.choices.join(', ')}` : '';
+      lines.push(helpLine(`  ${argSpec.name}`, [argSpec.description, choices].filter(Boolean).join('. ')));
+    });
+  }
+
+  lines.push('', 'Options:', ...optionLines(optionsFor(spec), '  '));
+
+  if (!subcommand && command.subcommands) {
+    lines.push('', 'Subcommands:');
+    command.subcommands.forEach(sub => lines.push(helpLine(`  ${formatUsage(sub.name, { args: sub.args })}`, sub.description)));
+    lines.push('', `Run 'jaw-tools ${command.name} <subcommand> --help' for a subcommand's options.`);
+  }
+
+  if (!subcommand && command.aliases) {
+    lines.push('', `Aliases: ${command.aliases.join(', ')}`);
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+module.exports = {
+  UsageError,
+  parseCommandLine,
+  formatHelp,
+  formatCommandHelp,
+  findClosestCommand,
+  levenshteinDistance
+};
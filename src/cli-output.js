@@ -0,0 +1,106 @@
+/**
+ * Command line output for jaw-tools
+ *
+ * With the global --json flag, decorative console logging is suppressed and
+ * every command prints a single result object to stdout:
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "command": "mini-prd list",
+ *     "success": true,
+ *     "data": { "prds": [...] },
+ *     "error": null
+ *   }
+ *
+ * Failed commands set success to false and error to { code, message }, with
+ * code one of ERROR_CODES. data may still hold partial results, such as the
+ * diagnostics of a failed doctor run.
+ */
+
+const fs = require('fs');
+
+const SCHEMA_VERSION = 1;
+
+const ERROR_CODES = {
+  USAGE: 'E_USAGE',                     // Missing or invalid arguments
+  UNKNOWN_COMMAND: 'E_UNKNOWN_COMMAND', // No such command
+  CONFIG: 'E_CONFIG',                   // Configuration missing or unreadable
+  NOT_FOUND: 'E_NOT_FOUND',             // A named profile, sequence, Mini-PRD or file doesn't exist
+  FAILED: 'E_FAILED',                   // The command ran and reported a failure
+  CHECK_FAILED: 'E_CHECK_FAILED',       // doctor or prompt lint found problems
+  INTERNAL: 'E_INTERNAL'                // Unexpected error
+};
+
+let jsonMode = false;
+let commandName = null;
+
+/**
+ * Switch to JSON output and silence console logging
+ * @param {string} command Command name reported in the result
+ */
+function enableJsonMode(command) {
+  jsonMode = true;
+  commandName = command;
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+    console[method] = () => {};
+  });
+}
+
+/**
+ * Whether --json output is enabled
+ * @returns {boolean} True in JSON mode
+ */
+function isJsonMode() {
+  return jsonMode;
+}
+
+/**
+ * Print a result object to stdout
+ * @param {Object} result Result fields
+ */
+function printResult(result) {
+  const text = JSON.stringify({ schemaVersion: SCHEMA_VERSION, command: commandName, ...result }, null, 2);
+  // Written synchronously so the result is complete before process.exit
+  fs.writeSync(1, `${text}\n`);
+}
+
+/**
+ * Finish a successful command
+ * @param {*} data Result data printed in JSON mode
+ */
+function succeed(data = null) {
+  if (jsonMode) {
+    printResult({ success: true, data, error: null });
+  }
+  process.exit(0);
+}
+
+/**
+ * Finish a failed command
+ * @param {string} code One of ERROR_CODES
+ * @param {string} message Error message
+ * @param {Object} options Failure options
+ * @param {*} options.data Partial result data printed in JSON mode
+ * @param {string} options.hint What to do next, printed after the message
+ * @param {boolean} options.reported The command already printed the failure as text
+ */
+function fail(code, message, options = {}) {
+  if (jsonMode) {
+    const error = { code, message };
+    if (options.hint) error.hint = options.hint;
+    printResult({ success: false, data: options.data === undefined ? null : options.data, error });
+  } else if (!options.reported) {
+    console.error(`❌ ${message}`);
+    if (options.hint) console.log(options.hint);
+  }
+  process.exit(1);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  ERROR_CODES,
+  enableJsonMode,
+  isJsonMode,
+  succeed,
+  fail
+};
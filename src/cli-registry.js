@@ -0,0 +1,342 @@
+/**
+ * Command registry for the jaw-tools CLI
+ *
+ * Every command, subcommand, positional argument and option is declared here.
+ * The registry drives argument parsing (src/arg-parser.js), `jaw-tools <command>
+ * --help`, unknown-option suggestions and shell completions (src/completions.js).
+ *
+ * Command:    { name, aliases, description, args, options, subcommands, needsConfig }
+ * Subcommand: { name, description, args, options }
+ * Argument:   { name, description, required, variadic, choices }
+ * Option:     { name, description, value, aliases, type, repeatable, list, keyValue, required, dest }
+ *
+ * Options without `value` are boolean flags. `value` names the value in help
+ * (`--max-tokens <n>`); values are given as `--name value` or `--name=value`.
+ * `type: 'number'` parses the value as a number, `list` splits it on commas,
+ * `repeatable` collects every occurrence into an array and `keyValue` also
+ * accepts `--name.key value` as `key=value`. Parsed options are camelCased
+ * (`--prd-file` → `prdFile`) unless `dest` names another key.
+ *
+ * Plugins add commands with registerCommand(); a plugin command also has
+ * `plugin` (the plugin's name) and `run`, the function that handles it.
+ */
+
+const GLOBAL_OPTIONS = [
+  { name: 'json', description: 'Print a single JSON result to stdout instead of text' },
+  { name: 'env', value: '<name>', description: 'Use a named environment from the config (overrides JAW_TOOLS_ENV)' },
+  { name: 'package', value: '<name>', description: 'Run in a workspace package (overrides JAW_TOOLS_PACKAGE; . is the root)' },
+  { name: 'help', aliases: ['h'], description: 'Show help for the command' }
+];
+
+// Shared by compile and prompt lint
+const VARIABLE_OPTIONS = [
+  { name: 'var', value: '<key=value>', repeatable: true, keyValue: true, dest: 'vars', description: 'Set a template variable (repeatable)' },
+  { name: 'vars-file', value: '<path>', description: 'Load template variables from a JSON or YAML file' },
+  { name: 'max-tokens', value: '<n>', type: 'number', description: 'Trim low-priority inclusions to fit a token budget' }
+];
+
+// Shared by mini-prd create and update
+const MINI_PRD_OPTIONS = [
+  { name: 'description', value: '<text>', description: 'What the Mini-PRD is about' },
+  { name: 'includes', value: '<globs>', list: true, aliases: ['include', 'add'], description: 'Comma-separated globs of files in scope' },
+  { name: 'excludes', value: '<globs>', list: true, aliases: ['exclude'], description: 'Comma-separated globs of files out of scope' },
+  { name: 'planned-files', value: '<files>', list: true, aliases: ['plannedFiles', 'planned'], description: 'Comma-separated files the work will create' }
+];
+
+const COMMANDS = [
+  {
+    name: 'setup',
+    aliases: ['init'],
+    description: 'Initialize and configure jaw-tools in your project',
+    needsConfig: false
+  },
+  {
+    name: 'scaffold',
+    description: 'Scaffold standard documentation and files to your project',
+    options: [
+      { name: 'force', description: 'Overwrite existing files without asking' }
+    ]
+  },
+  {
+    name: 'doctor',
+    aliases: ['status'],
+    description: 'Check jaw-tools setup status'
+  },
+  {
+    name: 'repomix',
+    aliases: ['profile', 'r'],
+    description: 'Manage and run repomix profiles',
+    subcommands: [
+      {
+        name: 'list',
+        description: 'Show available profiles',
+        options: [
+          { name: 'all-packages', description: 'List the profiles of every workspace package' }
+        ]
+      },
+      {
+        name: 'run',
+        description: 'Generate a snapshot with the specified profile',
+        args: [{ name: 'profile', required: true }]
+      },
+      {
+        name: 'add',
+        description: 'Add or update a profile',
+        args: [
+          { name: 'profile', required: true },
+          { name: 'include', description: 'Comma-separated include globs' },
+          { name: 'ignore', description: 'Comma-separated ignore globs' },
+          { name: 'style', description: 'Output style, e.g. xml' }
+        ],
+        options: [
+          { name: 'compress', description: 'Compress the snapshot' }
+        ]
+      },
+      {
+        name: 'delete',
+        description: 'Delete a profile and its output',
+        args: [{ name: 'profile', required: true }]
+      },
+      {
+        name: 'generate-from-prd',
+        description: 'Generate a profile from a Mini-PRD file',
+        args: [{ name: 'prd-file' }],
+        options: [
+          { name: 'prd-file', value: '<path>', description: 'Mini-PRD file to read' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'refresh',
+    aliases: ['update'],
+    description: 'Refresh templates from latest version (placed in _docs directory)',
+    options: [
+      { name: 'force', description: 'Force overwrite all files' },
+      { name: 'yes', description: 'Non-interactive mode (no prompts)' },
+      { name: 'pattern', value: '<glob>', description: 'Only refresh files matching pattern' }
+    ]
+  },
+  {
+    name: 'refresh-profiles',
+    aliases: ['update-profiles'],
+    description: 'Add new repomix profiles without changing existing ones'
+  },
+  {
+    name: 'compile',
+    aliases: ['compile-prompt', 'c'],
+    description: 'Compile a prompt template',
+    args: [{ name: 'prompt-file', required: true }],
+    options: [
+      ...VARIABLE_OPTIONS,
+      { name: 'out-file', value: '<path>', description: 'Write to this file instead of the next numbered output' },
+      { name: 'strict', description: 'Fail on unresolved placeholders, variables or empty globs' },
+      { name: 'watch', description: 'Recompile when the template or included files change' },
+      { name: 'reproducible', description: 'Sorted globs, LF line endings and content-hash output names' },
+      { name: 'no-cache', description: 'Re-run {{exec:}} commands instead of using cached output' },
+      { name: 'format', value: '<list>', description: 'Also write text, clipboard, openai or anthropic output' },
+      { name: 'copy', description: 'Copy the compiled prompt to the clipboard' }
+    ],
+    subcommands: [
+      {
+        name: 'list',
+        description: 'List compiled prompts, newest first, optionally filtered by output, template or variable values',
+        args: [{ name: 'text' }]
+      },
+      {
+        name: 'prune',
+        description: 'Delete old compiled prompts and their manifests',
+        options: [
+          { name: 'keep', value: '<n>', type: 'number', description: 'Keep the newest n outputs per template' },
+          { name: 'max-age', value: '<age>', description: 'Delete outputs older than e.g. 30d, 12h or 2w' },
+          { name: 'max-size', value: '<size>', description: 'Delete the oldest outputs until the rest fit in e.g. 100MB' },
+          { name: 'dry-run', description: 'Show what would be deleted' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'prompt',
+    description: 'Check prompt templates',
+    subcommands: [
+      {
+        name: 'lint',
+        description: 'Report missing files, empty globs, undefined variables, commented-out placeholders, duplicates and token size',
+        args: [{ name: 'files', variadic: true }],
+        options: [
+          { name: 'output', value: '<file>', description: 'Also write the JSON report to a file' },
+          ...VARIABLE_OPTIONS
+        ]
+      }
+    ]
+  },
+  {
+    name: 'workflow',
+    aliases: ['wf', 'w'],
+    description: 'Run command sequences',
+    args: [{ name: 'sequence', description: 'Sequence to run (default: workflow.defaultSequence)' }],
+    options: [
+      { name: 'continue-on-error', description: 'Keep going when a command fails' }
+    ],
+    subcommands: [
+      { name: 'list', description: 'Show available command sequences' }
+    ]
+  },
+  {
+    name: 'mini-prd',
+    aliases: ['mprd'],
+    description: 'Manage Mini-PRDs',
+    subcommands: [
+      {
+        name: 'create',
+        description: 'Create a new Mini-PRD',
+        args: [{ name: 'name', required: true }],
+        options: MINI_PRD_OPTIONS
+      },
+      {
+        name: 'update',
+        description: 'Update an existing Mini-PRD',
+        args: [{ name: 'id', required: true }],
+        options: MINI_PRD_OPTIONS
+      },
+      {
+        name: 'snapshot',
+        description: 'Generate a snapshot for a Mini-PRD',
+        args: [{ name: 'id', required: true }]
+      },
+      {
+        name: 'list',
+        description: 'Show all Mini-PRDs',
+        options: [
+          { name: 'all-packages', description: 'List the Mini-PRDs of every workspace package' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'execution',
+    aliases: ['e'],
+    description: 'Manage AI-assisted execution workflow',
+    subcommands: [
+      {
+        name: 'init',
+        description: 'Initialize execution tracking for a Mini-PRD',
+        options: [
+          { name: 'prd-file', value: '<path>', required: true, description: 'Mini-PRD file' }
+        ]
+      },
+      {
+        name: 'bundle',
+        description: 'Bundle context for an execution stage',
+        options: [
+          { name: 'prd-file', value: '<path>', required: true, description: 'Mini-PRD file' },
+          { name: 'stage-name', value: '<name>', required: true, description: 'Stage to bundle' },
+          { name: 'meta-prompt', value: '<path>', required: true, description: 'Meta-prompt template to compile' },
+          { name: 'repomix-profile', value: '<name>', description: 'Profile for the code snapshot' },
+          { name: 'prev-stage-summary', value: '<path>', description: 'Summary of the previous stage' }
+        ]
+      },
+      {
+        name: 'record-step',
+        description: 'Record execution step results and generate summary',
+        options: [
+          { name: 'prd-file', value: '<path>', required: true, description: 'Mini-PRD file' },
+          { name: 'stage-name', value: '<name>', required: true, description: 'Stage to record' },
+          { name: 'status', value: '<status>', required: true, description: 'Result of the step' },
+          { name: 'instructions-file', value: '<path>', description: 'Instructions given to the model' },
+          { name: 'log-file', value: '<path>', description: 'Execution log' },
+          { name: 'feedback-file', value: '<path>', description: 'Review feedback' }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'config',
+    description: 'Inspect, edit and check jaw-tools configuration',
+    subcommands: [
+      {
+        name: 'show',
+        description: 'Show the effective configuration',
+        options: [
+          { name: 'origin', description: 'Show where each value comes from: defaults, project file, environment or variable' }
+        ]
+      },
+      {
+        name: 'get',
+        description: 'Show one value, e.g. directories.prompts',
+        args: [{ name: 'path', required: true }]
+      },
+      {
+        name: 'set',
+        description: 'Change one value in the config file, keeping the rest of the file',
+        args: [
+          { name: 'path', required: true },
+          { name: 'value', required: true, description: 'JSON value, or a string' }
+        ]
+      },
+      { name: 'diff', description: 'Show what the project changes from the defaults' },
+      { name: 'validate', description: 'Check the config file against the config schema' }
+    ],
+    needsConfig: false
+  },
+  {
+    name: 'completion',
+    description: 'Print a shell completion script',
+    args: [{ name: 'shell', required: true, choices: ['bash', 'zsh', 'fish'] }],
+    needsConfig: false
+  },
+  {
+    name: 'version',
+    aliases: ['v'],
+    description: 'Show jaw-tools version',
+    needsConfig: false
+  },
+  {
+    name: 'help',
+    aliases: ['h'],
+    description: 'Show help for all commands or one command',
+    args: [{ name: 'command' }],
+    needsConfig: false
+  }
+];
+
+/**
+ * Find a command by name or alias
+ * @param {string} name Command name or alias
+ * @returns {Object|null} Command definition
+ */
+function findCommand(name) {
+  return COMMANDS.find(command => command.name === name || (command.aliases || []).includes(name)) || null;
+}
+
+/**
+ * All command names and aliases
+ * @returns {Array<string>} Names accepted on the command line
+ */
+function commandNames() {
+  return COMMANDS.reduce((names, command) => names.concat(command.name, command.aliases || []), []);
+}
+
+/**
+ * Add a command to the registry
+ * @param {Object} command Command definition
+ * @throws {Error} If the command has no name or its name or an alias is taken
+ */
+function registerCommand(command) {
+  if (!command || typeof command.name !== 'string' || !command.name) {
+    throw new Error('Commands need a name');
+  }
+  const taken = [command.name, ...(command.aliases || [])].filter(name => findCommand(name));
+  if (taken.length > 0) {
+    throw new Error(`Command name '${taken[0]}' is already in use`);
+  }
+  COMMANDS.push({ description: '', ...command });
+}
+
+module.exports = {
+  COMMANDS,
+  GLOBAL_OPTIONS,
+  findCommand,
+  commandNames,
+  registerCommand
+};
@@ -0,0 +1,207 @@
+/**
+ * Shell completion scripts for the jaw-tools CLI, generated from the command
+ * registry in src/cli-registry.js
+ *
+ *   source <(jaw-tools completion bash)               # ~/.bashrc
+ *   jaw-tools completion zsh > "${fpath[1]}/_jaw-tools"
+ *   jaw-tools completion fish > ~/.config/fish/completions/jaw-tools.fish
+ */
+
+const { COMMANDS, GLOBAL_OPTIONS } = require('./cli-registry');
+
+const SHELLS = ['bash', 'zsh', 'fish'];
+
+/**
+ * Command line flags for a list of options, aliases included
+ * @param {Array<Object>} options Option definitions
+ * @returns {Array<string>} Flags such as `--max-tokens` and `-h`
+ */
+function flags(options) {
+  return options.reduce((all, option) => all.concat(
+    [option.name, ...(option.aliases || [])].map(name => (name.length === 1 ? `-${name}` : `--${name}`))
+  ), []);
+}
+
+/**
+ * Quote a string for a single-quoted shell word
+ * @param {string} text Text to quote
+ * @returns {string} Quoted text
+ */
+function shellQuote(text) {
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Bash completion script
+ * @returns {string} Script
+ */
+function bashCompletion() {
+  const globalFlags = flags(GLOBAL_OPTIONS).join(' ');
+  const cases = COMMANDS.map(command => {
+    const names = [command.name, ...(command.aliases || [])].join('|');
+    const topLevel = [
+      ...(command.subcommands || []).map(sub => sub.name),
+      ...flags(command.options || [])
+    ].join(' ');
+    const subCases = (command.subcommands || []).map(sub =>
+      `        ${sub.name}) words="${flags(sub.options || []).join(' ')}" ;;`);
+    return [
+      `    ${names})`,
+      '      case "$sub" in',
+      ...subCases,
+      `        *) if [ "$COMP_CWORD" -eq 2 ]; then words="${topLevel}"; else words="${flags(command.options || []).join(' ')}"; fi ;;`,
+      '      esac',
+      '      ;;'
+    ].join('\n');
+  });
+
+  return `# jaw-tools bash completion
+# Add to ~/.bashrc: source <(jaw-tools completion bash)
+_jaw_tools() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  local cmd="\${COMP_WORDS[1]}"
+  local sub="\${COMP_WORDS[2]}"
+  local words=""
+
+  if [ "$COMP_CWORD" -eq 1 ]; then
+    COMPREPLY=( $(compgen -W "${COMMANDS.map(command => command.name).join(' ')}" -- "$cur") )
+    return
+  fi
+
+  case "$cmd" in
+${cases.join('\n')}
+  esac
+
+  COMPREPLY=( $(compgen -W "$words ${globalFlags}" -- "$cur") )
+}
+complete -o default -F _jaw_tools jaw-tools
+`;
+}
+
+/**
+ * zsh completion script
+ * @returns {string} Script
+ */
+function zshCompletion() {
+  const describe = items => items.map(([name, description]) => `    ${shellQuote(`${name.replace(/:/g, '\\:')}:${description}`)}`).join('\n');
+  const optionItems = options => [...options, ...GLOBAL_OPTIONS].map(option => [`--${option.name}`, option.description]);
+
+  const cases = COMMANDS.map(command => {
+    const names = [command.name, ...(command.aliases || [])].join('|');
+    const subCases = (command.subcommands || []).map(sub => [
+      `        ${sub.name})`,
+      '          items=(',
+      describe(optionItems(sub.options || [])),
+      '          ) ;;'
+    ].join('\n'));
+    const topLevel = [
+      ...(command.subcommands || []).map(sub => [sub.name, sub.description]),
+      ...optionItems(command.options || [])
+    ];
+    return [
+      `    ${names})`,
+      '      case "${words[3]}" in',
+      ...subCases,
+      '        *)',
+      '          items=(',
+      describe(topLevel),
+      '          ) ;;',
+      '      esac',
+      '      ;;'
+    ].join('\n');
+  });
+
+  return `#compdef jaw-tools
+# jaw-tools zsh completion
+# Save as _jaw-tools in a directory on your $fpath: jaw-tools completion zsh > "\${fpath[1]}/_jaw-tools"
+_jaw_tools() {
+  local -a items
+  if (( CURRENT == 2 )); then
+    items=(
+${describe(COMMANDS.map(command => [command.name, command.description]))}
+    )
+    _describe -t commands 'jaw-tools command' items
+    return
+  fi
+
+  case "\${words[2]}" in
+${cases.join('\n')}
+  esac
+
+  _describe -t options 'jaw-tools' items || _files
+}
+compdef _jaw_tools jaw-tools
+`;
+}
+
+/**
+ * fish completion script
+ * @returns {string} Script
+ */
+function fishCompletion() {
+  const quote = text => `'${text.replace(/\\/g, '\\\\').replace(/'/g, `\\'`)}'`;
+  const optionLines = (options, condition) => options.map(option => {
+    const long = [option.name, ...(option.aliases || [])].filter(name => name.length > 1).map(name => ` -l ${name}`).join('');
+    const short = (option.aliases || []).filter(name => name.length === 1).map(name => ` -s ${name}`).join('');
+    return `complete -c jaw-tools -n ${quote(condition)}${long}${short}${option.value ? ' -r' : ''} -d ${quote(option.description)}`;
+  });
+
+  const lines = [
+    '# jaw-tools fish completion',
+    '# Save to ~/.config/fish/completions/jaw-tools.fish',
+    '',
+    '# Whether the command (second word) or subcommand (third word) is one of the arguments',
+    'function __jaw_tools_command',
+    '    set -l tokens (commandline -opc)',
+    '    test (count $tokens) -ge 2; and contains -- $tokens[2] $argv',
+    'end',
+    'function __jaw_tools_subcommand',
+    '    set -l tokens (commandline -opc)',
+    '    test (count $tokens) -ge 3; and contains -- $tokens[3] $argv',
+    'end',
+    '',
+    'complete -c jaw-tools -f',
+    ...COMMANDS.map(command => `complete -c jaw-tools -n 'test (count (commandline -opc)) -eq 1' -a ${command.name} -d ${quote(command.description)}`),
+    ...optionLines(GLOBAL_OPTIONS, 'true')
+  ];
+
+  COMMANDS.forEach(command => {
+    const seen = `__jaw_tools_command ${[command.name, ...(command.aliases || [])].join(' ')}`;
+    const subNames = (command.subcommands || []).map(sub => sub.name);
+    const noSub = subNames.length > 0 ? `${seen}; and not __jaw_tools_subcommand ${subNames.join(' ')}` : seen;
+    (command.subcommands || []).forEach(sub => {
+      lines.push(`complete -c jaw-tools -n ${quote(`${noSub}; and test (count (commandline -opc)) -eq 2`)} -a ${sub.name} -d ${quote(sub.description)}`);
+      lines.push(...optionLines(sub.options || [], `${seen}; and __jaw_tools_subcommand ${sub.name}`));
+    });
+    lines.push(...optionLines(command.options || [], noSub));
+    // Positional arguments are usually files
+    if ([command, ...(command.subcommands || [])].some(spec => spec.args)) {
+      lines.push(`complete -c jaw-tools -n ${quote(seen)} -F`);
+    }
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Generate a completion script
+ * @param {string} shell bash, zsh or fish
+ * @returns {string} Script
+ */
+function generateCompletion(shell) {
+  switch (shell) {
+    case 'bash':
+      return bashCompletion();
+    case 'zsh':
+      return zshCompletion();
+    case 'fish':
+      return fishCompletion();
+    default:
+      throw new Error(`Unsupported shell "${shell}". Use ${SHELLS.join(', ')}.`);
+  }
+}
+
+module.exports = {
+  SHELLS,
+  generateCompletion
+};
@@ -4,6 +4,18 @@
 
 const fs = require('fs');
 const path = require('path');
+const { validateConfig } = require('./config-schema');
+const { declaresPackages, listPackages, packageContaining, findPackage } = require('./workspace');
+
+// Config files whose problems were already reported, so repeated loads don't repeat them
+const reportedConfigs = new Set();
+
+// Environment variables: JAW_TOOLS_ENV selects an environment and
+// JAW_TOOLS_PACKAGE a workspace package; any other JAW_TOOLS_* variable
+// overrides a config value
+const ENV_VARIABLE = 'JAW_TOOLS_ENV';
+const PACKAGE_VARIABLE = 'JAW_TOOLS_PACKAGE';
+const ENV_PREFIX = 'JAW_TOOLS_';
 
 // Default configuration
 const defaultConfig = {
@@ -27,7 +39,35 @@ const defaultConfig = {
   },
   promptCompiler: {
     variables: {},
-    useNumberedOutputs: true
+    useNumberedOutputs: true,
+    maxTokens: null,
+    strict: false,
+    reproducible: false,
+    maxIncludeDepth: 10,
+    wrap: 'fenced',
+    git: {
+      baseBranch: null
+    },
+    exec: {
+      allow: [],
+      timeout: 30000,
+      cache: true,
+      cacheDir: 'node_modules/.cache/jaw-tools/exec'
+    },
+    output: {
+      formats: ['markdown'],
+      model: null,
+      maxOutputTokens: 4096
+    },
+    retention: {
+      keepPerTemplate: null,
+      maxAge: null,
+      maxSize: null
+    }
+  },
+  tokenizer: {
+    model: 'gpt-4o',
+    encoding: null
   },
   workflow: {
     sequences: {
@@ -55,22 +95,163 @@ const defaultConfig = {
       codeSnapshots: 'temp_code_snapshots',
       compiledPrompts: 'temp_compiled_prompts'
     }
+  },
+  plugins: [],
+  interactive: true,
+  workspace: {
+    packages: [],
+    useWorkspaces: false
   }
 };
 
+// Config files, in order of precedence. The first one found in a directory is
+// used; package.json only counts if it has a "jaw-tools" key.
+const CONFIG_FILES = [
+  'jaw-tools.config.js',
+  'jaw-tools.config.cjs',
+  'jaw-tools.config.mjs',
+  'jaw-tools.config.json',
+  'jaw-tools.config.yaml',
+  'jaw-tools.config.yml',
+  '.jawtoolsrc',
+  'package.json'
+];
+
+const PACKAGE_JSON_KEY = 'jaw-tools';
+
+// ES module configs loaded through a child process, by path and modification time
+const esmConfigCache = new Map();
+
+/**
+ * How a config file is loaded
+ * @param {string} filePath Config file path
+ * @returns {string} 'js', 'json', 'yaml' or 'package'
+ */
+function configFormat(filePath) {
+  const name = path.basename(filePath);
+  if (name === 'package.json') return 'package';
+  // .jawtoolsrc holds YAML or JSON, which is also YAML
+  if (name === '.jawtoolsrc' || /\.ya?ml$/.test(name)) return 'yaml';
+  if (name.endsWith('.json')) return 'json';
+  return 'js';
+}
+
 /**
- * Determines the project root by searching for jaw-tools.config.js
- * starting from the current directory and traversing upwards
+ * Whether package.json in a directory has a "jaw-tools" key
+ * @param {string} packagePath Path to package.json
+ * @returns {boolean} True if it holds jaw-tools configuration
+ */
+function hasPackageConfig(packagePath) {
+  try {
+    const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+    return Boolean(pkg && typeof pkg === 'object' && pkg[PACKAGE_JSON_KEY]);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * All config files in a directory, in order of precedence
+ * @param {string} dir Directory to look in
+ * @returns {Array<string>} Absolute paths; the first one is used
+ */
+function findConfigFiles(dir) {
+  return CONFIG_FILES
+    .map(name => path.join(dir, name))
+    .filter(filePath => fs.existsSync(filePath) && (path.basename(filePath) !== 'package.json' || hasPackageConfig(filePath)));
+}
+
+/**
+ * The config file used for a directory
+ * @param {string} dir Directory to look in
+ * @returns {string|null} Absolute path, or null if there is none
+ */
+function findConfigFile(dir) {
+  return findConfigFiles(dir)[0] || null;
+}
+
+/**
+ * Load an ES module config by importing it in a child process, for Node
+ * versions that can't require() ES modules. Only JSON-compatible values survive.
+ * @param {string} filePath Config file path
+ * @returns {Object} The module's default export
+ */
+function importConfigSync(filePath) {
+  const key = `${filePath}:${fs.statSync(filePath).mtimeMs}`;
+  if (esmConfigCache.has(key)) {
+    return esmConfigCache.get(key);
+  }
+  
+  const { execFileSync } = require('child_process');
+  const { pathToFileURL } = require('url');
+  const script = `import(${JSON.stringify(pathToFileURL(filePath).href)})` +
+    '.then(m => process.stdout.write(JSON.stringify(m.default === undefined ? {} : m.default)))';
+  let output;
+  try {
+    output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (err) {
+    const stderr = String(err.stderr || '').trim().split('\n');
+    // The error itself follows the stack location lines
+    throw new Error(stderr.find(line => /^\w*Error\b/.test(line)) || stderr.pop() || err.message);
+  }
+  const config = JSON.parse(output);
+  esmConfigCache.set(key, config);
+  return config;
+}
+
+/**
+ * Load a config file
+ * @param {string} filePath Config file path
+ * @param {string} format How to load it (defaults to configFormat(filePath))
+ * @returns {Object} The configuration it holds
+ */
+function loadConfigFile(filePath, format = configFormat(filePath)) {
+  switch (format) {
+    case 'json':
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    case 'package':
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'))[PACKAGE_JSON_KEY] || {};
+    case 'yaml': {
+      const yaml = require('js-yaml');
+      return yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+    }
+    default: {
+      let loaded;
+      try {
+        // Clear the require cache to ensure we get the latest version
+        delete require.cache[require.resolve(filePath)];
+        loaded = require(filePath);
+      } catch (err) {
+        // ES modules (.mjs, or .js in a "type": "module" package)
+        if (err.code === 'ERR_REQUIRE_ESM' || err.code === 'ERR_REQUIRE_ASYNC_MODULE') {
+          return importConfigSync(filePath);
+        }
+        throw err;
+      }
+      // Node versions that require() ES modules return the module namespace
+      if (loaded && loaded[Symbol.toStringTag] === 'Module') {
+        return loaded.default || {};
+      }
+      return loaded;
+    }
+  }
+}
+
+/**
+ * Determines the project root by searching for a jaw-tools config file
+ * (see CONFIG_FILES) starting from the current directory and traversing upwards
  * @returns {string} The absolute path to the project root
  */
 function findProjectRoot() {
   let currentDir = process.cwd();
   const rootDir = path.parse(currentDir).root;
   
-  // Search for jaw-tools.config.js up to the file system root
+  // Search for a config file up to the file system root
   while (currentDir !== rootDir) {
-    const configPath = path.join(currentDir, 'jaw-tools.config.js');
-    if (fs.existsSync(configPath)) {
+    if (findConfigFile(currentDir)) {
       return currentDir;
     }
     
@@ -88,38 +269,298 @@ function findProjectRoot() {
 }
 
 /**
- * Get configuration from project's jaw-tools.config.js file,
- * falling back to defaults for any missing properties.
+ * Read the project's config file without merging defaults
+ * @param {string} projectRoot Project root (defaults to findProjectRoot())
+ * @returns {Object} { configPath, format, exists, config, error }; configPath is
+ *   jaw-tools.config.js in the project root when there is no config file
  */
-function getConfig() {
-  const projectRoot = findProjectRoot();
-  const configPath = path.join(projectRoot, 'jaw-tools.config.js');
-  let projectConfig = {};
+function readProjectConfig(projectRoot = findProjectRoot()) {
+  const configPath = findConfigFile(projectRoot);
+  if (!configPath) {
+    return { configPath: path.join(projectRoot, CONFIG_FILES[0]), format: 'js', exists: false, config: {}, error: null };
+  }
   
-  if (fs.existsSync(configPath)) {
+  const format = configFormat(configPath);
+  try {
+    return { configPath, format, exists: true, config: loadConfigFile(configPath, format), error: null };
+  } catch (error) {
+    return { configPath, format, exists: true, config: {}, error: error.message };
+  }
+}
+
+/**
+ * Find the workspace a directory belongs to: the nearest config file at or
+ * above it that declares workspace packages
+ * @param {string} startDir Directory to start from (defaults to the current directory)
+ * @returns {Object|null} { root, configPath, config, packages }, or null outside a workspace
+ */
+function findWorkspace(startDir = process.cwd()) {
+  let currentDir = path.resolve(startDir);
+  for (;;) {
+    const configPath = findConfigFile(currentDir);
+    if (configPath) {
+      let config = null;
+      try {
+        config = loadConfigFile(configPath);
+      } catch (err) {
+        // Load errors are reported when the config is used
+      }
+      if (config && declaresPackages(config.workspace)) {
+        return { root: currentDir, configPath, config, packages: listPackages(currentDir, config.workspace) };
+      }
+    }
+    
+    const parentDir = path.dirname(currentDir);
+    if (parentDir === currentDir) return null;
+    currentDir = parentDir;
+  }
+}
+
+/**
+ * Resolve the project a command works on. Outside a workspace that's the
+ * project root found by findProjectRoot(). In a workspace it's the selected
+ * package (options.package, --package or JAW_TOOLS_PACKAGE; `.` selects the
+ * root) or the package containing the current directory, with the package's
+ * own config file, if it has one, merged over the root config.
+ * @param {Object} options Options
+ * @param {string} options.package Package to use instead of JAW_TOOLS_PACKAGE
+ * @returns {Object} { projectRoot, configPath, exists, error, config, sources,
+ *   workspace, package, packageQuery, packageFound }; sources are the
+ *   readProjectConfig() results of the files the config comes from
+ */
+function resolveProject(options = {}) {
+  const packageQuery = options.package !== undefined ? options.package : (process.env[PACKAGE_VARIABLE] || null);
+  const workspace = findWorkspace();
+  const pkg = !workspace || packageQuery === '.' ? null
+    : packageQuery ? findPackage(workspace.packages, packageQuery)
+    : packageContaining(workspace.packages, process.cwd());
+  const packageFound = !packageQuery || packageQuery === '.' ? null : Boolean(pkg);
+  
+  if (!pkg) {
+    // The workspace root when it's selected, otherwise the nearest config
+    const projectRoot = workspace && packageQuery ? workspace.root : findProjectRoot();
+    const file = readProjectConfig(projectRoot);
+    return { ...file, projectRoot, sources: [file], workspace, package: null, packageQuery, packageFound };
+  }
+  
+  // Packages inherit the root config, without its workspace settings
+  const rootFile = readProjectConfig(workspace.root);
+  const packageFile = findConfigFile(pkg.dir) ? readProjectConfig(pkg.dir) : null;
+  const { workspace: rootWorkspace, ...inherited } = rootFile.config;
+  const file = packageFile || rootFile;
+  return {
+    projectRoot: pkg.dir,
+    configPath: file.configPath,
+    format: file.format,
+    exists: true,
+    error: rootFile.error || (packageFile && packageFile.error),
+    config: mergeConfigs(inherited, packageFile ? packageFile.config : {}),
+    sources: packageFile ? [rootFile, packageFile] : [rootFile],
+    workspace,
+    package: pkg,
+    packageQuery,
+    packageFound
+  };
+}
+
+/**
+ * The workspace root and each package with its configuration
+ * @returns {Array<Object>|null} { name, dir, path, config } for the root (path `.`)
+ *   and every package, or null outside a workspace
+ */
+function getWorkspaceConfigs() {
+  const workspace = findWorkspace();
+  if (!workspace) return null;
+  
+  let rootName = path.basename(workspace.root);
+  try {
+    rootName = JSON.parse(fs.readFileSync(path.join(workspace.root, 'package.json'), 'utf8')).name || rootName;
+  } catch (err) {
+    // No package.json: the directory names the root
+  }
+  
+  return [{ name: rootName, dir: workspace.root, path: '.' }, ...workspace.packages].map(pkg => ({
+    ...pkg,
+    config: getConfig({ package: pkg.path })
+  }));
+}
+
+/**
+ * The selected environment, from --env (which sets JAW_TOOLS_ENV) or JAW_TOOLS_ENV
+ * @param {Object} env Environment variables (defaults to process.env)
+ * @returns {string|null} Environment name, or null if none is selected
+ */
+function getEnvironment(env = process.env) {
+  return env[ENV_VARIABLE] || null;
+}
+
+/**
+ * Normalize a config key or environment variable segment for matching,
+ * so PROMPT_COMPILER matches promptCompiler and FULL_CODEBASE full-codebase
+ * @param {string} key Key or segment
+ * @returns {string} Lowercase letters and digits
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Read config overrides from JAW_TOOLS_* environment variables. Path segments
+ * are separated by a double underscore and matched to existing keys ignoring
+ * case and underscores, e.g. JAW_TOOLS_PROMPT_COMPILER__EXEC__TIMEOUT=60000
+ * sets promptCompiler.exec.timeout. Keys that don't exist yet are added as
+ * written. Values are parsed as JSON when they can be, and used as strings otherwise.
+ * @param {Object} config Configuration the keys are matched against
+ * @param {Object} env Environment variables (defaults to process.env)
+ * @returns {Object} { overrides, variables: [{ variable, path }] }
+ */
+function readEnvOverrides(config, env = process.env) {
+  const overrides = {};
+  const variables = [];
+  
+  Object.keys(env).sort().forEach(variable => {
+    if (!variable.startsWith(ENV_PREFIX) || variable === ENV_VARIABLE || variable === PACKAGE_VARIABLE) return;
+    const segments = variable.slice(ENV_PREFIX.length).split('__');
+    if (segments.some(segment => !segment)) return;
+    
+    // Match each segment to a key of the configuration, where there is one
+    let known = config;
+    const keys = segments.map(segment => {
+      const candidates = isMergeable(known) ? Object.keys(known) : [];
+      const key = candidates.find(candidate => normalizeKey(candidate) === normalizeKey(segment)) || segment;
+      known = isMergeable(known) ? known[key] : undefined;
+      return key;
+    });
+    
+    let value;
     try {
-      // Clear the require cache to ensure we get the latest version
-      delete require.cache[require.resolve(configPath)];
-      projectConfig = require(configPath);
-    } catch (error) {
+      value = JSON.parse(env[variable]);
+    } catch (err) {
+      value = env[variable];
+    }
+    
+    let target = overrides;
+    keys.slice(0, -1).forEach(key => {
+      if (!isMergeable(target[key])) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+    variables.push({ variable, path: keys.join('.') });
+  });
+  
+  return { overrides, variables };
+}
+
+/**
+ * Resolve the layers the project configuration is built from: the config
+ * file without its environments, the selected environment's settings and
+ * JAW_TOOLS_* overrides, each merged over the one before
+ * @param {Object} fileConfig Configuration read from the config file
+ * @param {Object} env Environment variables (defaults to process.env)
+ * @returns {Object} { config, environment, environmentFound, environmentNames,
+ *   environmentConfig, envOverrides, envVariables }
+ */
+function resolveConfigLayers(fileConfig, env = process.env) {
+  const { environments, ...baseConfig } = fileConfig || {};
+  const environmentNames = isMergeable(environments) ? Object.keys(environments) : [];
+  const environment = getEnvironment(env);
+  const environmentFound = Boolean(environment && environmentNames.includes(environment) && isMergeable(environments[environment]));
+  const environmentConfig = environmentFound ? environments[environment] : {};
+  
+  const layered = mergeConfigs(baseConfig, environmentConfig);
+  const { overrides, variables } = readEnvOverrides(mergeConfigs(defaultConfig, layered), env);
+  
+  return {
+    config: mergeConfigs(layered, overrides),
+    environment,
+    environmentFound,
+    environmentNames,
+    environmentConfig,
+    envOverrides: overrides,
+    envVariables: variables
+  };
+}
+
+/**
+ * Get configuration from the project's config file,
+ * falling back to defaults for any missing properties.
+ * In a workspace package the root config is merged in first (see resolveProject()).
+ * The selected environment and JAW_TOOLS_* variables are merged over it.
+ * Problems found by the config schema are reported as warnings.
+ * @param {Object} options Options passed to resolveProject()
+ */
+function getConfig(options = {}) {
+  const project = resolveProject(options);
+  const layers = resolveConfigLayers(project.config);
+  
+  project.sources.forEach(({ configPath, exists, config: fileConfig, error }) => {
+    if (!exists) {
+      console.warn(`Warning: No config file found at ${configPath}. Using defaults.`);
+    } else if (error) {
       console.warn(`Warning: Could not load config from ${configPath}. Using defaults.`);
-      console.warn(error.message);
+      console.warn(error);
+    } else if (!reportedConfigs.has(configPath)) {
+      reportedConfigs.add(configPath);
+      const { errors } = validateConfig(fileConfig);
+      if (errors.length > 0) {
+        console.warn(`⚠️ ${errors.length} problem(s) in ${configPath}:`);
+        errors.forEach(problem => console.warn(`   - ${problem.message}`));
+        console.warn(`   Run "npx jaw-tools config validate" to check the file again.`);
+      }
     }
-  } else {
-    console.warn(`Warning: No config file found at ${configPath}. Using defaults.`);
+  });
+  if (project.packageFound === false && !reportedConfigs.has(`package:${project.packageQuery}`)) {
+    reportedConfigs.add(`package:${project.packageQuery}`);
+    console.warn(project.workspace
+      ? `⚠️ Unknown package "${project.packageQuery}" (packages: ${project.workspace.packages.map(pkg => pkg.name).join(', ') || 'none'}). Using the workspace root.`
+      : `⚠️ Package "${project.packageQuery}" selected, but no config declares workspace packages.`);
   }
+  reportLayerProblems(layers);
   
   // Deep merge default config with project config
-  const mergedConfig = mergeConfigs(defaultConfig, projectConfig);
+  const mergedConfig = mergeConfigs(defaultConfig, layers.config);
   
-  // Store the determined project root in the config for access by all modules
-  mergedConfig.__projectRoot = projectRoot;
+  // Store the determined project root, environment and workspace in the config for access by all modules
+  mergedConfig.__projectRoot = project.projectRoot;
+  mergedConfig.__environment = layers.environment;
+  mergedConfig.__workspaceRoot = project.workspace ? project.workspace.root : null;
+  mergedConfig.__package = project.package ? project.package.name : null;
   
   return mergedConfig;
 }
 
 /**
- * Deep merge two objects
+ * Warn once about an unknown environment and invalid JAW_TOOLS_* overrides
+ * @param {Object} layers Result of resolveConfigLayers()
+ */
+function reportLayerProblems(layers) {
+  if (layers.environment && !layers.environmentFound && !reportedConfigs.has(`env:${layers.environment}`)) {
+    reportedConfigs.add(`env:${layers.environment}`);
+    const defined = layers.environmentNames.length > 0 ? layers.environmentNames.join(', ') : 'none';
+    console.warn(`⚠️ Unknown environment "${layers.environment}" (defined: ${defined}). Using the base configuration.`);
+  }
+  
+  if (layers.envVariables.length > 0 && !reportedConfigs.has('env:variables')) {
+    reportedConfigs.add('env:variables');
+    const { errors } = validateConfig(layers.envOverrides);
+    if (errors.length > 0) {
+      console.warn(`⚠️ ${errors.length} problem(s) in ${ENV_PREFIX}* environment variables:`);
+      errors.forEach(problem => console.warn(`   - ${problem.message}`));
+    }
+  }
+}
+
+/**
+ * Whether a value is an object that merging descends into
+ * @param {*} value Value
+ * @returns {boolean} True for objects that aren't arrays or null
+ */
+function isMergeable(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Deep merge two objects; arrays, null and other values replace the default as a whole
  */
 function mergeConfigs(defaultObj, overrideObj) {
   const result = { ...defaultObj };
@@ -127,8 +568,8 @@ function mergeConfigs(defaultObj, overrideObj) {
   if (!overrideObj) return result;
   
   Object.keys(overrideObj).forEach(key => {
-    if (typeof overrideObj[key] === 'object' && !Array.isArray(overrideObj[key])) {
-      result[key] = mergeConfigs(defaultObj[key] || {}, overrideObj[key]);
+    if (isMergeable(overrideObj[key])) {
+      result[key] = mergeConfigs(isMergeable(defaultObj[key]) ? defaultObj[key] : {}, overrideObj[key]);
     } else {
       result[key] = overrideObj[key];
     }
@@ -140,5 +581,18 @@ function mergeConfigs(defaultObj, overrideObj) {
 module.exports = {
   getConfig,
   defaultConfig,
-  findProjectRoot
+  findProjectRoot,
+  readProjectConfig,
+  mergeConfigs,
+  findWorkspace,
+  resolveProject,
+  getWorkspaceConfigs,
+  getEnvironment,
+  readEnvOverrides,
+  resolveConfigLayers,
+  CONFIG_FILES,
+  findConfigFile,
+  findConfigFiles,
+  loadConfigFile,
+  configFormat
 }; 
\ No newline at end of file
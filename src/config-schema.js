@@ -0,0 +1,357 @@
+/**
+ * JSON schema for jaw-tools config files and a validator for it
+ *
+ * The validator covers the schema keywords used here: type, properties,
+ * additionalProperties, items (a schema or a tuple), minItems, enum, minimum
+ * and anyOf. Errors name the config path they apply to and suggest the
+ * closest known option for typos:
+ *
+ *   { path: 'directories.prompt', message: "Unknown option 'directories.prompt'. Did you mean 'directories.prompts'?" }
+ */
+
+const { findClosestCommand } = require('./arg-parser');
+
+const pathString = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+
+const repomixProfile = {
+  type: 'object',
+  description: 'A repomix profile',
+  properties: {
+    include: { type: 'string', description: 'Comma-separated include globs' },
+    ignore: { type: 'string', description: 'Comma-separated ignore globs' },
+    style: { type: 'string', description: 'Output style, e.g. xml' },
+    compress: { type: 'boolean', description: 'Compress the snapshot' }
+  },
+  additionalProperties: false
+};
+
+const workflowStep = {
+  type: 'array',
+  description: 'A command and its arguments, e.g. ["repomix-profile", ["run", "full-codebase"]]',
+  items: [
+    { type: 'string' },
+    { type: 'array', items: { type: 'string' } }
+  ],
+  minItems: 2,
+  additionalItems: false
+};
+
+const CONFIG_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'jaw-tools configuration',
+  type: 'object',
+  properties: {
+    directories: {
+      type: 'object',
+      description: 'Directories relative to the project root',
+      properties: {
+        repomixProfiles: pathString,
+        docs: pathString,
+        prompts: pathString,
+        compiledPrompts: pathString,
+        projectDocs: pathString,
+        miniPrdTemplatePath: pathString
+      },
+      additionalProperties: false
+    },
+    repomix: {
+      type: 'object',
+      properties: {
+        defaultProfiles: { type: 'object', additionalProperties: repomixProfile },
+        env: { type: 'object', additionalProperties: { type: 'string' } }
+      },
+      additionalProperties: false
+    },
+    promptCompiler: {
+      type: 'object',
+      properties: {
+        variables: { type: 'object' },
+        useNumberedOutputs: { type: 'boolean' },
+        maxTokens: { type: ['integer', 'null'], minimum: 1 },
+        strict: { type: 'boolean' },
+        reproducible: { type: 'boolean' },
+        maxIncludeDepth: { type: 'integer', minimum: 1 },
+        wrap: { enum: ['fenced', 'xml', 'repomix', 'comment', 'none'] },
+        git: {
+          type: 'object',
+          properties: {
+            baseBranch: nullableString
+          },
+          additionalProperties: false
+        },
+        exec: {
+          type: 'object',
+          properties: {
+            allow: { type: 'array', items: { type: 'string' } },
+            timeout: { type: 'integer', minimum: 1 },
+            cache: { type: 'boolean' },
+            cacheDir: pathString
+          },
+          additionalProperties: false
+        },
+        output: {
+          type: 'object',
+          properties: {
+            formats: {
+              anyOf: [
+                { type: 'array', items: { enum: ['markdown', 'text', 'clipboard', 'openai', 'anthropic'] } },
+                { type: 'string' }
+              ]
+            },
+            model: nullableString,
+            maxOutputTokens: { type: 'integer', minimum: 1 }
+          },
+          additionalProperties: false
+        },
+        retention: {
+          type: 'object',
+          properties: {
+            keepPerTemplate: { type: ['integer', 'null'], minimum: 0 },
+            maxAge: { type: ['string', 'number', 'null'] },
+            maxSize: { type: ['string', 'number', 'null'] }
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+    tokenizer: {
+      type: 'object',
+      properties: {
+        model: { type: 'string' },
+        encoding: { enum: ['o200k_base', 'cl100k_base', 'p50k_base', 'r50k_base', 'estimate', null] }
+      },
+      additionalProperties: false
+    },
+    workflow: {
+      type: 'object',
+      properties: {
+        sequences: { type: 'object', additionalProperties: { type: 'array', items: workflowStep } },
+        defaultSequence: { type: 'string' }
+      },
+      additionalProperties: false
+    },
+    projectScaffolding: {
+      type: 'object',
+      properties: {
+        scaffoldTargetRootDir: pathString,
+        userGuide: {
+          type: 'object',
+          properties: {
+            destinationFileName: { type: 'string' }
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+    executionWorkflow: {
+      type: 'object',
+      properties: {
+        baseDir: pathString,
+        centralMetaPromptDir: pathString,
+        coreDocsForBundling: { type: 'object', additionalProperties: pathString },
+        defaultRepomixProfile: { type: 'string' },
+        tempSubDirs: {
+          type: 'object',
+          properties: {
+            codeSnapshots: pathString,
+            compiledPrompts: pathString
+          },
+          additionalProperties: false
+        }
+      },
+      additionalProperties: false
+    },
+    plugins: {
+      type: 'array',
+      description: 'Plugin module paths, package names, [module, options] pairs or inline plugins',
+      items: {
+        anyOf: [
+          { type: 'string' },
+          { type: 'array', items: [{ type: 'string' }, { type: 'object' }], minItems: 1, additionalItems: false },
+          { type: 'object' }
+        ]
+      }
+    },
+    interactive: { type: 'boolean', description: 'Ask questions; when false, commands use non-interactive defaults' },
+    workspace: {
+      type: 'object',
+      description: 'Packages of a monorepo, which inherit this config',
+      properties: {
+        packages: { type: 'array', items: { type: 'string' }, description: 'Globs of package directories' },
+        useWorkspaces: { type: 'boolean', description: 'Also read npm/yarn workspaces and pnpm-workspace.yaml' }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+// Named environments hold any other options, merged over the base configuration
+CONFIG_SCHEMA.properties.environments = {
+  type: 'object',
+  description: 'Settings per environment, selected with --env or JAW_TOOLS_ENV',
+  additionalProperties: {
+    type: 'object',
+    properties: { ...CONFIG_SCHEMA.properties },
+    additionalProperties: false
+  }
+};
+
+/**
+ * JSON type of a value. Functions count as objects, since inline plugins may be either.
+ * @param {*} value Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  if (typeof value === 'function') return 'object';
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of a schema's types
+ * @param {*} value Value
+ * @param {string|Array<string>} types Allowed types
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Append a key or index to a config path
+ * @param {string} base Path so far
+ * @param {string|number} key Property name or array index
+ * @returns {string} Path such as `workflow.sequences.default[0]`
+ */
+function childPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Describe a value's type for error messages
+ * @param {string|Array<string>} types Schema types
+ * @returns {string} e.g. `a string or null`
+ */
+function describeTypes(types) {
+  const article = type => (['array', 'object', 'integer'].includes(type) ? `an ${type}` : type === 'null' ? 'null' : `a ${type}`);
+  return [].concat(types).map(article).join(' or ');
+}
+
+/**
+ * Validate a value against a schema, collecting errors
+ * @param {*} value Value to check
+ * @param {Object} schema Schema for the value
+ * @param {string} valuePath Config path of the value
+ * @param {Array<Object>} errors Errors found so far (mutated)
+ */
+function validateValue(value, schema, valuePath, errors) {
+  const where = valuePath || 'the config';
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.map(option => {
+      const optionErrors = [];
+      validateValue(value, option, valuePath, optionErrors);
+      return optionErrors;
+    });
+    if (!matches.some(optionErrors => optionErrors.length === 0)) {
+      // Report the option whose type matched, or a type error listing all options
+      const typed = schema.anyOf.findIndex(option => !option.type || matchesType(value, option.type));
+      if (typed !== -1) {
+        errors.push(...matches[typed]);
+      } else {
+        const types = schema.anyOf.map(option => option.type).filter(Boolean);
+        errors.push({ path: valuePath, message: `${where} must be ${describeTypes([].concat(...types))}, got ${typeOf(value)}` });
+      }
+    }
+    return;
+  }
+
+  if (schema.enum) {
+    if (!schema.enum.includes(value)) {
+      const names = schema.enum.filter(option => typeof option === 'string');
+      const closest = typeof value === 'string' ? findClosestCommand(value, names, Math.max(2, Math.floor(value.length / 3))) : null;
+      errors.push({
+        path: valuePath,
+        message: `${where} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}${closest ? `. Did you mean "${closest}"?` : ''}`,
+        suggestion: closest
+      });
+    }
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: valuePath, message: `${where} must be ${describeTypes(schema.type)}, got ${typeOf(value)}` });
+    return;
+  }
+
+  const type = typeOf(value);
+
+  if ((type === 'integer' || type === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: valuePath, message: `${where} must be at least ${schema.minimum}, got ${value}` });
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: valuePath, message: `${where} must have at least ${schema.minItems} item(s), got ${value.length}` });
+    }
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, i) => {
+        if (i < value.length) validateValue(value[i], itemSchema, childPath(valuePath, i), errors);
+      });
+      if (schema.additionalItems === false && value.length > schema.items.length) {
+        errors.push({ path: valuePath, message: `${where} must have at most ${schema.items.length} item(s), got ${value.length}` });
+      }
+    } else if (schema.items) {
+      value.forEach((item, i) => validateValue(item, schema.items, childPath(valuePath, i), errors));
+    }
+  }
+
+  if (type === 'object' && typeof value !== 'function') {
+    const properties = schema.properties || {};
+    Object.keys(value).forEach(key => {
+      const keyPath = childPath(valuePath, key);
+      if (properties[key]) {
+        validateValue(value[key], properties[key], keyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(properties);
+        const closest = findClosestCommand(key, known, Math.max(2, Math.floor(key.length / 3)));
+        errors.push({
+          path: keyPath,
+          message: `Unknown option '${keyPath}'${closest ? `. Did you mean '${childPath(valuePath, closest)}'?` : ''}`,
+          suggestion: closest ? childPath(valuePath, closest) : null
+        });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateValue(value[key], schema.additionalProperties, keyPath, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a configuration object, as loaded from a config file.
+ * Keys added by getConfig(), such as __projectRoot, are ignored.
+ * @param {Object} config Configuration to check
+ * @param {Object} schema Schema to check against (defaults to CONFIG_SCHEMA)
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string, suggestion?: string }> }} Result
+ */
+function validateConfig(config, schema = CONFIG_SCHEMA) {
+  const errors = [];
+  const userConfig = typeOf(config) === 'object'
+    ? Object.fromEntries(Object.entries(config).filter(([key]) => !key.startsWith('__')))
+    : config;
+  validateValue(userConfig, schema, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfig
+};
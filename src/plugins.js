@@ -0,0 +1,241 @@
+/**
+ * Plugin loader for jaw-tools
+ *
+ * Plugins are listed in the `plugins` array of jaw-tools.config.js, as a
+ * module path relative to the project root, a package name, a `[module,
+ * options]` pair or the plugin itself. A plugin is a function, or an object
+ * with `name` and `register`, called with an API for extending jaw-tools:
+ *
+ *   module.exports = {
+ *     name: 'jira',
+ *     register(api, options) {
+ *       api.registerPlaceholder('jira', issue => fetchIssueSync(issue, options.host));
+ *       api.registerCommand({ name: 'sync-issues', description: 'Pull issues' }, async () => ({ success: true }));
+ *     }
+ *   };
+ *
+ * Each plugin is loaded once per process; what it registers is shared by the
+ * CLI, compile(), workflows, doctor and scaffold.
+ */
+
+const path = require('path');
+const { registerCommand } = require('./cli-registry');
+
+// Placeholder prefixes handled by the prompt compiler itself
+const RESERVED_PLACEHOLDERS = ['git', 'exec'];
+
+const registry = {
+  plugins: [],
+  placeholders: [],
+  workflowSteps: {},
+  doctorChecks: [],
+  scaffoldRoots: []
+};
+
+// Plugin modules (or inline plugins) already loaded, with their result
+const loaded = new Map();
+
+/**
+ * Resolve a plugins entry to the plugin, its options and a key identifying it
+ * @param {string|Array|Object|Function} entry Entry in config.plugins
+ * @param {string} projectRoot Directory relative module paths start from
+ * @returns {Object} { key, plugin, options, source }
+ */
+function resolveEntry(entry, projectRoot) {
+  const [target, options = {}] = Array.isArray(entry) ? entry : [entry];
+
+  if (typeof target !== 'string') {
+    return { key: target, plugin: target, options, source: target?.name || 'inline plugin' };
+  }
+
+  const isPath = target.startsWith('.') || path.isAbsolute(target);
+  const modulePath = isPath
+    ? require.resolve(path.resolve(projectRoot, target))
+    : require.resolve(target, { paths: [projectRoot] });
+  return { key: modulePath, plugin: require(modulePath), options, source: target };
+}
+
+/**
+ * Build the API a plugin registers its extensions with
+ * @param {string} name Plugin name
+ * @param {Object} config jaw-tools configuration
+ * @returns {Object} Plugin API
+ */
+function createApi(name, config) {
+  const projectRoot = config.__projectRoot || process.cwd();
+  return {
+    name,
+    config,
+    projectRoot,
+
+    /**
+     * Add a CLI command, declared like the commands in src/cli-registry.js
+     * @param {Object} command Command definition
+     * @param {Function} run Called with the parsed command line and the config;
+     *   returns (a promise for) a result object with `success`. The CLI prints
+     *   the rest of the result, so commands with their own output return only `success`.
+     */
+    registerCommand(command, run) {
+      if (typeof run !== 'function') {
+        throw new Error(`Command '${command?.name}' needs a function to run`);
+      }
+      registerCommand({ ...command, plugin: name, run });
+    },
+
+    /**
+     * Add a `{{prefix: argument}}` placeholder to the prompt compiler
+     * @param {string} prefix Placeholder prefix, without the colon
+     * @param {Function} resolve Called synchronously with the argument and
+     *   { options, config, dryRun }; returns the text to include, a file
+     *   `{ path, content }` or an array of files
+     */
+    registerPlaceholder(prefix, resolve) {
+      if (RESERVED_PLACEHOLDERS.includes(prefix) || registry.placeholders.some(p => p.prefix === prefix)) {
+        throw new Error(`Placeholder prefix '${prefix}:' is already in use`);
+      }
+      registry.placeholders.push({ prefix, resolve, plugin: name });
+    },
+
+    /**
+     * Add a workflow step type, used in sequences as `[type, args]`
+     * @param {string} type Step type
+     * @param {Function} run Called with the args and { config, index, stdio };
+     *   throws (or rejects) to fail the step
+     */
+    registerWorkflowStep(type, run) {
+      if (registry.workflowSteps[type]) {
+        throw new Error(`Workflow step type '${type}' is already in use`);
+      }
+      registry.workflowSteps[type] = { type, run, plugin: name };
+    },
+
+    /**
+     * Add a check to `jaw-tools doctor`
+     * @param {string} checkName Name shown in the report
+     * @param {Function} check Called with the config; returns (a promise for)
+     *   a boolean or { passed, message }
+     * @param {Object} options Check options
+     * @param {boolean} options.required Fail the overall health check when this fails
+     */
+    registerDoctorCheck(checkName, check, options = {}) {
+      registry.doctorChecks.push({ name: checkName, check, required: Boolean(options.required), plugin: name });
+    },
+
+    /**
+     * Add a directory of templates to `jaw-tools scaffold`
+     * @param {string} source Directory to copy from, absolute or relative to the project root
+     * @param {Object} options Scaffold options
+     * @param {string} options.target Directory to copy to, relative to the
+     *   project root (defaults to the docs directory)
+     */
+    registerScaffoldRoot(source, options = {}) {
+      registry.scaffoldRoots.push({ source: path.resolve(projectRoot, source), target: options.target || null, plugin: name });
+    }
+  };
+}
+
+/**
+ * Load the plugins listed in the configuration. Plugins that are already
+ * loaded are skipped, so this can be called by every module that needs them.
+ * @param {Object} config jaw-tools configuration
+ * @returns {Object} Result with success, the names of the loaded plugins and
+ *   errors for plugins that failed to load
+ */
+function loadPlugins(config = {}) {
+  const projectRoot = config.__projectRoot || process.cwd();
+  const entries = Array.isArray(config.plugins) ? config.plugins : [];
+  const errors = [];
+
+  entries.forEach(entry => {
+    let resolved;
+    try {
+      resolved = resolveEntry(entry, projectRoot);
+    } catch (err) {
+      const source = Array.isArray(entry) ? entry[0] : entry;
+      const key = `unresolved:${String(source)}`;
+      // Module-not-found messages go on to list the require stack
+      const message = err.message.split('\n')[0];
+      if (!loaded.has(key)) {
+        loaded.set(key, false);
+        console.warn(`⚠️ Could not load plugin ${source}: ${message}`);
+      }
+      errors.push({ plugin: String(source), error: message });
+      return;
+    }
+
+    if (loaded.has(resolved.key)) {
+      const previous = loaded.get(resolved.key);
+      if (previous.error) errors.push({ plugin: previous.name, error: previous.error });
+      return;
+    }
+
+    const { plugin, options, source } = resolved;
+    const register = typeof plugin === 'function' ? plugin : plugin?.register;
+    const name = (typeof plugin === 'object' && plugin?.name) || path.basename(String(source)).replace(/\.[cm]?js$/, '');
+    const record = { name, source: String(source), error: null };
+
+    try {
+      if (typeof register !== 'function') {
+        throw new Error('A plugin must export a function or an object with a register function');
+      }
+      register.call(plugin, createApi(name, config), options);
+      registry.plugins.push(record);
+    } catch (err) {
+      record.error = err.message;
+      errors.push({ plugin: name, error: err.message });
+      console.warn(`⚠️ Could not load plugin ${name}: ${err.message}`);
+    }
+    loaded.set(resolved.key, record);
+  });
+
+  return {
+    success: errors.length === 0,
+    plugins: registry.plugins.map(plugin => plugin.name),
+    errors
+  };
+}
+
+/**
+ * Find the plugin placeholder for a placeholder target
+ * @param {string} target Placeholder target, e.g. `jira: ABC-123`
+ * @returns {Object|null} { prefix, resolve, plugin, argument }
+ */
+function findPlaceholder(target) {
+  const placeholder = registry.placeholders.find(p => target.startsWith(`${p.prefix}:`));
+  return placeholder
+    ? { ...placeholder, argument: target.substring(placeholder.prefix.length + 1).trim() }
+    : null;
+}
+
+/**
+ * Find a plugin workflow step type
+ * @param {string} type Step type
+ * @returns {Object|null} { type, run, plugin }
+ */
+function getWorkflowStep(type) {
+  return registry.workflowSteps[type] || null;
+}
+
+/**
+ * Doctor checks added by plugins
+ * @returns {Array<Object>} { name, check, required, plugin }
+ */
+function getDoctorChecks() {
+  return registry.doctorChecks;
+}
+
+/**
+ * Scaffold template roots added by plugins
+ * @returns {Array<Object>} { source, target, plugin }
+ */
+function getScaffoldRoots() {
+  return registry.scaffoldRoots;
+}
+
+module.exports = {
+  loadPlugins,
+  findPlaceholder,
+  getWorkflowStep,
+  getDoctorChecks,
+  getScaffoldRoots
+};
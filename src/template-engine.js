@@ -0,0 +1,532 @@
+/**
+ * Template engine for jaw-tools
+ *
+ * A small Handlebars-style engine shared by the prompt compiler and the
+ * execution workflow templates. Supports:
+ *   {{name}} / {{a.b.c}}          variable lookup
+ *   {{#if x}} ... {{else}} ... {{/if}}
+ *   {{#unless x}} ... {{/unless}}
+ *   {{#each items}} ... {{else}} ... {{/each}}   ({{this}}, {{@index}}, {{@first}}, {{@last}}, {{@key}})
+ *   {{> partial-name}}            partial templates
+ *   {{> partial-name key="value" other=path.to.value}}
+ *                                 partial with variables scoped to it
+ *   {{! comment }}                comments
+ *   \{{literal}}                  escaped braces, output as {{literal}}
+ *
+ * Block tags that sit alone on a line are "standalone": the whole line is
+ * removed from the output so conditionals don't leave blank lines behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TAG_REGEX = /(\\?)\{\{([^}]*)\}\}/g;
+
+// Default maximum nesting of partials and includes
+const MAX_PARTIAL_DEPTH = 10;
+
+// `key=value` parameters of a partial tag; values may be quoted
+const PARTIAL_PARAM_REGEX = /([\w$.-]+)=("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\S+)/g;
+
+const BLOCK_HELPERS = ['if', 'unless', 'each'];
+
+/**
+ * Error raised for malformed templates
+ */
+class TemplateError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+/**
+ * Parse the name and parameters of a partial tag
+ * @param {string} body Tag text after `>`, e.g. `rules audience="developers"`
+ * @returns {{ name: string, params: Array<Object> }} Partial name and parameters
+ */
+function parsePartialTag(body) {
+  const [name] = body.split(/\s+/);
+  const params = [];
+  let match;
+
+  PARTIAL_PARAM_REGEX.lastIndex = 0;
+  const rest = body.substring(name.length);
+  while ((match = PARTIAL_PARAM_REGEX.exec(rest)) !== null) {
+    const [, key, value] = match;
+    if (/^(["']).*\1$/.test(value)) {
+      params.push({ key, value: value.slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (value === 'true' || value === 'false') {
+      params.push({ key, value: value === 'true' });
+    } else if (/^-?\d+(\.\d+)?$/.test(value)) {
+      params.push({ key, value: Number(value) });
+    } else {
+      // Anything else is looked up in the including template's scope
+      params.push({ key, expr: value });
+    }
+  }
+
+  return { name, params };
+}
+
+/**
+ * Classify the text inside a tag
+ * @param {string} inner Text between the braces
+ * @returns {Object} Tag descriptor
+ */
+function classifyTag(inner) {
+  const body = inner.trim();
+
+  if (body.startsWith('!')) {
+    return { kind: 'comment' };
+  }
+  if (body.startsWith('>')) {
+    return { kind: 'partial', ...parsePartialTag(body.substring(1).trim()) };
+  }
+  if (body.startsWith('#')) {
+    const [helper, ...rest] = body.substring(1).trim().split(/\s+/);
+    return { kind: 'open', helper, expr: rest.join(' ') };
+  }
+  if (body.startsWith('/')) {
+    return { kind: 'close', helper: body.substring(1).trim() };
+  }
+  if (body === 'else') {
+    return { kind: 'else' };
+  }
+  return { kind: 'var', expr: body };
+}
+
+/**
+ * Split a template into text and tag tokens
+ * @param {string} template Template source
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(template) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: template.substring(lastIndex, match.index) });
+    }
+
+    if (match[1]) {
+      // Escaped tag, emit the braces literally
+      tokens.push({ type: 'text', value: match[0].substring(1) });
+    } else {
+      const line = template.substring(0, match.index).split('\n').length;
+      tokens.push({ type: 'tag', raw: match[0], line, ...classifyTag(match[2]) });
+    }
+    lastIndex = TAG_REGEX.lastIndex;
+  }
+
+  if (lastIndex < template.length) {
+    tokens.push({ type: 'text', value: template.substring(lastIndex) });
+  }
+
+  stripStandaloneLines(tokens);
+  return tokens;
+}
+
+/**
+ * Remove the surrounding whitespace and newline of block tags that are
+ * alone on their line
+ * @param {Array<Object>} tokens Tokens, modified in place
+ */
+function stripStandaloneLines(tokens) {
+  const standaloneKinds = ['open', 'close', 'else', 'comment', 'partial'];
+
+  // Decide on the original text first, stripping changes the neighbours
+  const standalone = tokens.filter((token, i) => {
+    if (token.type !== 'tag' || !standaloneKinds.includes(token.kind)) return false;
+
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const prevText = prev ? (prev.type === 'text' ? prev.value : null) : '';
+    const nextText = next ? (next.type === 'text' ? next.value : null) : '';
+    if (prevText === null || nextText === null) return false;
+
+    // Text before the tag must be indentation that starts a line
+    const lineStart = prevText.lastIndexOf('\n');
+    const leading = prevText.substring(lineStart + 1);
+    const startsLine = lineStart !== -1 || i <= 1;
+    if (!startsLine || !/^[ \t]*$/.test(leading)) return false;
+
+    // Text after the tag must end the line
+    if (!/^[ \t]*(\r?\n|$)/.test(nextText)) return false;
+
+    // Partials keep the indentation of their tag
+    token.indent = leading;
+    return true;
+  });
+
+  standalone.forEach(token => {
+    const i = tokens.indexOf(token);
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    if (prev) prev.value = prev.value.replace(/[ \t]*$/, '');
+    if (next) next.value = next.value.replace(/^[ \t]*(\r?\n)?/, '');
+  });
+}
+
+/**
+ * Build a node tree from tokens
+ * @param {Array<Object>} tokens Tokens from tokenize()
+ * @returns {Array<Object>} Nodes
+ */
+function parse(tokens) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokens) {
+    const current = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      current.children.push(token);
+      continue;
+    }
+
+    switch (token.kind) {
+      case 'comment':
+        break;
+
+      case 'open': {
+        if (!BLOCK_HELPERS.includes(token.helper)) {
+          throw new TemplateError(`Unknown block helper "#${token.helper}"`, token.line);
+        }
+        if (!token.expr) {
+          throw new TemplateError(`Block "#${token.helper}" is missing an expression`, token.line);
+        }
+        const block = { ...token, type: 'block', children: [], inverse: null };
+        current.children.push(block);
+        stack.push(block);
+        break;
+      }
+
+      case 'else':
+        if (current === root) {
+          throw new TemplateError('{{else}} outside of a block', token.line);
+        }
+        if (current.inverse) {
+          throw new TemplateError(`Duplicate {{else}} in "#${current.helper}" block`, token.line);
+        }
+        // Following nodes go to the inverse branch
+        current.inverse = [];
+        current.mainChildren = current.children;
+        current.children = current.inverse;
+        break;
+
+      case 'close':
+        if (current === root) {
+          throw new TemplateError(`Unexpected {{/${token.helper}}}`, token.line);
+        }
+        if (current.helper !== token.helper) {
+          throw new TemplateError(`{{/${token.helper}}} does not match {{#${current.helper}}} opened on line ${current.line}`, token.line);
+        }
+        if (current.inverse) {
+          current.children = current.mainChildren;
+          delete current.mainChildren;
+        }
+        stack.pop();
+        break;
+
+      default:
+        current.children.push({ ...token, type: token.kind });
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed {{#${open.helper}}} block`, open.line);
+  }
+
+  return root.children;
+}
+
+/**
+ * Look up an expression in a scope chain
+ * @param {string} expr Expression such as `name`, `a.b`, `this` or `@index`
+ * @param {Array<Object>} scopes Scope chain, innermost last
+ * @returns {*} Value, or undefined
+ */
+function lookup(expr, scopes) {
+  const frame = scopes[scopes.length - 1];
+
+  if (expr === 'this' || expr === '.') {
+    return frame.context;
+  }
+  if (expr.startsWith('@')) {
+    return frame.data ? frame.data[expr.substring(1)] : undefined;
+  }
+
+  const parts = expr.replace(/^this\./, '').split('.');
+
+  // Search from the innermost scope outwards for the first segment
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const context = scopes[i].context;
+    if (context !== null && typeof context === 'object' && parts[0] in context) {
+      return parts.slice(1).reduce(
+        (value, part) => (value !== null && value !== undefined ? value[part] : undefined),
+        context[parts[0]]
+      );
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Whether a value counts as true for {{#if}}
+ * @param {*} value Value to test
+ * @returns {boolean} Truthiness
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object') return Object.keys(value).length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Convert a value to output text
+ * @param {*} value Value
+ * @returns {string} Text
+ */
+function stringify(value) {
+  if (Array.isArray(value)) return value.map(stringify).join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+/**
+ * Render nodes with a scope chain
+ * @param {Array<Object>} nodes Nodes from parse()
+ * @param {Array<Object>} scopes Scope chain
+ * @param {Object} options Render options
+ * @param {Array<string>} chain Ids of the partials being rendered, outermost first
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, scopes, options, chain) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'var': {
+        const value = lookup(node.expr, scopes);
+        if (value !== undefined && value !== null) {
+          output += stringify(value);
+          break;
+        }
+        // Unresolved tags may name another template to include
+        const include = options.includes ? options.includes(node.expr) : null;
+        output += include
+          ? renderPartial({ ...node, name: node.expr, params: [] }, scopes, options, chain, include)
+          : options.onMissing(node.expr, node);
+        break;
+      }
+
+      case 'partial':
+        output += renderPartial(node, scopes, options, chain);
+        break;
+
+      case 'block':
+        output += renderBlock(node, scopes, options, chain);
+        break;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a block helper
+ * @param {Object} node Block node
+ * @param {Array<Object>} scopes Scope chain
+ * @param {Object} options Render options
+ * @param {Array<string>} chain Ids of the partials being rendered
+ * @returns {string} Rendered text
+ */
+function renderBlock(node, scopes, options, chain) {
+  const value = lookup(node.expr, scopes);
+  const inverse = node.inverse || [];
+
+  if (node.helper === 'if' || node.helper === 'unless') {
+    const condition = node.helper === 'if' ? isTruthy(value) : !isTruthy(value);
+    return renderNodes(condition ? node.children : inverse, scopes, options, chain);
+  }
+
+  // each
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : (value && typeof value === 'object' ? Object.entries(value) : []);
+
+  if (entries.length === 0) {
+    return renderNodes(inverse, scopes, options, chain);
+  }
+
+  return entries.map(([key, item], index) => {
+    const frame = {
+      context: item,
+      data: {
+        index,
+        key,
+        first: index === 0,
+        last: index === entries.length - 1
+      }
+    };
+    return renderNodes(node.children, [...scopes, frame], options, chain);
+  }).join('');
+}
+
+/**
+ * Normalize what a partial resolver returned
+ * @param {string|Object|null} resolved Source text, or `{ source, id, defaults }`
+ * @param {string} name Partial name
+ * @returns {Object|null} Partial with source, id and defaults
+ */
+function normalizePartial(resolved, name) {
+  if (resolved === null || resolved === undefined) return null;
+  if (typeof resolved === 'string') return { source: resolved, id: name, defaults: {} };
+  return { id: name, defaults: {}, ...resolved };
+}
+
+/**
+ * Render a partial, or a template included through options.includes.
+ * The partial sees the including template's variables plus its own
+ * parameters; its declared defaults apply only where neither sets a value.
+ * @param {Object} node Partial node
+ * @param {Array<Object>} scopes Scope chain
+ * @param {Object} options Render options
+ * @param {Array<string>} chain Ids of the partials being rendered
+ * @param {Object} resolved Already resolved partial, if any
+ * @returns {string} Rendered text
+ */
+function renderPartial(node, scopes, options, chain, resolved) {
+  const partial = normalizePartial(
+    resolved || (options.partials ? options.partials(node.name) : null),
+    node.name
+  );
+
+  let rendered;
+  if (!partial) {
+    rendered = options.onMissingPartial(node.name, node);
+  } else {
+    const includeChain = [...chain, partial.id];
+    if (chain.includes(partial.id)) {
+      throw new TemplateError(`Include cycle: ${includeChain.map(options.formatId).join(' -> ')}`, node.line);
+    }
+    if (chain.length - options.rootIds >= options.maxDepth) {
+      throw new TemplateError(`Includes nested more than ${options.maxDepth} levels deep: ${includeChain.map(options.formatId).join(' -> ')}`, node.line);
+    }
+
+    let nodes;
+    try {
+      nodes = parse(tokenize(partial.source));
+    } catch (err) {
+      throw new TemplateError(`${err.message} in ${options.formatId(partial.id)}`, node.line);
+    }
+
+    const params = {};
+    (node.params || []).forEach(param => {
+      params[param.key] = 'expr' in param ? lookup(param.expr, scopes) : param.value;
+    });
+    const partialScopes = [
+      { context: partial.defaults },
+      ...scopes,
+      ...(Object.keys(params).length > 0 ? [{ context: params, data: scopes[scopes.length - 1].data }] : [])
+    ];
+
+    rendered = renderNodes(nodes, partialScopes, options, includeChain);
+  }
+
+  // Standalone partials are indented like the tag and end their own line
+  if (node.indent !== undefined) {
+    if (node.indent) {
+      rendered = rendered.replace(/^(?=.)/gm, node.indent);
+    }
+    if (!rendered.endsWith('\n')) {
+      rendered += '\n';
+    }
+  }
+
+  return rendered;
+}
+
+/**
+ * Create a partial resolver that loads partial files from directories
+ * @param {Array<string>} dirs Directories to search, in order
+ * @param {Object} options Loader options
+ * @param {Function} options.onLoad Called with the absolute path and source of each partial file read
+ * @param {Function} options.prepare Called with (source, path); returns `{ source, defaults }`,
+ *   e.g. to strip front-matter that declares default variables
+ * @returns {Function} Resolver returning `{ source, id, defaults }` (id is the
+ *   file's absolute path) or null
+ */
+function createPartialLoader(dirs, options = {}) {
+  const cache = {};
+
+  return name => {
+    if (name in cache) return cache[name];
+
+    for (const dir of dirs.filter(Boolean)) {
+      for (const candidate of [name, `${name}.md`]) {
+        const partialPath = path.resolve(dir, candidate);
+        if (fs.existsSync(partialPath) && fs.statSync(partialPath).isFile()) {
+          const source = fs.readFileSync(partialPath, 'utf8');
+          if (options.onLoad) options.onLoad(partialPath, source);
+          const prepared = options.prepare ? options.prepare(source, partialPath) : { source };
+          cache[name] = { defaults: {}, ...prepared, id: partialPath };
+          return cache[name];
+        }
+      }
+    }
+
+    cache[name] = null;
+    return null;
+  };
+}
+
+/**
+ * Render a template
+ * @param {string} template Template source
+ * @param {Object} context Values available to the template
+ * @param {Object} options Render options
+ * @param {Function} options.partials Resolves a partial name to its source, to
+ *   `{ source, id, defaults }`, or to null
+ * @param {Function} options.includes Called with the expression of a variable without
+ *   a value; may resolve it to a template to include, like options.partials
+ * @param {Function} options.onMissing Called with (expr, node) for variables without
+ *   a value; its return value is output. Defaults to leaving the tag unchanged.
+ * @param {Function} options.onMissingPartial Called with (name, node) for partials that
+ *   can't be found; its return value is output. Defaults to an HTML comment.
+ * @param {number} options.maxDepth Maximum nesting of partials and includes
+ * @param {string} options.id Id of the template itself, for cycle detection
+ * @param {Function} options.formatId Formats partial ids in error messages
+ * @returns {string} Rendered text
+ */
+function render(template, context = {}, options = {}) {
+  const renderOptions = {
+    partials: options.partials || null,
+    includes: options.includes || null,
+    onMissing: options.onMissing || ((expr, node) => node.raw),
+    onMissingPartial: options.onMissingPartial || (name => `<!-- Partial not found: ${name} -->`),
+    maxDepth: options.maxDepth || MAX_PARTIAL_DEPTH,
+    formatId: options.formatId || (id => id),
+    // The template's own id starts the chain but is not a nesting level
+    rootIds: options.id ? 1 : 0
+  };
+
+  return renderNodes(parse(tokenize(template)), [{ context }], renderOptions, options.id ? [options.id] : []);
+}
+
+module.exports = {
+  TemplateError,
+  render,
+  createPartialLoader
+};
@@ -0,0 +1,197 @@
+/**
+ * Tokenizer layer for jaw-tools
+ *
+ * Counts tokens using offline BPE tables (bundled with js-tiktoken) for the
+ * model family selected in the `tokenizer` config section. Falls back to a
+ * character-based estimate when no BPE table is available.
+ */
+
+const fs = require('fs');
+
+// Try to load js-tiktoken; without it only the estimate tokenizer is available
+let tiktoken;
+try {
+  tiktoken = require('js-tiktoken');
+} catch (err) {
+  tiktoken = null;
+}
+
+// BPE encodings shipped with js-tiktoken
+const BPE_ENCODINGS = ['o200k_base', 'cl100k_base', 'p50k_base', 'r50k_base'];
+
+// Model family prefixes mapped to the encoding that best matches them.
+// Anthropic does not publish BPE tables for current Claude models, so
+// cl100k_base is used as the closest offline approximation.
+const MODEL_FAMILIES = [
+  { prefix: 'gpt-4o', encoding: 'o200k_base' },
+  { prefix: 'gpt-4.1', encoding: 'o200k_base' },
+  { prefix: 'gpt-5', encoding: 'o200k_base' },
+  { prefix: 'o1', encoding: 'o200k_base' },
+  { prefix: 'o3', encoding: 'o200k_base' },
+  { prefix: 'o4', encoding: 'o200k_base' },
+  { prefix: 'gpt-4', encoding: 'cl100k_base' },
+  { prefix: 'gpt-3.5', encoding: 'cl100k_base' },
+  { prefix: 'text-embedding', encoding: 'cl100k_base' },
+  { prefix: 'claude', encoding: 'cl100k_base' },
+  { prefix: 'gemini', encoding: 'cl100k_base' },
+  { prefix: 'llama', encoding: 'cl100k_base' },
+  { prefix: 'mistral', encoding: 'cl100k_base' }
+];
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+// Average characters per token used by the estimate tokenizer
+const CHARS_PER_TOKEN = 4;
+
+// Longest run without whitespace encoded in one piece
+const MAX_RUN_CHARS = 32;
+
+// Text is encoded in chunks of about this many characters
+const MAX_CHUNK_CHARS = 4096;
+
+// Cache of loaded encoders, keyed by encoding name
+const encoderCache = {};
+
+// Encodings we already warned about, so fallbacks are reported once
+const warnedEncodings = new Set();
+
+/**
+ * Resolves the encoding name to use for a tokenizer config
+ * @param {Object} tokenizerConfig The `tokenizer` config section
+ * @param {string} tokenizerConfig.model Model name, e.g. 'gpt-4o' or 'claude-3-5-sonnet'
+ * @param {string} tokenizerConfig.encoding Explicit encoding, overrides model
+ * @returns {string} Encoding name, or 'estimate'
+ */
+function resolveEncoding(tokenizerConfig = {}) {
+  if (tokenizerConfig.encoding) {
+    return tokenizerConfig.encoding;
+  }
+
+  const model = String(tokenizerConfig.model || DEFAULT_MODEL).toLowerCase();
+  if (model === 'estimate') {
+    return 'estimate';
+  }
+
+  // Exact model names known to js-tiktoken take precedence over prefixes
+  if (tiktoken) {
+    try {
+      return tiktoken.getEncodingNameForModel(model);
+    } catch (err) {
+      // Unknown to js-tiktoken, fall through to family matching
+    }
+  }
+
+  const family = MODEL_FAMILIES.find(f => model.startsWith(f.prefix));
+  return family ? family.encoding : 'estimate';
+}
+
+/**
+ * Split text into pieces that are quick to encode. js-tiktoken slows down
+ * quadratically on long runs without whitespace, such as minified code, so
+ * runs are cut every MAX_RUN_CHARS characters; the rest is split on
+ * whitespace into chunks of about MAX_CHUNK_CHARS.
+ * @param {string} text Text to split
+ * @returns {Array<string>} Pieces that together make up the text
+ */
+function splitForEncoding(text) {
+  const pieces = [];
+  let chunk = '';
+  (text.match(/\s*\S+|\s+/g) || []).forEach(word => {
+    if (word.length > MAX_RUN_CHARS) {
+      if (chunk) pieces.push(chunk);
+      chunk = '';
+      for (let i = 0; i < word.length; i += MAX_RUN_CHARS) {
+        pieces.push(word.substring(i, i + MAX_RUN_CHARS));
+      }
+      return;
+    }
+    if (chunk.length + word.length > MAX_CHUNK_CHARS) {
+      pieces.push(chunk);
+      chunk = '';
+    }
+    chunk += word;
+  });
+  if (chunk) pieces.push(chunk);
+  return pieces;
+}
+
+/**
+ * Count BPE tokens piece by piece (see splitForEncoding)
+ * @param {Object} encoder js-tiktoken encoder
+ * @param {string} text Text to count
+ * @returns {number} Token count
+ */
+function countEncoded(encoder, text) {
+  // Cut runs repeat pieces, e.g. a long line of `=` or the same base64 padding
+  const counts = new Map();
+  return splitForEncoding(text).reduce((total, piece) => {
+    if (!counts.has(piece)) {
+      // Special tokens in file contents are counted as plain text
+      counts.set(piece, encoder.encode(piece, [], []).length);
+    }
+    return total + counts.get(piece);
+  }, 0);
+}
+
+/**
+ * Gets a tokenizer for the given configuration
+ * @param {Object} config jaw-tools configuration (or null for defaults)
+ * @returns {{ name: string, exact: boolean, count: Function }} Tokenizer
+ */
+function getTokenizer(config) {
+  const tokenizerConfig = (config && config.tokenizer) || {};
+  const encodingName = resolveEncoding(tokenizerConfig);
+
+  if (encodingName !== 'estimate' && tiktoken && BPE_ENCODINGS.includes(encodingName)) {
+    if (!encoderCache[encodingName]) {
+      encoderCache[encodingName] = tiktoken.getEncoding(encodingName);
+    }
+    const encoder = encoderCache[encodingName];
+
+    return {
+      name: encodingName,
+      exact: true,
+      count: text => countEncoded(encoder, text)
+    };
+  }
+
+  if (encodingName !== 'estimate' && !warnedEncodings.has(encodingName)) {
+    warnedEncodings.add(encodingName);
+    console.warn(`⚠️ Tokenizer "${encodingName}" is not available, falling back to estimate`);
+  }
+
+  return {
+    name: 'estimate',
+    exact: false,
+    count: text => Math.ceil(text.length / CHARS_PER_TOKEN)
+  };
+}
+
+/**
+ * Counts tokens in a string
+ * @param {string} text Text to count
+ * @param {Object} config jaw-tools configuration (optional)
+ * @returns {number} Token count
+ */
+function countTokens(text, config) {
+  if (!text) return 0;
+  return getTokenizer(config).count(text);
+}
+
+/**
+ * Counts tokens in a file
+ * @param {string} filePath Path to the file
+ * @param {Object} config jaw-tools configuration (optional)
+ * @returns {number} Token count
+ */
+function countFileTokens(filePath, config) {
+  return countTokens(fs.readFileSync(filePath, 'utf8'), config);
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  resolveEncoding,
+  getTokenizer,
+  countTokens,
+  countFileTokens
+};
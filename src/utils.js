@@ -19,16 +19,15 @@ function pad(num, size) {
 }
 
 /**
- * Gets an approximation of token count for a file
+ * Gets the token count for a file using the configured tokenizer
  * @param {string} filePath Path to the file
- * @returns {number|string} Estimated token count or error message
+ * @param {Object} config jaw-tools configuration (optional, selects the tokenizer)
+ * @returns {number|string} Token count or error message
  */
-function getTokenCount(filePath) {
+function getTokenCount(filePath, config) {
   try {
-    const stats = fs.statSync(filePath);
-    const fileSizeInKB = stats.size / 1024;
-    // Rough estimate: ~0.6 tokens per byte for XML/text
-    return Math.round(fileSizeInKB * 0.6 * 1024); 
+    const { countFileTokens } = require('./tokenizer');
+    return countFileTokens(filePath, config);
   } catch (err) {
     return "Error getting token count";
   }
@@ -52,9 +51,11 @@ function resolveCommandAlias(command) {
  * Runs a command with proper error handling
  * @param {Array} command Command and args array, e.g. ['node', ['file.js']]
  * @param {number} index Optional index for step numbering
+ * @param {Object} options Run options
+ * @param {string|Array} options.stdio stdio for the command (defaults to 'inherit')
  * @returns {Promise} Promise that resolves when command completes
  */
-function runCommand([cmd, args], index) {
+function runCommand([cmd, args], index, options = {}) {
   const { spawn } = require('child_process');
   
   return new Promise((resolve, reject) => {
@@ -70,7 +71,7 @@ function runCommand([cmd, args], index) {
     
     console.log(`\n${stepNum}Running: ${resolvedCmd} ${args.join(' ')}`);
     
-    const proc = spawn(mainCmd, mainArgs, { stdio: 'inherit', shell: true });
+    const proc = spawn(mainCmd, mainArgs, { stdio: options.stdio || 'inherit', shell: true });
     
     proc.on('close', code => {
       if (code !== 0) {
@@ -82,6 +83,60 @@ function runCommand([cmd, args], index) {
   });
 }
 
+// cmd.exe interprets these even inside arguments
+const CMD_METACHARACTERS = /[&|<>^%!"()\r\n]/;
+
+/**
+ * Find a command on Windows, where npm, npx and similar tools are .cmd shims
+ * @param {string} command Command name or path
+ * @param {string} cwd Directory the command runs in
+ * @returns {string} Full path of the command, or the command itself if it isn't found
+ */
+function resolveWindowsCommand(command, cwd = process.cwd()) {
+  const extensions = path.extname(command)
+    ? ['']
+    : (process.env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean);
+  const dirs = /[\\/]/.test(command)
+    ? ['']
+    : [cwd, ...(process.env.PATH || '').split(path.delimiter).filter(Boolean)];
+  for (const dir of dirs) {
+    for (const extension of extensions) {
+      const candidate = path.resolve(cwd, dir, command + extension);
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
+    }
+  }
+  return command;
+}
+
+/**
+ * Prepare a command for child_process.spawn without a shell. On Windows,
+ * .cmd and .bat files such as npx can only run through cmd.exe, so they get
+ * `shell: true` with quoted arguments, and arguments containing characters
+ * cmd.exe interprets are refused.
+ * @param {Array<string>} args Command and arguments
+ * @param {string} cwd Directory the command runs in
+ * @returns {{ command: string, args: Array<string>, shell: boolean }} spawn arguments
+ * @throws {Error} If cmd.exe would interpret part of an argument
+ */
+function prepareSpawn(args, cwd = process.cwd()) {
+  if (process.platform !== 'win32') {
+    return { command: args[0], args: args.slice(1), shell: false };
+  }
+  const command = resolveWindowsCommand(args[0], cwd);
+  if (!/\.(cmd|bat)$/i.test(command)) {
+    return { command, args: args.slice(1), shell: false };
+  }
+  const unsafe = args.find(arg => CMD_METACHARACTERS.test(arg));
+  if (unsafe !== undefined) {
+    throw new Error(`Not running ${args.join(' ')}: cmd.exe would interpret the special characters in "${unsafe}"`);
+  }
+  // Quote the shim path and arguments with spaces; none of them contain quotes
+  const quote = arg => (arg === '' || /\s/.test(arg) ? `"${arg}"` : arg);
+  return { command: quote(command), args: args.slice(1).map(quote), shell: true };
+}
+
 /**
  * Creates directory if it doesn't exist
  * @param {string} dir Directory path
@@ -249,6 +304,8 @@ module.exports = {
   getTokenCount,
   runCommand,
   resolveCommandAlias,
+  resolveWindowsCommand,
+  prepareSpawn,
   ensureDir,
   createInterface,
   askQuestion,
@@ -0,0 +1,136 @@
+/**
+ * Workspace (monorepo) support for jaw-tools
+ *
+ * A root config lists the packages of a workspace in `workspace.packages`
+ * as globs of directories, or sets `workspace.useWorkspaces` to read the
+ * `workspaces` field of package.json (npm and yarn) and pnpm-workspace.yaml.
+ * Each package is named after the "name" in its package.json, or its
+ * directory when it has none:
+ *
+ *   { name: '@acme/api', dir: '/repo/packages/api', path: 'packages/api' }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Import glob with a fallback
+let glob;
+try {
+  glob = require('glob');
+} catch (err) {
+  glob = {
+    sync: (pattern) => {
+      console.warn(`Cannot find workspace packages without the glob package: ${pattern}`);
+      return [];
+    }
+  };
+}
+
+/**
+ * Package globs declared by npm, yarn or pnpm
+ * @param {string} rootDir Workspace root
+ * @returns {Array<string>} Globs, possibly negated with `!`
+ */
+function readPackageManagerWorkspaces(rootDir) {
+  const patterns = [];
+
+  const packageJsonPath = path.join(rootDir, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      const { workspaces } = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+      // npm uses an array; yarn also allows { packages: [...] }
+      patterns.push(...(Array.isArray(workspaces) ? workspaces : (workspaces && workspaces.packages) || []));
+    } catch (err) {
+      console.warn(`Warning: Could not read workspaces from ${packageJsonPath}: ${err.message}`);
+    }
+  }
+
+  const pnpmPath = path.join(rootDir, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmPath)) {
+    try {
+      const yaml = require('js-yaml');
+      patterns.push(...((yaml.load(fs.readFileSync(pnpmPath, 'utf8')) || {}).packages || []));
+    } catch (err) {
+      console.warn(`Warning: Could not read ${pnpmPath}: ${err.message}`);
+    }
+  }
+
+  return patterns;
+}
+
+/**
+ * Whether a workspace config declares packages
+ * @param {Object} workspaceConfig The `workspace` section of a config
+ * @returns {boolean} True if it lists packages or reads them from the package manager
+ */
+function declaresPackages(workspaceConfig) {
+  if (!workspaceConfig || typeof workspaceConfig !== 'object') return false;
+  return (Array.isArray(workspaceConfig.packages) && workspaceConfig.packages.length > 0) || workspaceConfig.useWorkspaces === true;
+}
+
+/**
+ * List the packages of a workspace
+ * @param {string} rootDir Workspace root
+ * @param {Object} workspaceConfig The `workspace` section of the root config
+ * @returns {Array<Object>} Packages with name, dir and path (relative to the root), sorted by path
+ */
+function listPackages(rootDir, workspaceConfig = {}) {
+  const patterns = [
+    ...(Array.isArray(workspaceConfig.packages) ? workspaceConfig.packages : []),
+    ...(workspaceConfig.useWorkspaces ? readPackageManagerWorkspaces(rootDir) : [])
+  ];
+  const ignore = ['**/node_modules/**', ...patterns.filter(p => p.startsWith('!')).map(p => p.slice(1))];
+
+  const dirs = new Set();
+  patterns.filter(p => !p.startsWith('!')).forEach(pattern => {
+    glob.sync(pattern, { cwd: rootDir, absolute: true, ignore })
+      .filter(dir => path.resolve(dir) !== path.resolve(rootDir) && fs.statSync(dir).isDirectory())
+      .forEach(dir => dirs.add(path.resolve(dir)));
+  });
+
+  return [...dirs].map(dir => {
+    let name = path.basename(dir);
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8'));
+      if (pkg.name) name = pkg.name;
+    } catch (err) {
+      // No package.json: the directory names the package
+    }
+    return { name, dir, path: path.relative(rootDir, dir).split(path.sep).join('/') };
+  }).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * The package a directory is in
+ * @param {Array<Object>} packages Workspace packages
+ * @param {string} dir Directory
+ * @returns {Object|null} The innermost package containing the directory
+ */
+function packageContaining(packages, dir) {
+  const resolved = path.resolve(dir);
+  return packages
+    .filter(pkg => resolved === pkg.dir || resolved.startsWith(pkg.dir + path.sep))
+    .sort((a, b) => b.dir.length - a.dir.length)[0] || null;
+}
+
+/**
+ * Find a package by name, by name without its npm scope, or by path
+ * @param {Array<Object>} packages Workspace packages
+ * @param {string} query e.g. `@acme/api`, `api` or `packages/api`
+ * @returns {Object|null} The package, or null if none matches
+ */
+function findPackage(packages, query) {
+  const normalized = String(query).replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/$/, '');
+  return packages.find(pkg => pkg.name === normalized || pkg.path === normalized)
+    || packages.find(pkg => pkg.name.replace(/^@[^/]+\//, '') === normalized)
+    || packages.find(pkg => path.basename(pkg.dir) === normalized)
+    || null;
+}
+
+module.exports = {
+  readPackageManagerWorkspaces,
+  declaresPackages,
+  listPackages,
+  packageContaining,
+  findPackage
+};
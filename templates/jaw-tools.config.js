@@ -41,7 +41,55 @@ module.exports = {
       // PROJECT_NAME: 'My Awesome Project',
       // API_VERSION: 'v1.0'
     },
-    useNumberedOutputs: true
+    useNumberedOutputs: true,
+    // Token budget for compiled prompts; low-priority inclusions are trimmed to fit
+    maxTokens: null,
+    // Fail instead of writing a prompt with unresolved placeholders, missing
+    // variables or empty globs
+    strict: false,
+    // Sort glob matches, normalize line endings and name outputs by content hash
+    // so identical inputs always produce identical files
+    reproducible: false,
+    // How deeply prompt templates may include other templates
+    maxIncludeDepth: 10,
+    // How glob placeholder matches are wrapped: 'fenced' (code blocks with the
+    // language from the file extension), 'xml', 'repomix', 'comment' or 'none'
+    wrap: 'fenced',
+    // {{git:...}} placeholders
+    git: {
+      // Branch {{git:changed}} compares against; defaults to main or master
+      baseBranch: null
+    },
+    // {{exec: command}} placeholders. Commands run without a shell and only
+    // if they start with an allowed entry, e.g. 'npm test' or 'tree -L 2'
+    exec: {
+      allow: [],
+      timeout: 30000,     // milliseconds
+      cache: true,        // reuse output until the working tree changes
+      cacheDir: 'node_modules/.cache/jaw-tools/exec'
+    },
+    // Files written for each compiled prompt: markdown, text, clipboard,
+    // openai and anthropic (request payloads split at <!-- role: ... --> markers)
+    output: {
+      formats: ['markdown'],
+      model: null,          // "model" in API payloads, e.g. 'gpt-4o'
+      maxOutputTokens: 4096 // "max_tokens" in Anthropic payloads
+    },
+    // What `jaw-tools compile prune` keeps; null means no limit
+    retention: {
+      keepPerTemplate: null, // e.g. 5: the newest outputs of each template
+      maxAge: null,          // e.g. '30d' (m, h, d or w)
+      maxSize: null          // e.g. '100MB' for the whole directory
+    }
+  },
+  
+  // Tokenizer used for token counts in repomix, compile and execution bundle
+  tokenizer: {
+    // Model family to count tokens for, e.g. 'gpt-4o', 'gpt-4', 'claude-3-5-sonnet',
+    // or 'estimate' for a quick character-based approximation
+    model: 'gpt-4o',
+    // Explicit BPE encoding ('o200k_base', 'cl100k_base', ...), overrides model
+    encoding: null
   },
   
   // Workflow sequential commands
@@ -72,5 +120,37 @@ module.exports = {
       // Destination is relative to 'directories.docs'.
       destinationFileName: 'jaw-tools-guide.md'
     }
+  },
+  
+  // Plugins: module paths (relative to this file), package names or [module, options] pairs.
+  // Plugins can add commands, {{prefix: ...}} placeholders, workflow step types,
+  // doctor checks and scaffold templates.
+  plugins: [
+    // './tools/jaw-tools-plugin.js',
+    // ['jaw-tools-plugin-jira', { host: 'https://example.atlassian.net' }]
+  ],
+  
+  // Ask questions; when false, scaffold skips existing files, refresh doesn't
+  // confirm and Mini-PRD front-matter updates aren't offered
+  interactive: true,
+  
+  // Settings merged over this file for a named environment, selected with
+  // --env <name> or JAW_TOOLS_ENV. Any value can also be overridden with a
+  // JAW_TOOLS_* variable, e.g. JAW_TOOLS_PROMPT_COMPILER__EXEC__TIMEOUT=60000
+  environments: {
+    // ci: {
+    //   interactive: false,
+    //   repomix: { defaultProfiles: { 'full-codebase': { ignore: '.git/**,node_modules/**,coverage/**' } } }
+    // }
+  },
+  
+  // Monorepo packages, as globs of directories. Each package inherits this
+  // config, with its own jaw-tools config file merged over it; select one
+  // with --package <name> or JAW_TOOLS_PACKAGE.
+  workspace: {
+    packages: [
+      // 'packages/*'
+    ],
+    useWorkspaces: false // also read npm/yarn workspaces and pnpm-workspace.yaml
   }
 }; 
\ No newline at end of file
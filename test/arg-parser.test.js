@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findCommand } = require('../src/cli-registry');
+const { UsageError, parseCommandLine, findClosestCommand, levenshteinDistance } = require('../src/arg-parser');
+
+const parse = (name, argv) => parseCommandLine(findCommand(name), argv);
+
+describe('parseCommandLine', () => {
+  it('parses arguments and camelCased options', () => {
+    const parsed = parse('compile', ['_docs/prompts/review.md', '--out-file', 'out.md', '--max-tokens=8000', '--strict']);
+    assert.deepEqual(parsed.args, { promptFile: '_docs/prompts/review.md' });
+    assert.deepEqual(parsed.options, { outFile: 'out.md', maxTokens: 8000, strict: true });
+    assert.equal(parsed.subcommand, null);
+  });
+
+  it('collects repeated --var options, including --var.key value', () => {
+    const parsed = parse('compile', ['p.md', '--var', 'feature=login', '--var.owner', 'core', '--var=draft=true']);
+    assert.deepEqual(parsed.options.vars, ['feature=login', 'owner=core', 'draft=true']);
+  });
+
+  it('finds subcommands and their options', () => {
+    const parsed = parse('compile', ['prune', '--keep', '5', '--dry-run']);
+    assert.equal(parsed.subcommand.name, 'prune');
+    assert.deepEqual(parsed.options, { keep: 5, dryRun: true });
+  });
+
+  it('accepts global options on every command', () => {
+    assert.deepEqual(parse('compile', ['p.md', '--json', '--env', 'ci']).options, { json: true, env: 'ci' });
+  });
+
+  it('treats everything after -- as arguments', () => {
+    assert.deepEqual(parse('compile', ['--', '--odd-name.md']).args, { promptFile: '--odd-name.md' });
+  });
+
+  it('skips validation when asking for help', () => {
+    assert.equal(parse('compile', ['-h']).help, true);
+  });
+
+  it('rejects unknown options with a suggestion', () => {
+    assert.throws(() => parse('compile', ['p.md', '--stirct']), error => {
+      assert.ok(error instanceof UsageError);
+      assert.equal(error.message, "Unknown option '--stirct' for 'compile'. Did you mean '--strict'?");
+      assert.equal(error.usage, 'compile');
+      return true;
+    });
+  });
+
+  it('rejects missing and invalid values', () => {
+    assert.throws(() => parse('compile', ['p.md', '--out-file']), /needs a value: --out-file <path>/);
+    assert.throws(() => parse('compile', ['p.md', '--max-tokens', 'lots']), /expects a number, got 'lots'/);
+    assert.throws(() => parse('compile', ['p.md', '--strict=yes']), /doesn't take a value/);
+    assert.throws(() => parse('compile', []), /Missing <prompt-file>/);
+    assert.throws(() => parse('compile', ['a.md', 'b.md']), /Unexpected argument 'b.md'/);
+  });
+});
+
+describe('findClosestCommand', () => {
+  it('suggests the closest name', () => {
+    assert.equal(levenshteinDistance('kitten', 'sitting'), 3);
+    assert.equal(findClosestCommand('compiel'), 'compile');
+    assert.equal(findClosestCommand('xyz', ['compile', 'doctor'], 2), null);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseConfigValue, setConfigValue } = require('../lib/config/edit');
+
+const startDir = process.cwd();
+let project;
+
+function write(file, content) {
+  fs.writeFileSync(path.join(project, file), content);
+}
+
+function read(file) {
+  return fs.readFileSync(path.join(project, file), 'utf8');
+}
+
+beforeEach(() => {
+  delete process.env.JAW_TOOLS_PACKAGE;
+  process.chdir(startDir);
+  if (project) fs.rmSync(project, { recursive: true, force: true });
+  project = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jaw-config-')));
+  process.chdir(project);
+});
+
+after(() => {
+  process.chdir(startDir);
+  fs.rmSync(project, { recursive: true, force: true });
+});
+
+describe('parseConfigValue', () => {
+  it('parses JSON and keeps anything else as a string', () => {
+    assert.equal(parseConfigValue('5000'), 5000);
+    assert.equal(parseConfigValue('true'), true);
+    assert.deepEqual(parseConfigValue('["npm test"]'), ['npm test']);
+    assert.equal(parseConfigValue('docs'), 'docs');
+  });
+});
+
+describe('setConfigValue', () => {
+  it('replaces a value in a JavaScript config and keeps comments and formatting', () => {
+    write('jaw-tools.config.js', [
+      '// Project settings',
+      'module.exports = {',
+      '  directories: {',
+      "    docs: '_docs', // where docs live",
+      '  },',
+      '  promptCompiler: {',
+      '    exec: { timeout: 30000 }',
+      '  }',
+      '};',
+      ''
+    ].join('\n'));
+
+    const result = setConfigValue('promptCompiler.exec.timeout', 60000);
+    assert.equal(result.success, true);
+    assert.equal(result.previous, 30000);
+    assert.equal(read('jaw-tools.config.js'), [
+      '// Project settings',
+      'module.exports = {',
+      '  directories: {',
+      "    docs: '_docs', // where docs live",
+      '  },',
+      '  promptCompiler: {',
+      '    exec: { timeout: 60000 }',
+      '  }',
+      '};',
+      ''
+    ].join('\n'));
+  });
+
+  it('inserts missing properties, keeping trailing commas', () => {
+    write('jaw-tools.config.js', "module.exports = {\n  directories: {\n    docs: '_docs',\n  },\n};\n");
+
+    assert.equal(setConfigValue('directories.prompts', 'prompts').success, true);
+    assert.equal(setConfigValue('tokenizer.model', 'gpt-4o').success, true);
+    delete require.cache[path.join(project, 'jaw-tools.config.js')];
+    assert.deepEqual(require(path.join(project, 'jaw-tools.config.js')), {
+      directories: { docs: '_docs', prompts: 'prompts' },
+      tokenizer: { model: 'gpt-4o' }
+    });
+    assert.match(read('jaw-tools.config.js'), /    prompts: 'prompts',\n/);
+  });
+
+  it('refuses values the schema rejects and leaves the file alone', () => {
+    const source = 'module.exports = {\n  promptCompiler: {}\n};\n';
+    write('jaw-tools.config.js', source);
+
+    const result = setConfigValue('promptCompiler.exec.timeout', 'soon');
+    assert.equal(result.success, false);
+    assert.match(result.error, /^Not saved: /);
+    assert.equal(read('jaw-tools.config.js'), source);
+  });
+
+  it('rewrites JSON configs and the package.json key with their indentation', () => {
+    write('jaw-tools.config.json', '{\n    "directories": {\n        "docs": "_docs"\n    }\n}\n');
+    assert.equal(setConfigValue('directories.docs', 'documentation').success, true);
+    assert.equal(read('jaw-tools.config.json'), '{\n    "directories": {\n        "docs": "documentation"\n    }\n}\n');
+
+    fs.unlinkSync(path.join(project, 'jaw-tools.config.json'));
+    write('package.json', '{\n  "name": "app",\n  "jaw-tools": {}\n}\n');
+    assert.equal(setConfigValue('tokenizer.model', 'claude').success, true);
+    assert.deepEqual(JSON.parse(read('package.json')), { name: 'app', 'jaw-tools': { tokenizer: { model: 'claude' } } });
+  });
+
+  it('refuses to rewrite YAML configs with comments', () => {
+    write('jaw-tools.config.yml', '# settings\ndirectories:\n  docs: _docs\n');
+    const result = setConfigValue('directories.docs', 'documentation');
+    assert.equal(result.success, false);
+    assert.match(result.error, /comments that would be lost/);
+
+    write('jaw-tools.config.yml', 'directories:\n  docs: _docs\n');
+    assert.equal(setConfigValue('directories.docs', 'documentation').success, true);
+    assert.equal(read('jaw-tools.config.yml'), 'directories:\n  docs: documentation\n');
+  });
+
+  it('refuses to set array items one at a time', () => {
+    write('jaw-tools.config.js', 'module.exports = {};\n');
+    assert.match(setConfigValue('plugins[0]', './plugin.js').error, /Array items can't be set one at a time/);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { defaultConfig, getEnvironment, readEnvOverrides, resolveConfigLayers } = require('../src/config-manager');
+
+describe('readEnvOverrides', () => {
+  it('matches variable segments to config keys, ignoring case and underscores', () => {
+    const { overrides, variables } = readEnvOverrides(defaultConfig, {
+      JAW_TOOLS_PROMPT_COMPILER__EXEC__TIMEOUT: '60000',
+      JAW_TOOLS_DIRECTORIES__DOCS: 'documentation',
+      PATH: '/usr/bin'
+    });
+
+    assert.deepEqual(overrides, {
+      directories: { docs: 'documentation' },
+      promptCompiler: { exec: { timeout: 60000 } }
+    });
+    assert.deepEqual(variables, [
+      { variable: 'JAW_TOOLS_DIRECTORIES__DOCS', path: 'directories.docs' },
+      { variable: 'JAW_TOOLS_PROMPT_COMPILER__EXEC__TIMEOUT', path: 'promptCompiler.exec.timeout' }
+    ]);
+  });
+
+  it('parses JSON values and keeps the rest as strings', () => {
+    const { overrides } = readEnvOverrides({ a: {} }, {
+      JAW_TOOLS_A__ON: 'false',
+      JAW_TOOLS_A__LIST: '["npm test"]',
+      JAW_TOOLS_A__NAME: 'not json'
+    });
+    assert.deepEqual(overrides, { a: { ON: false, LIST: ['npm test'], NAME: 'not json' } });
+  });
+
+  it('matches keys with dashes, such as profile names', () => {
+    const config = { repomix: { profiles: { 'full-codebase': { include: '**' } } } };
+    const { variables } = readEnvOverrides(config, { JAW_TOOLS_REPOMIX__PROFILES__FULL_CODEBASE__INCLUDE: 'src/**' });
+    assert.equal(variables[0].path, 'repomix.profiles.full-codebase.include');
+  });
+
+  it('skips the environment and package selectors and malformed names', () => {
+    const { variables } = readEnvOverrides(defaultConfig, {
+      JAW_TOOLS_ENV: 'ci',
+      JAW_TOOLS_PACKAGE: 'web',
+      JAW_TOOLS_A____B: '1'
+    });
+    assert.deepEqual(variables, []);
+  });
+});
+
+describe('resolveConfigLayers', () => {
+  const fileConfig = {
+    directories: { docs: 'docs' },
+    promptCompiler: { strict: false },
+    environments: {
+      ci: { interactive: false, promptCompiler: { strict: true } }
+    }
+  };
+
+  it('merges the selected environment, then JAW_TOOLS_* variables', () => {
+    const layers = resolveConfigLayers(fileConfig, { JAW_TOOLS_ENV: 'ci', JAW_TOOLS_DIRECTORIES__DOCS: 'from-env' });
+
+    assert.equal(getEnvironment({ JAW_TOOLS_ENV: 'ci' }), 'ci');
+    assert.equal(layers.environment, 'ci');
+    assert.equal(layers.environmentFound, true);
+    assert.deepEqual(layers.environmentNames, ['ci']);
+    assert.deepEqual(layers.config, {
+      directories: { docs: 'from-env' },
+      promptCompiler: { strict: true },
+      interactive: false
+    });
+  });
+
+  it('reports environments that are not defined', () => {
+    const layers = resolveConfigLayers(fileConfig, { JAW_TOOLS_ENV: 'staging' });
+    assert.equal(layers.environmentFound, false);
+    assert.deepEqual(layers.config, { directories: { docs: 'docs' }, promptCompiler: { strict: false } });
+  });
+});
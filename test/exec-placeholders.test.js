@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { isExecPlaceholder, resolveExecPlaceholder } = require('../lib/prompt-compiler/exec');
+
+const startDir = process.cwd();
+let project;
+
+function resolve(target, options = {}, placeholderOptions = {}) {
+  return resolveExecPlaceholder({ target, files: [], options: placeholderOptions }, {
+    exec: { allow: ['node -e'], cache: false },
+    projectRoot: project,
+    ...options
+  });
+}
+
+before(() => {
+  project = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jaw-exec-')));
+  fs.mkdirSync(path.join(project, 'src'));
+  fs.writeFileSync(path.join(project, 'src/index.js'), 'original');
+  const git = args => execFileSync('git', args, {
+    cwd: project,
+    env: { ...process.env, GIT_AUTHOR_NAME: 'Test', GIT_AUTHOR_EMAIL: 'test@example.com', GIT_COMMITTER_NAME: 'Test', GIT_COMMITTER_EMAIL: 'test@example.com' }
+  });
+  git(['init', '--quiet']);
+  git(['add', '.']);
+  git(['-c', 'commit.gpgsign=false', 'commit', '--quiet', '-m', 'Initial commit']);
+  process.chdir(project);
+});
+
+after(() => {
+  process.chdir(startDir);
+  fs.rmSync(project, { recursive: true, force: true });
+});
+
+describe('resolveExecPlaceholder', () => {
+  it('recognises command placeholders', () => {
+    assert.equal(isExecPlaceholder('exec: npm test'), true);
+    assert.equal(isExecPlaceholder('src/exec.js'), false);
+  });
+
+  it('only runs commands that start with an allowed entry', () => {
+    assert.throws(() => resolve('exec: node --version'), /Command not allowed: "node --version"/);
+    assert.throws(() => resolve('exec: rm -rf src'), /Command not allowed/);
+    assert.throws(() => resolve('exec:'), /Use exec: <command>/);
+    assert.match(resolve('exec: node --version', { exec: { allow: ['*'], cache: false } }).files[0].content, /^v\d+/);
+  });
+
+  it('includes stdout, stderr and a note about the exit code', () => {
+    const inclusion = resolve('exec: node -e "console.log(\'out\'); console.error(\'err\'); process.exit(3)"');
+    assert.equal(inclusion.files[0].content, `out\nerr\n<!-- Command exited with code 3: node -e "console.log('out'); console.error('err'); process.exit(3)" -->\n`);
+    assert.equal(inclusion.exec.exitCode, 3);
+    assert.equal(inclusion.exec.cached, false);
+  });
+
+  it('rejects invalid timeouts', () => {
+    for (const timeout of ['abc', '0', '-5', '1.5']) {
+      assert.throws(() => resolve('exec: node -e "1"', {}, { timeout }), /Invalid timeout/);
+    }
+    assert.throws(() => resolve('exec: node -e "1"', { exec: { allow: ['node -e'], timeout: 'soon' } }), /Invalid timeout "soon"/);
+  });
+
+  it('stops commands that run past the timeout', () => {
+    assert.throws(() => resolve('exec: node -e "setTimeout(() => {}, 10000)"', {}, { timeout: '200' }), /timed out after 200ms/);
+  });
+
+  it('reuses cached output until the working tree changes', () => {
+    const options = { exec: { allow: ['node -e'] }, excludeDirs: ['prompts-compiled'] };
+    const command = 'exec: node -e "console.log(Math.random())"';
+
+    const first = resolve(command, options);
+    const second = resolve(command, options);
+    assert.equal(second.exec.cached, true);
+    assert.equal(second.files[0].content, first.files[0].content);
+    assert.equal(fs.readdirSync(path.join(project, 'node_modules/.cache/jaw-tools/exec')).length, 1);
+
+    // Files in excluded directories don't count, whichever directory the compile runs from
+    fs.mkdirSync(path.join(project, 'prompts-compiled'));
+    fs.writeFileSync(path.join(project, 'prompts-compiled/001-review.md'), 'output');
+    assert.equal(resolve(command, options).exec.cached, true);
+
+    fs.writeFileSync(path.join(project, 'src/index.js'), 'changed');
+    const third = resolve(command, options);
+    assert.equal(third.exec.cached, false);
+    assert.notEqual(third.files[0].content, first.files[0].content);
+
+    assert.equal(resolve(command, { ...options, noCache: true }).exec.cached, false);
+  });
+
+  it('does not run commands in a dry run', () => {
+    const inclusion = resolve('exec: node -e "process.exit(1)"', { dryRun: true });
+    assert.equal(inclusion.exec.skipped, true);
+    assert.match(inclusion.files[0].content, /Not run \(dry run\)/);
+  });
+});
@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  isGitPlaceholder,
+  gitPlaceholderType,
+  resolveGitPlaceholder,
+  parseRevisionArgs,
+  splitArgs
+} = require('../lib/prompt-compiler/git');
+
+const startDir = process.cwd();
+let repo;
+
+function git(...args) {
+  return execFileSync('git', args, {
+    cwd: repo,
+    encoding: 'utf8',
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'Test',
+      GIT_COMMITTER_EMAIL: 'test@example.com'
+    }
+  });
+}
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(path.join(repo, file)), { recursive: true });
+  fs.writeFileSync(path.join(repo, file), content);
+}
+
+function resolve(target) {
+  return resolveGitPlaceholder({ target, files: [], options: {} }, {
+    git: { baseBranch: 'main' },
+    readFile: filePath => ({ path: filePath, content: fs.readFileSync(filePath, 'utf8') })
+  });
+}
+
+before(() => {
+  repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jaw-git-')));
+  git('init', '--quiet', '--initial-branch=main');
+  write('src/app.js', 'export function start() {\n  return 1;\n}\n');
+  write('docs/guide.md', '# Guide\n');
+  git('add', '.');
+  git('-c', 'commit.gpgsign=false', 'commit', '--quiet', '-m', 'Initial commit');
+  git('checkout', '--quiet', '-b', 'feature');
+  write('src/app.js', 'export function start() {\n  return 2;\n}\n');
+  git('-c', 'commit.gpgsign=false', 'commit', '--quiet', '-am', 'Return 2');
+  write('docs/guide.md', '# Guide\n\nMore.\n');
+  write('notes.txt', 'untracked\n');
+  process.chdir(repo);
+});
+
+after(() => {
+  process.chdir(startDir);
+  fs.rmSync(repo, { recursive: true, force: true });
+});
+
+describe('git placeholder parsing', () => {
+  it('recognises git placeholders and how they are wrapped', () => {
+    assert.equal(isGitPlaceholder('git:diff'), true);
+    assert.equal(isGitPlaceholder('src/git.js'), false);
+    assert.equal(gitPlaceholderType('git:changed main'), 'glob');
+    assert.equal(gitPlaceholderType('git:diff'), 'file');
+  });
+
+  it('splits arguments, keeping quoted sections together', () => {
+    assert.deepEqual(splitArgs('-n 5 --format="%h %s" \'a b\''), ['-n', '5', '--format=%h %s', 'a b']);
+  });
+
+  it('rejects unknown subcommands', () => {
+    assert.throws(() => resolve('git:push'), /Unknown git placeholder/);
+  });
+});
+
+describe('parseRevisionArgs', () => {
+  it('sorts options, revisions and paths', () => {
+    assert.deepEqual(parseRevisionArgs('diff', ['--stat', 'main...HEAD', 'src', '-U', '3']), {
+      options: ['--stat', '-U', '3'],
+      revisions: ['main...HEAD'],
+      paths: ['src']
+    });
+    assert.deepEqual(parseRevisionArgs('log', ['-5', 'HEAD~1..', '--', 'main']), {
+      options: ['-5'],
+      revisions: ['HEAD~1..'],
+      paths: ['main']
+    });
+  });
+
+  it('treats arguments that are not revisions as paths, wherever they are', () => {
+    assert.deepEqual(parseRevisionArgs('diff', ['main', 'docs/missing.md']).paths, ['docs/missing.md']);
+    process.chdir(path.join(repo, 'src'));
+    try {
+      assert.deepEqual(parseRevisionArgs('diff', ['main', '../docs']), { options: [], revisions: ['main'], paths: ['../docs'] });
+    } finally {
+      process.chdir(repo);
+    }
+  });
+
+  it('asks for -- when a file is named like a revision', () => {
+    write('main', 'a file named main\n');
+    try {
+      assert.throws(() => parseRevisionArgs('diff', ['main']), /both a revision and a file; put paths after --/);
+    } finally {
+      fs.unlinkSync(path.join(repo, 'main'));
+    }
+  });
+
+  it('rejects options that write files or run programs', () => {
+    assert.throws(() => parseRevisionArgs('diff', ['--output=/tmp/x']), /doesn't accept the option "--output=\/tmp\/x"/);
+    assert.throws(() => parseRevisionArgs('diff', ['--ext-diff']), /doesn't accept the option/);
+    assert.throws(() => parseRevisionArgs('diff', ['-n', '5']), /doesn't accept the option "-n"/);
+    assert.throws(() => parseRevisionArgs('log', ['-n', 'five']), /needs a number/);
+  });
+});
+
+describe('resolveGitPlaceholder', () => {
+  it('includes a diff against a revision, limited to paths', () => {
+    const inclusion = resolve('git:diff main -- src');
+    assert.equal(inclusion.files.length, 1);
+    assert.match(inclusion.files[0].content, /\+  return 2;/);
+    assert.doesNotMatch(inclusion.files[0].content, /guide\.md/);
+    assert.ok(inclusion.dependencies.includes('src/app.js'));
+  });
+
+  it('includes every file changed on the branch, including untracked files', () => {
+    const inclusion = resolve('git:changed');
+    assert.deepEqual(inclusion.files.map(file => file.path), ['docs/guide.md', 'notes.txt', 'src/app.js']);
+  });
+
+  it('includes the log', () => {
+    const inclusion = resolve('git:log --oneline');
+    assert.match(inclusion.files[0].content, /Return 2\n.*Initial commit/);
+  });
+
+  it('includes part of a file as of a revision', () => {
+    const inclusion = resolve('git:show main:src/app.js@start');
+    assert.equal(inclusion.files[0].content, 'export function start() {\n  return 1;\n}');
+    assert.equal(inclusion.files[0].language, 'javascript');
+    assert.throws(() => resolve('git:show --output=x'), /doesn't accept options/);
+  });
+
+  it('includes blame for a line range', () => {
+    const inclusion = resolve('git:blame src/app.js#L2');
+    assert.equal(inclusion.files[0].content.trim().split('\n').length, 1);
+    assert.match(inclusion.files[0].content, /return 2;/);
+    assert.throws(() => resolve('git:blame src/app.js@start'), /only supports line range selectors/);
+  });
+});
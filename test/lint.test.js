@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { defaultConfig, mergeConfigs } = require('../src/config-manager');
+const { lintFile, lintPrompts } = require('../lib/prompt-compiler/lint');
+
+const startDir = process.cwd();
+let project;
+let config;
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(path.join(project, file)), { recursive: true });
+  fs.writeFileSync(path.join(project, file), content);
+}
+
+const lines = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n');
+const issuesOf = (report, kind) => report.issues.filter(issue => issue.kind === kind);
+
+before(() => {
+  project = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jaw-lint-')));
+  process.chdir(project);
+  config = mergeConfigs(defaultConfig, { __projectRoot: project });
+  write('src/a.md', lines(100));
+  write('src/b.md', 'b');
+});
+
+after(() => {
+  process.chdir(startDir);
+  fs.rmSync(project, { recursive: true, force: true });
+});
+
+describe('lintFile', () => {
+  it('reports missing files, globs without matches and undefined variables', () => {
+    write('_docs/prompts/broken.md', '{{src/missing.md}}\n{{lib/**/*.js}}\nFor {{audience}}\n');
+    const report = lintFile('_docs/prompts/broken.md', config);
+
+    assert.equal(report.file, '_docs/prompts/broken.md');
+    assert.deepEqual(report.issues.map(issue => [issue.line, issue.severity]), [[1, 'error'], [2, 'error'], [3, 'error']]);
+    assert.equal(report.errors, 3);
+  });
+
+  it('warns about placeholders inside HTML comments', () => {
+    write('_docs/prompts/commented.md', 'Intro\n<!-- {{src/b.md}} -->\n');
+    const [issue] = lintFile('_docs/prompts/commented.md', config).issues;
+    assert.equal(issue.severity, 'warning');
+    assert.equal(issue.line, 2);
+  });
+
+  it('warns about files included twice', () => {
+    write('_docs/prompts/twice.md', '{{src/a.md}}\n{{src/*.md}}\n');
+    const [issue] = issuesOf(lintFile('_docs/prompts/twice.md', config), 'duplicate-inclusion');
+    assert.equal(issue.placeholder, 'src/*.md');
+    assert.equal(issue.message, 'src/a.md is also included by {{src/a.md}}');
+  });
+
+  it('only warns about line ranges of a file that overlap', () => {
+    write('_docs/prompts/ranges.md', '{{src/a.md#L1-40}}\n{{src/a.md#L41-80}}\n{{src/a.md#L70-90}}\n');
+    const duplicates = issuesOf(lintFile('_docs/prompts/ranges.md', config), 'duplicate-inclusion');
+    assert.deepEqual(duplicates.map(issue => issue.placeholder), ['src/a.md#L70-90']);
+    assert.match(duplicates[0].message, /also included by \{\{src\/a\.md#L41-80\}\}/);
+  });
+
+  it('reports template syntax errors with their line', () => {
+    write('_docs/prompts/syntax.md', 'a\n{{#if x}}\nb\n');
+    const [issue] = lintFile('_docs/prompts/syntax.md', config).issues;
+    assert.equal(issue.kind, 'syntax');
+    assert.equal(issue.severity, 'error');
+  });
+});
+
+describe('lintPrompts', () => {
+  it('summarises every template and fails on errors', () => {
+    const result = lintPrompts(['_docs/prompts/commented.md', '_docs/prompts/broken.md'], config);
+    assert.equal(result.success, false);
+    assert.deepEqual(result.report.summary, { files: 2, errors: 3, warnings: 1 });
+  });
+});
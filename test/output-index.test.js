@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { INDEX_FILE, loadIndex, saveIndex, recordOutput, findOutputs } = require('../lib/prompt-compiler/outputIndex');
+const { parseDuration, parseSize, pruneOutputs } = require('../lib/prompt-compiler/prune');
+
+const startDir = process.cwd();
+let project;
+let outDir;
+
+function write(file, content = 'x') {
+  fs.mkdirSync(path.dirname(path.join(project, file)), { recursive: true });
+  fs.writeFileSync(path.join(project, file), content);
+}
+
+// An indexed output compiled `daysAgo` days ago from `template`
+function entry(name, template, daysAgo) {
+  write(`out/${name}.md`);
+  write(`out/${name}.manifest.json`, '{}');
+  return {
+    output: `out/${name}.md`,
+    template,
+    templateName: path.basename(template, '.md'),
+    compiledAt: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString(),
+    manifest: `out/${name}.manifest.json`,
+    tokens: 1,
+    variables: {}
+  };
+}
+
+beforeEach(() => {
+  process.chdir(startDir);
+  if (project) fs.rmSync(project, { recursive: true, force: true });
+  project = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jaw-index-')));
+  outDir = path.join(project, 'out');
+  fs.mkdirSync(outDir);
+  process.chdir(project);
+});
+
+after(() => {
+  process.chdir(startDir);
+  fs.rmSync(project, { recursive: true, force: true });
+});
+
+describe('output index', () => {
+  it('stores paths relative to the output directory and reads them from anywhere', () => {
+    write('prompts/review.md');
+    write('out/001-review.md');
+    recordOutput(outDir, {
+      outFile: 'out/001-review.md',
+      templatePath: 'prompts/review.md',
+      manifestFile: null,
+      tokens: 10,
+      variables: { feature: 'login' }
+    });
+
+    const stored = JSON.parse(fs.readFileSync(path.join(outDir, INDEX_FILE), 'utf8'));
+    assert.equal(stored.outputs[0].output, '001-review.md');
+    assert.equal(stored.outputs[0].template, '../prompts/review.md');
+
+    fs.mkdirSync(path.join(project, 'sub'));
+    process.chdir(path.join(project, 'sub'));
+    const [loaded] = loadIndex(outDir);
+    assert.equal(loaded.output, '../out/001-review.md');
+    assert.equal(loaded.template, '../prompts/review.md');
+    assert.equal(loaded.templateName, 'review');
+  });
+
+  it('adds compiled outputs it does not know about and ignores other Markdown files', () => {
+    write('out/002-plan.md');
+    write('out/review-0123456789ab.md');
+    write('out/notes.md');
+    write('out/README.md');
+    write('out/custom.md');
+    write('out/custom.manifest.json', JSON.stringify({ template: { path: 'prompts/custom.md' }, output: { tokens: 4 }, variables: {} }));
+
+    const outputs = loadIndex(outDir);
+    assert.deepEqual(outputs.map(output => output.output).sort(), ['out/002-plan.md', 'out/custom.md', 'out/review-0123456789ab.md']);
+    assert.equal(outputs.find(output => output.output === 'out/002-plan.md').templateName, 'plan');
+    assert.equal(outputs.find(output => output.output === 'out/custom.md').template, 'prompts/custom.md');
+  });
+
+  it('drops outputs that were deleted', () => {
+    saveIndex(outDir, [entry('001-a', 'prompts/a.md', 2), entry('002-a', 'prompts/a.md', 1)]);
+    fs.unlinkSync(path.join(outDir, '001-a.md'));
+    assert.deepEqual(loadIndex(outDir).map(output => output.output), ['out/002-a.md']);
+  });
+
+  it('finds outputs by path or variable value, newest first', () => {
+    const first = entry('001-a', 'prompts/a.md', 2);
+    const second = { ...entry('002-b', 'prompts/b.md', 1), variables: { feature: 'Checkout' } };
+    saveIndex(outDir, [first, second]);
+
+    assert.deepEqual(findOutputs(outDir).map(output => output.output), ['out/002-b.md', 'out/001-a.md']);
+    assert.deepEqual(findOutputs(outDir, 'checkout').map(output => output.output), ['out/002-b.md']);
+    assert.deepEqual(findOutputs(outDir, 'prompts/a').map(output => output.output), ['out/001-a.md']);
+  });
+});
+
+describe('pruneOutputs', () => {
+  it('parses durations and sizes', () => {
+    assert.equal(parseDuration('12h'), 12 * 60 * 60 * 1000);
+    assert.equal(parseDuration(2), 2 * 24 * 60 * 60 * 1000);
+    assert.equal(parseSize('1.5KB'), 1536);
+    assert.throws(() => parseDuration('soon'), /Invalid duration/);
+    assert.throws(() => parseSize('big'), /Invalid size/);
+  });
+
+  it('needs a retention policy', () => {
+    assert.match(pruneOutputs(outDir, {}).error, /No retention policy/);
+    assert.match(pruneOutputs(outDir, { keepPerTemplate: -1 }).error, /Invalid keepPerTemplate/);
+  });
+
+  it('keeps the newest outputs per template and deletes the rest with their files', () => {
+    saveIndex(outDir, [
+      entry('001-a', 'prompts/a.md', 3),
+      entry('002-b', 'prompts/b.md', 2),
+      entry('003-a', 'prompts/a.md', 1)
+    ]);
+
+    const dryRun = pruneOutputs(outDir, { keepPerTemplate: 1 }, { dryRun: true });
+    assert.deepEqual(dryRun.removed.map(output => output.output), ['out/001-a.md']);
+    assert.ok(fs.existsSync(path.join(outDir, '001-a.md')));
+
+    const result = pruneOutputs(outDir, { keepPerTemplate: 1 });
+    assert.equal(result.success, true);
+    assert.equal(result.kept, 2);
+    assert.equal(fs.existsSync(path.join(outDir, '001-a.md')), false);
+    assert.equal(fs.existsSync(path.join(outDir, '001-a.manifest.json')), false);
+    assert.deepEqual(loadIndex(outDir).map(output => output.output), ['out/002-b.md', 'out/003-a.md']);
+  });
+
+  it('deletes outputs older than the maximum age', () => {
+    saveIndex(outDir, [entry('001-a', 'prompts/a.md', 10), entry('002-a', 'prompts/a.md', 1)]);
+    const result = pruneOutputs(outDir, { maxAge: '7d' });
+    assert.deepEqual(result.removed.map(output => [output.output, output.reason]), [['out/001-a.md', 'older than 7d']]);
+  });
+});
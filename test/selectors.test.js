@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSelector, applySelector, slugify } = require('../lib/prompt-compiler/selectors');
+
+const select = (content, target) => applySelector(content, parseSelector(target).selector);
+
+describe('parseSelector', () => {
+  it('parses line ranges', () => {
+    assert.deepEqual(parseSelector('src/a.js#L10-80'), {
+      path: 'src/a.js',
+      selector: { type: 'lines', start: 10, end: 80, raw: '#L10-80' }
+    });
+    assert.deepEqual(parseSelector('src/a.js#L5').selector, { type: 'lines', start: 5, end: 5, raw: '#L5' });
+    assert.equal(parseSelector('src/a.js#L5-L9').selector.end, 9);
+    assert.throws(() => parseSelector('src/a.js#L9-5'), /Invalid line range/);
+  });
+
+  it('parses sections and symbols', () => {
+    assert.deepEqual(parseSelector('docs/spec.md#Data-Model').selector, { type: 'section', slug: 'data-model', raw: '#Data-Model' });
+    assert.deepEqual(parseSelector('src/api.ts@UserService.create'), {
+      path: 'src/api.ts',
+      selector: { type: 'symbol', name: 'UserService.create', raw: '@UserService.create' }
+    });
+    assert.equal(parseSelector('src/store.js@$store').selector.name, '$store');
+  });
+
+  it('leaves plain paths and scoped packages alone', () => {
+    assert.deepEqual(parseSelector('src/a.js'), { path: 'src/a.js', selector: null });
+    assert.equal(parseSelector('node_modules/@scope/pkg/index.js').selector, null);
+  });
+});
+
+describe('slugify', () => {
+  it('slugifies headings like GitHub', () => {
+    assert.equal(slugify('Data Model (v2)'), 'data-model-v2');
+    assert.equal(slugify('<code>API</code> reference'), 'api-reference');
+  });
+});
+
+describe('applySelector', () => {
+  it('selects line ranges, clamped to the end of the file', () => {
+    assert.deepEqual(select('a\nb\nc\nd', 'f#L2-3'), { content: 'b\nc', lines: { start: 2, end: 3 } });
+    assert.equal(select('a\nb', 'f#L2-10').content, 'b');
+    assert.throws(() => select('a\nb', 'f#L5'), /past the end of the file/);
+  });
+
+  it('selects a Markdown section up to the next heading of the same level', () => {
+    const doc = [
+      '# Spec',
+      '## Goals',
+      'Ship it.',
+      '### Non-goals',
+      '```',
+      '## Not a heading',
+      '```',
+      '',
+      '## Data Model',
+      'Users.',
+      '## Goals',
+      'Again.'
+    ].join('\n');
+
+    assert.equal(select(doc, 'f#goals').content, doc.split('\n').slice(1, 7).join('\n'));
+    assert.equal(select(doc, 'f#data-model').content, '## Data Model\nUsers.');
+    assert.equal(select(doc, 'f#goals-1').content, '## Goals\nAgain.');
+    assert.throws(() => select(doc, 'f#missing'), /Section "#missing" not found/);
+  });
+
+  it('selects functions and classes with their leading comments', () => {
+    const source = [
+      "import x from 'x';",
+      '',
+      '/**',
+      ' * Create a user',
+      ' */',
+      'export async function createUser(input) {',
+      "  const braces = '}';",
+      '  return { ...input };',
+      '}',
+      '',
+      'export class UserService {',
+      '  constructor() {}',
+      '',
+      '  async create(input) {',
+      '    return createUser(input);',
+      '  }',
+      '}'
+    ].join('\n');
+
+    assert.deepEqual(select(source, 'f@createUser').lines, { start: 3, end: 9 });
+    assert.deepEqual(select(source, 'f@UserService').lines, { start: 11, end: 17 });
+    assert.equal(select(source, 'f@UserService.create').content, '  async create(input) {\n    return createUser(input);\n  }');
+    assert.throws(() => select(source, 'f@deleteUser'), /Symbol "deleteUser" not found/);
+    assert.throws(() => select(source, 'f@UserService.remove'), /Member "remove" not found/);
+  });
+
+  it('selects variables and types up to the end of the statement', () => {
+    const source = [
+      'export const limits = {',
+      '  max: 10',
+      '};',
+      'export type Id = string;',
+      'const other = 1;'
+    ].join('\n');
+
+    assert.equal(select(source, 'f@limits').content, 'export const limits = {\n  max: 10\n};');
+    assert.equal(select(source, 'f@Id').content, 'export type Id = string;');
+  });
+
+  it('matches names with $ exactly', () => {
+    const source = [
+      'export const $storeFactory = () => ({});',
+      'export const $store = createStore();',
+      'export function $(selector) {',
+      '  return selector;',
+      '}',
+      'class Query {',
+      '  $get(key) {',
+      '    return key;',
+      '  }',
+      '}'
+    ].join('\n');
+
+    assert.equal(select(source, 'f@$store').content, 'export const $store = createStore();');
+    assert.deepEqual(select(source, 'f@$').lines, { start: 3, end: 5 });
+    assert.deepEqual(select(source, 'f@Query.$get').lines, { start: 7, end: 9 });
+  });
+});
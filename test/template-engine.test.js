@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { render, createPartialLoader, TemplateError } = require('../src/template-engine');
+
+describe('render', () => {
+  it('looks up variables and dotted paths', () => {
+    assert.equal(render('Hi {{name}} from {{team.name}}', { name: 'Ada', team: { name: 'core' } }), 'Hi Ada from core');
+  });
+
+  it('leaves variables without a value unchanged by default', () => {
+    assert.equal(render('{{missing}} and {{src/*.js}}'), '{{missing}} and {{src/*.js}}');
+  });
+
+  it('passes variables without a value to onMissing', () => {
+    assert.equal(render('[{{missing}}]', {}, { onMissing: expr => expr.toUpperCase() }), '[MISSING]');
+  });
+
+  it('renders conditionals and removes standalone block lines', () => {
+    const template = 'a\n{{#if on}}\nyes\n{{else}}\nno\n{{/if}}\nb\n';
+    assert.equal(render(template, { on: true }), 'a\nyes\nb\n');
+    assert.equal(render(template, { on: false }), 'a\nno\nb\n');
+    assert.equal(render('{{#unless on}}off{{/unless}}', { on: [] }), 'off');
+  });
+
+  it('loops over arrays and objects', () => {
+    assert.equal(
+      render('{{#each items}}{{@index}}:{{this}}{{#unless @last}}, {{/unless}}{{/each}}', { items: ['a', 'b'] }),
+      '0:a, 1:b'
+    );
+    assert.equal(render('{{#each env}}{{@key}}={{this}};{{/each}}', { env: { A: 1, B: 2 } }), 'A=1;B=2;');
+    assert.equal(render('{{#each items}}x{{else}}none{{/each}}', { items: [] }), 'none');
+  });
+
+  it('keeps escaped tags and drops comments', () => {
+    assert.equal(render('\\{{literal}}{{! note }}', { literal: 'no' }), '{{literal}}');
+  });
+
+  it('renders partials with scoped parameters', () => {
+    const partials = name => (name === 'greet' ? 'Hello {{who}} ({{tone}})' : null);
+    assert.equal(
+      render('{{> greet who="team" tone=style}} / {{who}}', { style: 'warm' }, { partials }),
+      'Hello team (warm) / {{who}}'
+    );
+    assert.equal(render('[{{> nope}}]', {}, { partials }), '[<!-- Partial not found: nope -->]');
+  });
+
+  it('rejects partial cycles', () => {
+    const partials = name => ({ a: '{{> b}}', b: '{{> a}}' }[name]);
+    assert.throws(() => render('{{> a}}', {}, { partials }), TemplateError);
+  });
+
+  it('rejects unclosed and mismatched blocks', () => {
+    assert.throws(() => render('{{#if a}}open'), TemplateError);
+    assert.throws(() => render('{{#if a}}x{{/each}}'), TemplateError);
+  });
+});
+
+describe('createPartialLoader', () => {
+  it('finds partials with or without the .md extension, first directory first', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'jaw-partials-'));
+    const [first, second] = ['first', 'second'].map(name => {
+      fs.mkdirSync(path.join(root, name));
+      return path.join(root, name);
+    });
+    fs.writeFileSync(path.join(first, 'rules.md'), 'first rules');
+    fs.writeFileSync(path.join(second, 'rules.md'), 'second rules');
+    fs.writeFileSync(path.join(second, 'footer.md'), 'footer');
+
+    try {
+      const loader = createPartialLoader([first, second]);
+      assert.equal(loader('rules').source, 'first rules');
+      assert.equal(loader('footer.md').id, path.join(second, 'footer.md'));
+      assert.equal(loader('missing'), null);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
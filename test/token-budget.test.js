@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePriority, applyTokenBudget, PRIORITY_LEVELS } = require('../lib/prompt-compiler/tokenBudget');
+
+// One token per word keeps the expected numbers readable
+const tokenizer = { name: 'words', count: text => (text.match(/\S+/g) || []).length };
+const render = inclusion => inclusion.files.map(file => file.content).join('\n');
+
+function inclusion(raw, files, priority = PRIORITY_LEVELS.normal) {
+  const result = { raw, files, priority, occurrences: 1 };
+  result.content = render(result);
+  result.tokens = tokenizer.count(result.content);
+  return result;
+}
+
+function words(count, prefix = 'w') {
+  return Array.from({ length: count }, (_, i) => `${prefix}${i}`).join('\n');
+}
+
+describe('parsePriority', () => {
+  it('reads names and numbers', () => {
+    assert.equal(parsePriority('low'), 1);
+    assert.equal(parsePriority('HIGH'), 3);
+    assert.equal(parsePriority('required'), Infinity);
+    assert.equal(parsePriority('7'), 7);
+    assert.equal(parsePriority(undefined), PRIORITY_LEVELS.normal);
+  });
+
+  it('rejects anything else', () => {
+    assert.throws(() => parsePriority('urgent'), /Invalid priority "urgent"/);
+  });
+});
+
+describe('applyTokenBudget', () => {
+  it('leaves prompts within the budget alone', () => {
+    const inclusions = [inclusion('{{a.md}}', [{ path: 'a.md', content: words(10) }])];
+    const report = applyTokenBudget(inclusions, 5, 100, tokenizer, render);
+    assert.equal(report.withinBudget, true);
+    assert.deepEqual(report.trimmed, []);
+    assert.equal(report.tokensAfter, 15);
+  });
+
+  it('trims the lowest priority first and keeps required inclusions', () => {
+    const low = inclusion('{{low.md}}', [{ path: 'low.md', content: words(200, 'l') }], PRIORITY_LEVELS.low);
+    const required = inclusion('{{req.md}}', [{ path: 'req.md', content: words(200, 'r') }], PRIORITY_LEVELS.required);
+    const report = applyTokenBudget([required, low], 0, 300, tokenizer, render);
+
+    assert.equal(report.withinBudget, true);
+    assert.equal(required.trimmed, undefined);
+    assert.equal(report.trimmed.length, 1);
+    assert.equal(report.trimmed[0].placeholder, '{{low.md}}');
+    assert.ok(low.trimmed.truncatedFile.keptLines < 200);
+    assert.match(low.content, /Trimmed to fit token budget: \{\{low\.md\}\}/);
+  });
+
+  it('drops whole files from glob matches', () => {
+    const glob = inclusion('{{src/*.js}}', [
+      { path: 'src/a.js', content: words(50, 'a') },
+      { path: 'src/b.js', content: words(50, 'b') },
+      { path: 'src/c.js', content: words(50, 'c') }
+    ]);
+    const report = applyTokenBudget([glob], 0, 90, tokenizer, render);
+
+    assert.deepEqual(report.trimmed[0].droppedFiles, ['src/c.js', 'src/b.js']);
+    assert.deepEqual(glob.files.map(file => file.path), ['src/a.js']);
+  });
+
+  it('omits inclusions that would keep too little', () => {
+    const small = inclusion('{{small.md}}', [{ path: 'small.md', content: words(40) }]);
+    applyTokenBudget([small], 100, 110, tokenizer, render);
+
+    assert.deepEqual(small.files, []);
+    assert.equal(small.content, '<!-- Omitted to fit token budget: {{small.md}} -->');
+  });
+
+  it('reports prompts that still exceed the budget', () => {
+    const required = inclusion('{{req.md}}', [{ path: 'req.md', content: words(100) }], PRIORITY_LEVELS.required);
+    const report = applyTokenBudget([required], 0, 50, tokenizer, render);
+    assert.equal(report.withinBudget, false);
+    assert.equal(report.tokensAfter, 100);
+  });
+});
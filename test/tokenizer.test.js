@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveEncoding, getTokenizer, countTokens } = require('../src/tokenizer');
+
+describe('resolveEncoding', () => {
+  it('maps model families to encodings', () => {
+    assert.equal(resolveEncoding({ model: 'gpt-4o-mini' }), 'o200k_base');
+    assert.equal(resolveEncoding({ model: 'gpt-4-turbo' }), 'cl100k_base');
+    assert.equal(resolveEncoding({ model: 'claude-3-5-sonnet' }), 'cl100k_base');
+  });
+
+  it('prefers an explicit encoding over the model', () => {
+    assert.equal(resolveEncoding({ model: 'gpt-4o', encoding: 'p50k_base' }), 'p50k_base');
+  });
+});
+
+describe('getTokenizer', () => {
+  it('counts BPE tokens', () => {
+    const tokenizer = getTokenizer({ tokenizer: { encoding: 'cl100k_base' } });
+    assert.equal(tokenizer.exact, true);
+    assert.equal(tokenizer.count('hello world'), 2);
+  });
+
+  it('estimates four characters per token', () => {
+    const tokenizer = getTokenizer({ tokenizer: { encoding: 'estimate' } });
+    assert.equal(tokenizer.exact, false);
+    assert.equal(tokenizer.count('abcdefghi'), 3);
+  });
+
+  it('counts special tokens in text as plain text', () => {
+    assert.ok(countTokens('<|endoftext|>', { tokenizer: { encoding: 'cl100k_base' } }) > 1);
+  });
+
+  it('counts long runs without whitespace quickly', () => {
+    const tokenizer = getTokenizer({ tokenizer: { encoding: 'o200k_base' } });
+    const letters = Array.from({ length: 100000 }, (_, i) => String.fromCharCode(97 + ((i * 7919) % 26))).join('');
+    const started = Date.now();
+    const tokens = tokenizer.count(letters);
+    assert.ok(tokens > 10000);
+    assert.ok(Date.now() - started < 10000, 'took longer than 10s');
+  });
+
+  it('stays close to the exact count for ordinary text', () => {
+    const tokenizer = getTokenizer({ tokenizer: { encoding: 'o200k_base' } });
+    const { getEncoding } = require('js-tiktoken');
+    const text = 'The quick brown fox jumps over the lazy dog.\n'.repeat(500);
+    const exact = getEncoding('o200k_base').encode(text, [], []).length;
+    assert.ok(Math.abs(tokenizer.count(text) - exact) <= exact * 0.01);
+  });
+});
+
+describe('countTokens', () => {
+  it('counts nothing in empty text', () => {
+    assert.equal(countTokens(''), 0);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseVarArgs,
+  loadVarsFile,
+  extractFrontMatterVariables,
+  resolveVariables
+} = require('../lib/prompt-compiler/variables');
+
+describe('parseVarArgs', () => {
+  it('parses assignments into nested variables with typed values', () => {
+    assert.deepEqual(parseVarArgs(['feature.name=login', 'count=3', 'draft=true', 'tags=[a, b]', 'note=a: b']), {
+      feature: { name: 'login' },
+      count: 3,
+      draft: true,
+      tags: ['a', 'b'],
+      note: 'a: b'
+    });
+  });
+
+  it('keeps everything after the first =', () => {
+    assert.deepEqual(parseVarArgs('query=a=b'), { query: 'a=b' });
+  });
+
+  it('rejects assignments without a key', () => {
+    assert.throws(() => parseVarArgs(['=value']), /Invalid --var "=value"/);
+    assert.throws(() => parseVarArgs(['name']), /Invalid --var "name"/);
+  });
+});
+
+describe('loadVarsFile', () => {
+  it('reads YAML and JSON files and rejects anything but a mapping', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jaw-vars-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'vars.yml'), 'feature:\n  name: login\n');
+      fs.writeFileSync(path.join(dir, 'vars.json'), '{"count": 2}');
+      fs.writeFileSync(path.join(dir, 'list.yml'), '- a\n- b\n');
+
+      assert.deepEqual(loadVarsFile(path.join(dir, 'vars.yml')), { feature: { name: 'login' } });
+      assert.deepEqual(loadVarsFile(path.join(dir, 'vars.json')), { count: 2 });
+      assert.throws(() => loadVarsFile(path.join(dir, 'list.yml')), /must contain an object/);
+      assert.throws(() => loadVarsFile(path.join(dir, 'missing.yml')), /Vars file not found/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('extractFrontMatterVariables', () => {
+  it('reads defaults, required variables and the role', () => {
+    const template = [
+      '---',
+      'role: system',
+      'variables:',
+      '  audience: developers',
+      '  feature:',
+      '    required: true',
+      '    description: Feature being implemented',
+      '---',
+      'Body'
+    ].join('\n');
+    const { content, declarations, role } = extractFrontMatterVariables(template);
+
+    assert.equal(content.trim(), 'Body');
+    assert.equal(role, 'system');
+    assert.deepEqual(declarations, {
+      audience: { default: 'developers', required: false, description: '' },
+      feature: { default: undefined, required: true, description: 'Feature being implemented' }
+    });
+  });
+
+  it('leaves templates without declarations unchanged', () => {
+    const template = '---\ntitle: Review\n---\nBody';
+    assert.equal(extractFrontMatterVariables(template).content, template);
+  });
+});
+
+describe('resolveVariables', () => {
+  it('lets later sources win: config, front-matter, vars file, --var', () => {
+    const { variables } = resolveVariables({
+      config: { a: 'config', b: 'config', c: 'config', d: 'config' },
+      declarations: { b: { default: 'default' }, c: { default: 'default' }, d: { default: 'default' } },
+      file: { c: 'file', d: 'file' },
+      cli: { d: 'cli' }
+    });
+    assert.deepEqual(variables, { a: 'config', b: 'default', c: 'file', d: 'cli' });
+  });
+
+  it('merges nested values so a dotted --var keeps its siblings', () => {
+    const file = { feature: { name: 'login', desc: 'Sign in' } };
+    const { variables } = resolveVariables({
+      config: { feature: { owner: 'core' } },
+      file,
+      cli: parseVarArgs(['feature.name=signup'])
+    });
+
+    assert.deepEqual(variables.feature, { owner: 'core', name: 'signup', desc: 'Sign in' });
+    assert.equal(file.feature.name, 'login');
+  });
+
+  it('reports required variables without a value', () => {
+    const declarations = {
+      feature: { required: true, description: 'Feature' },
+      'ticket.id': { required: true, description: 'Ticket' }
+    };
+    const { missing } = resolveVariables({ declarations, cli: { ticket: { id: 'ABC-1' } } });
+    assert.deepEqual(missing, [{ name: 'feature', description: 'Feature' }]);
+  });
+});
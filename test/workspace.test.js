@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { declaresPackages, listPackages, packageContaining, findPackage } = require('../src/workspace');
+const { resolveProject } = require('../src/config-manager');
+
+const startDir = process.cwd();
+let root;
+
+function write(file, content) {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), content);
+}
+
+before(() => {
+  delete process.env.JAW_TOOLS_PACKAGE;
+  root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'jaw-workspace-')));
+  write('jaw-tools.config.js', [
+    'module.exports = {',
+    "  directories: { docs: 'docs', prompts: 'docs/prompts' },",
+    "  workspace: { packages: ['packages/*', 'apps/*', '!packages/legacy'] }",
+    '};',
+    ''
+  ].join('\n'));
+  write('package.json', JSON.stringify({ name: 'acme', workspaces: ['tools/*'] }));
+  write('pnpm-workspace.yaml', "packages:\n  - 'libs/*'\n");
+  write('packages/api/package.json', JSON.stringify({ name: '@acme/api' }));
+  write('packages/api/jaw-tools.config.js', "module.exports = { directories: { prompts: 'prompts' } };\n");
+  write('packages/legacy/package.json', JSON.stringify({ name: '@acme/legacy' }));
+  write('apps/web/index.js', '');
+  write('tools/cli/package.json', JSON.stringify({ name: 'acme-cli' }));
+  write('libs/shared/package.json', JSON.stringify({ name: '@acme/shared' }));
+  write('packages/api/node_modules/dep/package.json', JSON.stringify({ name: 'dep' }));
+});
+
+after(() => {
+  process.chdir(startDir);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('listPackages', () => {
+  it('lists directories matching the package globs, named from package.json', () => {
+    const packages = listPackages(root, { packages: ['packages/*', 'apps/*', '!packages/legacy'] });
+    assert.deepEqual(packages, [
+      { name: 'web', dir: path.join(root, 'apps/web'), path: 'apps/web' },
+      { name: '@acme/api', dir: path.join(root, 'packages/api'), path: 'packages/api' }
+    ]);
+  });
+
+  it('reads npm, yarn and pnpm workspaces when asked to', () => {
+    assert.deepEqual(listPackages(root, { useWorkspaces: true }).map(pkg => pkg.name), ['@acme/shared', 'acme-cli']);
+  });
+
+  it('only counts configs that declare packages as workspaces', () => {
+    assert.equal(declaresPackages({ packages: ['packages/*'] }), true);
+    assert.equal(declaresPackages({ useWorkspaces: true }), true);
+    assert.equal(declaresPackages({ packages: [] }), false);
+    assert.equal(declaresPackages(undefined), false);
+  });
+});
+
+describe('findPackage and packageContaining', () => {
+  it('finds packages by name, unscoped name, path or directory', () => {
+    const packages = listPackages(root, { packages: ['packages/*', 'apps/*'] });
+    assert.equal(findPackage(packages, '@acme/api').path, 'packages/api');
+    assert.equal(findPackage(packages, 'api').path, 'packages/api');
+    assert.equal(findPackage(packages, './packages/legacy/').name, '@acme/legacy');
+    assert.equal(findPackage(packages, 'apps\\web').name, 'web');
+    assert.equal(findPackage(packages, 'mobile'), null);
+  });
+
+  it('finds the package a directory is in', () => {
+    const packages = listPackages(root, { packages: ['packages/*'] });
+    assert.equal(packageContaining(packages, path.join(root, 'packages/api/src')).name, '@acme/api');
+    assert.equal(packageContaining(packages, path.join(root, 'docs')), null);
+  });
+});
+
+describe('resolveProject', () => {
+  it('merges a package config over the root config, without the workspace settings', () => {
+    fs.mkdirSync(path.join(root, 'packages/api/src'), { recursive: true });
+    process.chdir(path.join(root, 'packages/api/src'));
+    try {
+      const project = resolveProject();
+      assert.equal(project.projectRoot, path.join(root, 'packages/api'));
+      assert.equal(project.package.name, '@acme/api');
+      assert.deepEqual(project.config, { directories: { docs: 'docs', prompts: 'prompts' } });
+      assert.equal(project.sources.length, 2);
+    } finally {
+      process.chdir(startDir);
+    }
+  });
+
+  it('selects a package from the workspace root, or the root with .', () => {
+    process.chdir(root);
+    try {
+      const web = resolveProject({ package: 'web' });
+      assert.equal(web.projectRoot, path.join(root, 'apps/web'));
+      assert.deepEqual(web.config, { directories: { docs: 'docs', prompts: 'docs/prompts' } });
+
+      const workspaceRoot = resolveProject({ package: '.' });
+      assert.equal(workspaceRoot.projectRoot, root);
+      assert.equal(workspaceRoot.package, null);
+
+      assert.equal(resolveProject({ package: 'mobile' }).packageFound, false);
+    } finally {
+      process.chdir(startDir);
+    }
+  });
+});